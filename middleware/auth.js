@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { APIError } = require('./errorHandler');
+const { DEFAULT_TENANT } = require('../services/stores');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const TENANT_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const ROLES = ['user', 'admin'];
+
+// API_KEYS is a comma-separated list of key:tenant[:role] entries, e.g. "k1:acme,k2:ops:admin".
+// Keys are kept as SHA-256 hashes, so a lookup never compares raw secrets.
+function parseApiKeys(value) {
+  const keys = new Map();
+
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [key, tenantId, role = 'user'] = entry.split(':').map(part => part.trim());
+
+    if (!key || !TENANT_PATTERN.test(tenantId || '') || !ROLES.includes(role)) {
+      throw new Error(`Invalid API_KEYS entry "${maskKey(key)}": expected key:tenant[:role] with role user or admin`);
+    }
+
+    const hash = hashKey(key);
+    keys.set(hash, { tenantId, role, keyId: hash.slice(0, 8) });
+  }
+
+  return keys;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function maskKey(key = '') {
+  return key.length > 4 ? `${key.slice(0, 4)}...` : '...';
+}
+
+function getCredentials(req) {
+  const apiKey = req.get('X-API-Key');
+  if (typeof apiKey === 'string' && apiKey.trim()) {
+    return { type: 'api_key', value: apiKey.trim() };
+  }
+
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) return null;
+
+  // Bearer values shaped like a JWT are verified as tokens; anything else is treated as an API key
+  return match[1].split('.').length === 3
+    ? { type: 'jwt', value: match[1] }
+    : { type: 'api_key', value: match[1] };
+}
+
+function unauthorized(message, code) {
+  return new APIError(message, 401, code);
+}
+
+// Returns { authenticate, requireAdmin, getInfo }. authenticate sets req.auth to
+// { tenantId, role, method, subject }. With neither API_KEYS nor JWT_SECRET configured every request
+// runs as the default tenant with the user role; AUTH_DISABLED_ADMIN=true makes it admin for local development.
+function createAuthenticator(options = {}) {
+  const apiKeys = parseApiKeys(options.apiKeys ?? process.env.API_KEYS);
+  const jwtSecret = options.jwtSecret ?? process.env.JWT_SECRET;
+  const jwtOptions = {
+    algorithms: ['HS256'],
+    ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+    ...(process.env.JWT_AUDIENCE && { audience: process.env.JWT_AUDIENCE })
+  };
+  const enabled = apiKeys.size > 0 || Boolean(jwtSecret);
+  const anonymousRole = (options.disabledAdmin ?? process.env.AUTH_DISABLED_ADMIN === 'true') ? 'admin' : 'user';
+
+  if (!enabled) {
+    logger.warn('Authentication is disabled: set API_KEYS or JWT_SECRET to require credentials', {
+      tenant: DEFAULT_TENANT,
+      role: anonymousRole
+    });
+  }
+
+  function verifyApiKey(key) {
+    const entry = apiKeys.get(hashKey(key));
+    if (!entry) {
+      throw unauthorized('Invalid API key', 'INVALID_API_KEY');
+    }
+    return { tenantId: entry.tenantId, role: entry.role, method: 'api_key', subject: entry.keyId };
+  }
+
+  function verifyToken(token) {
+    if (!jwtSecret) {
+      throw unauthorized('Bearer tokens are not accepted', 'INVALID_TOKEN');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, jwtSecret, jwtOptions);
+    } catch (error) {
+      throw unauthorized(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token', 'INVALID_TOKEN');
+    }
+
+    if (typeof claims.tenant !== 'string' || !TENANT_PATTERN.test(claims.tenant)) {
+      throw unauthorized('Token is missing a valid tenant claim', 'INVALID_TOKEN');
+    }
+
+    // The subject keys token usage and the per-credential rate limit; tokens without one would share both
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+      throw unauthorized('Token is missing a subject claim', 'INVALID_TOKEN');
+    }
+
+    return {
+      tenantId: claims.tenant,
+      role: claims.role === 'admin' ? 'admin' : 'user',
+      method: 'jwt',
+      subject: claims.sub
+    };
+  }
+
+  function authenticate(req, res, next) {
+    if (!enabled) {
+      req.auth = { tenantId: DEFAULT_TENANT, role: anonymousRole, method: 'none', subject: null };
+      return next();
+    }
+
+    const credentials = getCredentials(req);
+    if (!credentials) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(unauthorized('Authentication required: send an X-API-Key header or a Bearer token', 'AUTHENTICATION_REQUIRED'));
+    }
+
+    try {
+      req.auth = credentials.type === 'jwt' ? verifyToken(credentials.value) : verifyApiKey(credentials.value);
+    } catch (error) {
+      logger.warn('Authentication failed', { method: credentials.type, code: error.code, path: req.path });
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return next(error);
+    }
+
+    next();
+  }
+
+  function requireAdmin(req, res, next) {
+    if (req.auth?.role !== 'admin') {
+      return next(new APIError('Admin access required', 403, 'ADMIN_REQUIRED'));
+    }
+    next();
+  }
+
+  function getInfo() {
+    return {
+      enabled,
+      apiKeys: apiKeys.size,
+      jwt: Boolean(jwtSecret),
+      ...(!enabled && { anonymousRole })
+    };
+  }
+
+  return { authenticate, requireAdmin, getInfo };
+}
+
+// Stable label for the credential behind req.auth, used to attribute token usage: api_key:<keyId>,
+// jwt:<sub> or anonymous. Never contains the secret itself.
+function getCredentialId(auth) {
+  if (!auth || auth.method === 'none') return 'anonymous';
+  return `${auth.method}:${auth.subject}`;
+}
+
+module.exports = {
+  createAuthenticator,
+  getCredentialId,
+  parseApiKeys
+};
@@ -1,5 +1,7 @@
 const { ValidationError } = require('../utils/validators');
+const { MealDBError, fromMealDB } = require('../utils/mealdbErrors');
 const logger = require('../utils/logger');
+const { getRequestId } = require('../utils/requestContext');
 
 // Custom error classes
 class APIError extends Error {
@@ -11,15 +13,6 @@ class APIError extends Error {
   }
 }
 
-class MealDBError extends Error {
-  constructor(message, statusCode = 502, code = 'MEALDB_ERROR') {
-    super(message);
-    this.name = 'MealDBError';
-    this.statusCode = statusCode;
-    this.code = code;
-  }
-}
-
 class AIError extends Error {
   constructor(message, statusCode = 502, code = 'AI_ERROR') {
     super(message);
@@ -32,13 +25,20 @@ class AIError extends Error {
 // Global error handler middleware
 function errorHandler(err, req, res, next) {
   // Log error details
+  // Body parser errors happen before the request context is bound, so the logger can't add the ID itself
   logger.logError(err, {
+    ...(!getRequestId() && req.id && { requestId: req.id }),
     url: req.url,
     method: req.method,
     body: req.body,
     userAgent: req.get('User-Agent')
   });
 
+  // Streaming responses have already sent headers; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Default error response
   let statusCode = 500;
   let code = 'INTERNAL_SERVER_ERROR';
@@ -85,6 +85,7 @@ function errorHandler(err, req, res, next) {
   const errorResponse = {
     error: message,
     code,
+    ...(req.id && { requestId: req.id }),
     ...(Object.keys(details).length > 0 && { details })
   };
 
@@ -101,10 +102,13 @@ function notFoundHandler(req, res, next) {
   next(error);
 }
 
-// Request timeout middleware
+// Request timeout middleware. Event streams are exempt: they send data for as long as the pipeline
+// runs and time out only when idle (see createSSEStream)
 function timeoutHandler(timeoutMs = 60000) {
   return (req, res, next) => {
     const timeout = setTimeout(() => {
+      if (String(res.get('Content-Type')).startsWith('text/event-stream')) return;
+
       const error = new APIError(
         'Request timeout',
         408,
@@ -166,7 +170,7 @@ function asyncHandler(fn) {
   };
 }
 
-// Rate limiting error (for future use)
+// Rate limiting error, raised by middleware/rateLimiter.js
 function rateLimitError() {
   return new APIError(
     'Too many requests. Please try again later.',
@@ -181,6 +185,7 @@ module.exports = {
   timeoutHandler,
   requestLogger,
   asyncHandler,
+  fromMealDB,
   healthCheck,
   createErrorResponse,
   rateLimitError,
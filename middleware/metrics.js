@@ -0,0 +1,32 @@
+const { registry, observeHttpRequest } = require('../utils/metrics');
+const { asyncHandler } = require('./errorHandler');
+const { getRoutePattern } = require('./requestContext');
+
+// Counts and times every request. Routes are labelled by their pattern (/api/sessions/:id) so IDs
+// don't create new series (see getRoutePattern); requests that never reached a route (404s, auth
+// or rate-limit rejections) are labelled 'unmatched'.
+function requestMetrics(req, res, next) {
+  const startTime = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+    observeHttpRequest({
+      method: req.method,
+      route: getRoutePattern(req, res) || 'unmatched',
+      status: String(res.statusCode)
+    }, durationSeconds);
+  });
+
+  next();
+}
+
+// Serves the registry in the Prometheus text exposition format
+const metricsHandler = asyncHandler(async (req, res) => {
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+});
+
+module.exports = {
+  requestMetrics,
+  metricsHandler
+};
@@ -0,0 +1,234 @@
+const RedisStore = require('../services/stores/redisStore');
+const { rateLimitError } = require('./errorHandler');
+const { getCredentialId } = require('./auth');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// Idle buckets are dropped once they would have refilled completely
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Token buckets: each client starts with `capacity` tokens, every request takes one and tokens
+// refill continuously at `refillPerSecond`. Both stores implement
+// consume(key, { capacity, refillPerSecond }) -> { allowed, remaining, resetSeconds, retryAfterSeconds }
+class MemoryBucketStore {
+  constructor() {
+    this.backend = 'memory';
+    this.buckets = new Map();
+    this.sweeper = setInterval(() => this.sweep(), MEMORY_SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  async consume(key, limit) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: limit.capacity, updatedAt: now, fullAt: now };
+    const tokens = refill(bucket.tokens, now - bucket.updatedAt, limit);
+    const allowed = tokens >= 1;
+    const remaining = allowed ? tokens - 1 : tokens;
+
+    this.buckets.set(key, {
+      tokens: remaining,
+      updatedAt: now,
+      fullAt: now + msUntil(limit.capacity - remaining, limit)
+    });
+
+    return describeBucket(allowed, remaining, limit);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+  }
+
+  getInfo() {
+    return { backend: this.backend, buckets: this.buckets.size };
+  }
+}
+
+// Refill and take happen in one Lua script so instances sharing the server can't race
+const CONSUME_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate / 1000)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) * 1000 / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// Works with any Redis-compatible server at REDIS_URL (or options.client), so limits are shared across instances
+class RedisBucketStore {
+  constructor(options = {}) {
+    this.backend = 'redis';
+    this.redis = new RedisStore({ ...options, namespace: 'ratelimit' });
+  }
+
+  async consume(key, limit) {
+    const [allowed, tokens] = await this.redis.client.eval(
+      CONSUME_SCRIPT,
+      1,
+      this.redis.key(key),
+      limit.capacity,
+      limit.refillPerSecond,
+      Date.now()
+    );
+
+    return describeBucket(allowed === 1, parseFloat(tokens), limit);
+  }
+
+  getInfo() {
+    return { backend: this.backend, keyPrefix: this.redis.prefix };
+  }
+}
+
+const BUCKET_STORES = {
+  memory: MemoryBucketStore,
+  redis: RedisBucketStore
+};
+
+function createBucketStore(options = {}) {
+  const backend = (options.backend || process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  const Store = BUCKET_STORES[backend];
+  if (!Store) {
+    throw new Error(`Unknown rate limit store: ${backend}. Available stores: ${Object.keys(BUCKET_STORES).join(', ')}`);
+  }
+  return new Store(options);
+}
+
+function refill(tokens, elapsedMs, limit) {
+  return Math.min(limit.capacity, tokens + Math.max(0, elapsedMs) * limit.refillPerSecond / 1000);
+}
+
+function msUntil(tokensNeeded, limit) {
+  return tokensNeeded > 0 ? (tokensNeeded / limit.refillPerSecond) * 1000 : 0;
+}
+
+function describeBucket(allowed, tokens, limit) {
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetSeconds: Math.ceil(msUntil(limit.capacity - tokens, limit) / 1000),
+    retryAfterSeconds: allowed ? 0 : Math.ceil(msUntil(1 - tokens, limit) / 1000)
+  };
+}
+
+// Limits per tier, as requests per minute with a burst capacity. Authenticated callers get a
+// bucket per credential (shared by every IP using it) on top of the per-IP one.
+function loadLimits(tier, defaults) {
+  const prefix = `RATE_LIMIT_${tier.toUpperCase()}`;
+  const perMinute = parseInt(process.env[`${prefix}_PER_MINUTE`]) || defaults.perMinute;
+  const burst = parseInt(process.env[`${prefix}_BURST`]) || perMinute;
+  const credentialPerMinute = parseInt(process.env[`${prefix}_CREDENTIAL_PER_MINUTE`]) || perMinute;
+
+  return {
+    ip: { capacity: burst, refillPerSecond: perMinute / 60, perMinute },
+    credential: {
+      capacity: Math.max(burst, credentialPerMinute),
+      refillPerSecond: credentialPerMinute / 60,
+      perMinute: credentialPerMinute
+    }
+  };
+}
+
+const DEFAULT_LIMITS = {
+  chat: { perMinute: 10 },
+  standard: { perMinute: 120 }
+};
+
+// The credential bucket is keyed on what authenticate verified (tenant plus API key ID or token
+// subject), never on raw headers, so made-up keys can't each claim a fresh bucket.
+// Anonymous requests (authentication disabled) only have the per-IP bucket.
+function getCredentialKey(req) {
+  if (!req.auth || req.auth.method === 'none') return null;
+  return `${req.auth.tenantId}:${getCredentialId(req.auth)}`;
+}
+
+// Returns { perIp, perCredential, getInfo } enforcing the `tier` limits ('chat' for model-backed
+// endpoints, 'standard' for everything else). Mount perIp before authenticate, so failed
+// credentials are charged too and guessing keys is limited, and perCredential after it.
+// A request is limited by the first tier whose perIp it reaches; other tiers let it through.
+// Store failures let the request through rather than block traffic.
+function createRateLimiter(tier, options = {}) {
+  const enabled = options.enabled ?? process.env.RATE_LIMIT_ENABLED !== 'false';
+  const limits = options.limits || loadLimits(tier, DEFAULT_LIMITS[tier] || DEFAULT_LIMITS.standard);
+  const store = options.store || createBucketStore();
+
+  // Takes a token from the bucket, sets the RateLimit headers for the bucket closest to running
+  // out this request (req.rateLimit remembers the per-IP one) and refuses the request if it is empty
+  async function consume(req, res, next, check) {
+    let result;
+    try {
+      result = await store.consume(check.key, check.limit);
+    } catch (error) {
+      logger.warn('Rate limit store unavailable, allowing request', { tier, error: error.message });
+      return next();
+    }
+
+    const previous = req.rateLimit.reported;
+    const reported = !previous || !result.allowed || result.remaining < previous.result.remaining
+      ? { result, limit: check.limit }
+      : previous;
+    req.rateLimit.reported = reported;
+
+    res.set({
+      'RateLimit-Policy': `${reported.limit.perMinute};w=60`,
+      'RateLimit-Limit': String(reported.limit.capacity),
+      'RateLimit-Remaining': String(reported.result.remaining),
+      'RateLimit-Reset': String(reported.result.resetSeconds)
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.max(1, result.retryAfterSeconds)));
+      logger.warn('Rate limit exceeded', { tier, bucket: check.bucket, ip: req.ip, credential: check.credential, path: req.path });
+      return next(rateLimitError());
+    }
+
+    next();
+  }
+
+  const perIp = (req, res, next) => {
+    if (!enabled || req.rateLimit) return next();
+
+    req.rateLimit = { tier, reported: null };
+    return consume(req, res, next, { bucket: 'ip', key: `${tier}:ip:${req.ip}`, limit: limits.ip });
+  };
+
+  const perCredential = (req, res, next) => {
+    if (!enabled || req.rateLimit?.tier !== tier) return next();
+
+    const credential = getCredentialKey(req);
+    if (!credential) return next();
+
+    return consume(req, res, next, {
+      bucket: 'credential',
+      key: `${tier}:credential:${credential}`,
+      limit: limits.credential,
+      credential
+    });
+  };
+
+  const getInfo = () => ({
+    tier,
+    enabled,
+    limits: { ip: limits.ip.perMinute, credential: limits.credential.perMinute, burst: limits.ip.capacity },
+    store: store.getInfo()
+  });
+
+  return { perIp, perCredential, getInfo };
+}
+
+module.exports = {
+  createRateLimiter,
+  createBucketStore,
+  MemoryBucketStore,
+  RedisBucketStore
+};
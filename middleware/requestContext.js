@@ -0,0 +1,62 @@
+const { v4: uuidv4 } = require('uuid');
+const { SpanStatusCode } = require('@opentelemetry/api');
+const { runWithRequestContext } = require('../utils/requestContext');
+const { startRequestSpan, context } = require('../utils/tracing');
+
+// Caller-supplied IDs are echoed back only if they are safe to put in headers and logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Mounted first: accepts X-Request-Id (or generates one), returns it on the response and
+// opens the server span, so even requests rejected by the body parsers carry both
+function assignRequestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+
+  const { span, context: spanContext } = startRequestSpan(req);
+  span.setAttribute('http.request.id', req.id);
+  req.traceContext = spanContext;
+
+  res.on('close', () => {
+    const route = getRoutePattern(req, res);
+    if (route) {
+      span.updateName(`${req.method} ${route}`);
+    }
+    span.setAttribute('http.response.status_code', res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  });
+
+  next();
+}
+
+// Mounted after the body parsers, whose stream callbacks would drop the async context:
+// everything from here on (handlers, services, logger calls) sees the request ID and the
+// server span as the active parent
+function bindRequestContext(req, res, next) {
+  context.with(req.traceContext || context.active(), () => {
+    runWithRequestContext({ requestId: req.id }, next);
+  });
+}
+
+// Mounted first in every router. When a handler fails, Express resets req.baseUrl on the way out
+// of the router, before the response finishes; the mount path kept here still names the route.
+function recordMountPath(req, res, next) {
+  res.locals.mountPath = req.baseUrl;
+  next();
+}
+
+// The pattern of the route that handled the request (/api/sessions/:id), or null if none did
+function getRoutePattern(req, res) {
+  if (!req.route) return null;
+  return `${res.locals.mountPath ?? req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1');
+}
+
+module.exports = {
+  assignRequestId,
+  bindRequestContext,
+  recordMountPath,
+  getRoutePattern
+};
@@ -0,0 +1,105 @@
+const { parseMeasurement } = require('../utils/measurements');
+
+// The app's recipe shape. MealDBService converts every meal it returns with fromMealDB, so
+// nothing past processResponse reads strIngredient1..20 or sniffs fields to tell stubs apart.
+//
+// {
+//   id, name,
+//   kind: 'full' | 'stub',       // filter.php returns stubs: id, name and thumbnail only
+//   category, area, thumbnail,   // null when unknown (always for stubs)
+//   ingredients: [{ name, measure, quantity, unit }],   // see utils/measurements.js
+//   instructions,                // original text, null for stubs
+//   steps: [string],
+//   tags: [string],
+//   links: { youtube, source },
+//   provenance: { provider, origin, endpoint }
+// }
+
+const RECIPE_KINDS = { FULL: 'full', STUB: 'stub' };
+
+// MealDB payloads carry at most this many ingredient/measure slots
+const MAX_INGREDIENT_SLOTS = 20;
+
+// Endpoints whose meals are stubs rather than full recipes
+const STUB_ENDPOINTS = ['filter.php'];
+
+// origin is the MealDB source ('remote' or 'local'); endpoint, the one the meal came from,
+// decides whether it is a stub
+function fromMealDB(meal, { endpoint, origin = null }) {
+  const kind = STUB_ENDPOINTS.includes(endpoint) ? RECIPE_KINDS.STUB : RECIPE_KINDS.FULL;
+  const instructions = cleanText(meal.strInstructions);
+
+  return {
+    id: String(meal.idMeal),
+    name: cleanText(meal.strMeal) || '',
+    kind,
+    category: cleanText(meal.strCategory),
+    area: cleanText(meal.strArea),
+    thumbnail: cleanText(meal.strMealThumb),
+    ingredients: parseIngredients(meal),
+    instructions,
+    steps: splitSteps(instructions),
+    tags: parseTags(meal.strTags),
+    links: {
+      youtube: cleanText(meal.strYoutube),
+      source: cleanText(meal.strSource)
+    },
+    provenance: { provider: 'themealdb', origin, endpoint }
+  };
+}
+
+function isStub(recipe) {
+  return recipe.kind === RECIPE_KINDS.STUB;
+}
+
+function parseIngredients(meal) {
+  const ingredients = [];
+
+  for (let i = 1; i <= MAX_INGREDIENT_SLOTS; i++) {
+    const name = cleanText(meal[`strIngredient${i}`]);
+    if (!name) continue;
+
+    const measure = cleanText(meal[`strMeasure${i}`]) || '';
+    const { quantity, unit } = parseMeasurement(measure);
+    ingredients.push({ name, measure, quantity, unit });
+  }
+  return ingredients;
+}
+
+// MealDB instructions are paragraphs separated by line breaks, sometimes with "STEP 1" headings
+// or "1." numbering of their own
+function splitSteps(instructions) {
+  if (!instructions) return [];
+
+  return instructions
+    .split(/\r?\n/)
+    .map(line => line.replace(/^\s*(?:step\s*\d+\s*[:.)-]?|\d+\s*[.)](?!\d))\s*/i, '').trim())
+    .filter(Boolean);
+}
+
+function parseTags(tags) {
+  if (!tags) return [];
+
+  return tags
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+// "3/4 cup soy sauce"
+function formatIngredient(ingredient) {
+  return `${ingredient.measure ? ingredient.measure + ' ' : ''}${ingredient.name}`;
+}
+
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  return value.toString().trim() || null;
+}
+
+module.exports = {
+  fromMealDB,
+  isStub,
+  splitSteps,
+  formatIngredient,
+  RECIPE_KINDS
+};
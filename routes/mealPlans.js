@@ -0,0 +1,399 @@
+const express = require('express');
+const {
+  validateMealPlanRequest,
+  validateMealPlanId,
+  validateSlotId,
+  validateMealId,
+  validateSessionId,
+  ValidationError
+} = require('../utils/validators');
+const { mergeProfiles, isEmptyProfile } = require('../utils/dietary');
+const { formatMealPlanCalendar } = require('../utils/mealPlans');
+const { asyncHandler, fromMealDB, APIError } = require('../middleware/errorHandler');
+const { recordMountPath } = require('../middleware/requestContext');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MealPlanRequest:
+ *       type: object
+ *       required: [sessionId]
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           description: Existing session the plan belongs to (see /api/sessions). Its dietary profile (and its user's) applies.
+ *         days:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 14
+ *           default: 7
+ *         mealsPerDay:
+ *           type: integer
+ *           description: 1 plans dinners, 2 lunches and dinners, 3 adds breakfasts
+ *           enum: [1, 2, 3]
+ *           default: 1
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day of the plan; today (UTC) by default
+ *           example: '2026-10-19'
+ *         dietaryProfile:
+ *           $ref: '#/components/schemas/DietaryProfile'
+ *         variety:
+ *           type: object
+ *           properties:
+ *             noConsecutiveCategory:
+ *               type: boolean
+ *               default: true
+ *               description: Main meals don't share a category with the previous or next day's
+ *             noConsecutiveArea:
+ *               type: boolean
+ *               default: true
+ *               description: Main meals don't share an area (cuisine) with the previous or next day's
+ *     MealPlan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         sessionId:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         days:
+ *           type: integer
+ *         meals:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [breakfast, lunch, dinner]
+ *         dietaryProfile:
+ *           nullable: true
+ *           allOf: [{ $ref: '#/components/schemas/DietaryProfile' }]
+ *         variety:
+ *           type: object
+ *           properties:
+ *             noConsecutiveCategory:
+ *               type: boolean
+ *             noConsecutiveArea:
+ *               type: boolean
+ *         slots:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MealPlanSlot'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     MealPlanSlot:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 3-dinner
+ *         day:
+ *           type: integer
+ *         date:
+ *           type: string
+ *           format: date
+ *         meal:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner]
+ *         recipe:
+ *           type: object
+ *           nullable: true
+ *           description: Null when no recipe fits the dietary and variety rules
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             category:
+ *               type: string
+ *             area:
+ *               type: string
+ *             thumbnail:
+ *               type: string
+ *     MealPlanResponse:
+ *       type: object
+ *       properties:
+ *         mealPlan:
+ *           $ref: '#/components/schemas/MealPlan'
+ *         unfilledSlots:
+ *           type: array
+ *           description: IDs of the slots no recipe fits; swap them or pick a recipe to fill them
+ *           items:
+ *             type: string
+ *           example: [4-dinner]
+ */
+
+function createMealPlanRouter({ mealPlanService, sessionManager, profileManager, mealdbService }) {
+  const router = express.Router();
+  router.use(recordMountPath);
+
+  /**
+   * @swagger
+   * /api/meal-plans:
+   *   post:
+   *     summary: Plan meals for several days
+   *     description: |
+   *       Fills each day's meals with MealDB recipes that respect the dietary profile (the request's combined with
+   *       the session's) and the variety rules. No recipe is used twice. Slots nothing fits are left with
+   *       `recipe: null` and listed in `unfilledSlots`. The plan is stored with the session and can be fetched,
+   *       changed slot by slot or exported by passing the same `sessionId`.
+   *     tags: [Meal Plans]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/MealPlanRequest'
+   *     responses:
+   *       201:
+   *         description: The new plan
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/MealPlanResponse'
+   *       400:
+   *         description: Missing session ID, or invalid days, meals per day, start date, dietary profile or variety rules
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: Session not found or expired
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       422:
+   *         description: No recipe fits any slot; nothing is saved
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       502:
+   *         description: MealDB is unavailable
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.post('/', asyncHandler(async (req, res) => {
+    const { sessionId, dietaryProfile, ...options } = validateMealPlanRequest(req.body || {});
+
+    // Looked up, not created: a plan nothing fits must not leave a session behind
+    const session = await sessionManager.findSession(sessionId, req.auth.tenantId);
+    if (!session) {
+      throw new APIError('Session not found', 404, 'SESSION_NOT_FOUND');
+    }
+    const profile = mergeProfiles(await profileManager.resolveProfile(session), dietaryProfile);
+
+    const mealPlan = await mealPlanService.create({
+      ...options,
+      dietaryProfile: isEmptyProfile(profile) ? null : profile,
+      sessionId: session.id,
+      tenantId: req.auth.tenantId
+    });
+
+    if (mealPlan.slots.every(slot => !slot.recipe)) {
+      throw new APIError('No recipes fit this plan\'s dietary and variety rules', 422, 'NO_RECIPES_FIT');
+    }
+
+    res.status(201).json(describeMealPlan(mealPlan));
+  }));
+
+  /**
+   * @swagger
+   * /api/meal-plans/{id}:
+   *   get:
+   *     summary: Get a meal plan
+   *     description: '`format=ics` returns the plan as an iCalendar file with one event per planned meal (breakfast 08:00, lunch 12:30, dinner 18:30, in the calendar''s time zone).'
+   *     tags: [Meal Plans]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: sessionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: The session the plan was created for
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, ics]
+   *           default: json
+   *     responses:
+   *       200:
+   *         description: The plan
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/MealPlanResponse'
+   *           text/calendar:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Invalid plan ID, session ID or format
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: No plan with this ID in the session
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const format = req.query.format === undefined ? 'json' : req.query.format;
+    if (!['json', 'ics'].includes(format)) {
+      throw new ValidationError('"format" must be one of: json, ics', 'INVALID_FORMAT');
+    }
+
+    const mealPlan = await findPlanOrThrow(mealPlanService, req.params.id, req.query.sessionId, req.auth.tenantId);
+
+    if (format === 'ics') {
+      res.set('Content-Disposition', `attachment; filename="meal-plan-${mealPlan.id}.ics"`);
+      return res.type('text/calendar').send(formatMealPlanCalendar(mealPlan));
+    }
+    res.json(describeMealPlan(mealPlan));
+  }));
+
+  /**
+   * @swagger
+   * /api/meal-plans/{id}/slots/{slot}:
+   *   patch:
+   *     summary: Change one meal in a plan
+   *     description: |
+   *       Without `recipeId`, swaps the slot's recipe for another that fits the plan's dietary and variety rules.
+   *       With `recipeId`, puts that recipe in the slot; it must fit the dietary profile, but variety rules don't apply.
+   *     tags: [Meal Plans]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: slot
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Day number and meal
+   *         example: 3-dinner
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [sessionId]
+   *             properties:
+   *               sessionId:
+   *                 type: string
+   *                 description: The session the plan was created for
+   *               recipeId:
+   *                 type: string
+   *                 example: '52772'
+   *     responses:
+   *       200:
+   *         description: The updated plan
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/MealPlanResponse'
+   *       400:
+   *         description: Invalid plan ID, session ID, slot or recipe ID, or the chosen recipe breaks the plan's dietary profile
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: No such plan in the session, slot or recipe
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       409:
+   *         description: No other recipe fits the slot
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       502:
+   *         description: MealDB is unavailable
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.patch('/:id/slots/:slot', asyncHandler(async (req, res) => {
+    const slotId = validateSlotId(req.params.slot);
+    const { sessionId, recipeId } = req.body || {};
+    const mealPlan = await findPlanOrThrow(mealPlanService, req.params.id, sessionId, req.auth.tenantId);
+
+    if (!mealPlan.slots.some(slot => slot.id === slotId)) {
+      throw new APIError(`Slot ${slotId} is not in this plan`, 404, 'SLOT_NOT_FOUND');
+    }
+
+    let updated;
+    if (recipeId !== undefined) {
+      const id = validateMealId(typeof recipeId === 'number' ? String(recipeId) : recipeId);
+      const recipe = (await fromMealDB(() => mealdbService.lookupById(id))).meals?.[0];
+      if (!recipe) {
+        throw new APIError('Recipe not found', 404, 'RECIPE_NOT_FOUND');
+      }
+
+      updated = await mealPlanService.setSlotRecipe(mealPlan, slotId, recipe);
+      if (updated.violation) {
+        throw new APIError(`${recipe.name} ${updated.violation}`, 400, 'DIETARY_VIOLATION');
+      }
+    } else {
+      updated = await mealPlanService.swapSlot(mealPlan, slotId);
+      if (!updated) {
+        throw new APIError('No other recipe fits this slot', 409, 'NO_ALTERNATIVE_RECIPE');
+      }
+    }
+
+    logger.info('Meal plan slot changed', { planId: mealPlan.id, slot: slotId, recipeId: updated.slots.find(slot => slot.id === slotId).recipe.id });
+    res.json(describeMealPlan(updated));
+  }));
+
+  return router;
+}
+
+// Plans belong to the session that created them; another session's plan reads as not found
+async function findPlanOrThrow(mealPlanService, id, sessionId, tenantId) {
+  const planId = validateMealPlanId(id);
+  const validatedSessionId = validateSessionId(sessionId);
+  if (!validatedSessionId) {
+    throw new ValidationError('"sessionId" of the session that owns the plan is required', 'MISSING_SESSION_ID');
+  }
+
+  const mealPlan = await mealPlanService.get(planId, tenantId);
+  if (!mealPlan || mealPlan.sessionId !== validatedSessionId) {
+    throw new APIError('Meal plan not found', 404, 'MEAL_PLAN_NOT_FOUND');
+  }
+  return mealPlan;
+}
+
+function describeMealPlan(mealPlan) {
+  return {
+    mealPlan,
+    unfilledSlots: mealPlan.slots.filter(slot => !slot.recipe).map(slot => slot.id)
+  };
+}
+
+module.exports = { createMealPlanRouter };
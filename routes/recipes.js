@@ -0,0 +1,619 @@
+const express = require('express');
+const {
+  validatePantryIngredients,
+  validateMealId,
+  validateRecipeQuery,
+  validateScalingQuery,
+  validateShoppingListRequest,
+  ValidationError
+} = require('../utils/validators');
+const { createRecipeCard } = require('../utils/recipeCards');
+const { scaleRecipe } = require('../utils/recipeScaling');
+const { formatShoppingList } = require('../utils/shoppingList');
+const { asyncHandler, fromMealDB, APIError, MealDBError } = require('../middleware/errorHandler');
+const { recordMountPath } = require('../middleware/requestContext');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PantrySearchRequest:
+ *       type: object
+ *       required: [ingredients]
+ *       properties:
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             type: string
+ *           maxItems: 10
+ *           example: [chicken, rice, broccoli]
+ *         limit:
+ *           type: number
+ *           description: Maximum number of recipes to return (capped by PANTRY_RESULT_LIMIT)
+ *           example: 5
+ *     PantrySearchResponse:
+ *       type: object
+ *       properties:
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             type: string
+ *         recipes:
+ *           type: array
+ *           description: Recipe cards ranked by how many of the given ingredients they use, each with a pantryMatch
+ *           items:
+ *             $ref: '#/components/schemas/RecipeCard'
+ *         apiCallsMade:
+ *           type: number
+ *     RecipeResponse:
+ *       type: object
+ *       properties:
+ *         recipe:
+ *           $ref: '#/components/schemas/RecipeCard'
+ *     ScaledRecipeResponse:
+ *       type: object
+ *       properties:
+ *         recipe:
+ *           $ref: '#/components/schemas/RecipeCard'
+ *         scaling:
+ *           $ref: '#/components/schemas/Scaling'
+ *     RecipeListResponse:
+ *       type: object
+ *       properties:
+ *         recipes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RecipeCard'
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             page:
+ *               type: number
+ *             pageSize:
+ *               type: number
+ *             total:
+ *               type: number
+ *               description: Matching recipes across all pages
+ *             totalPages:
+ *               type: number
+ *         criteria:
+ *           type: object
+ *           description: The filters applied, with category and area in MealDB's spelling
+ *           properties:
+ *             query:
+ *               type: string
+ *             category:
+ *               type: string
+ *             area:
+ *               type: string
+ *             ingredient:
+ *               type: string
+ *     ShoppingListRequest:
+ *       type: object
+ *       required: [recipeIds]
+ *       properties:
+ *         recipeIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           minItems: 1
+ *           maxItems: 10
+ *           example: ['52772', '52795']
+ *         pantry:
+ *           type: array
+ *           description: Ingredients already at home; matching items are left off the list
+ *           items:
+ *             type: string
+ *           maxItems: 30
+ *           example: [rice, soy sauce]
+ *         servings:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           description: Scale every recipe to this many servings first (recipes are taken to serve RECIPE_BASE_SERVINGS)
+ *         units:
+ *           type: string
+ *           enum: [original, metric, imperial]
+ *           default: original
+ *         format:
+ *           type: string
+ *           enum: [json, text, markdown]
+ *           default: json
+ *     ShoppingList:
+ *       type: object
+ *       properties:
+ *         recipes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *         aisles:
+ *           type: array
+ *           description: Store aisles in walking order, each with its items sorted by name
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Produce
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Garlic
+ *                     amount:
+ *                       type: string
+ *                       description: Totals across recipes; amounts in units that can't be added are joined with " + "
+ *                       example: 5 cloves
+ *                     measurements:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           quantity:
+ *                             type: number
+ *                             nullable: true
+ *                           unit:
+ *                             type: string
+ *                             nullable: true
+ *                           descriptor:
+ *                             type: string
+ *                             nullable: true
+ *                     recipeIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *         alreadyHave:
+ *           type: array
+ *           description: Recipe ingredients left off because they match a pantry item
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               pantryItem:
+ *                 type: string
+ *         itemCount:
+ *           type: number
+ *     Category:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: Seafood
+ *         thumbnail:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *           nullable: true
+ */
+
+// vocabularyService is loaded before filters are validated so category and area checks use MealDB's lists
+function createRecipeRouter({ pantryService, recipeSearchService, mealdbService, vocabularyService }) {
+  const router = express.Router();
+  router.use(recordMountPath);
+
+  /**
+   * @swagger
+   * /api/recipes:
+   *   get:
+   *     summary: Search and browse recipes
+   *     description: |
+   *       Deterministic search without the model. Combine a name `query` with `category`, `area` and `ingredient`
+   *       filters; at least one is required. Filter-only searches return summary cards (`detailsAvailable: false`)
+   *       unless `details=true`, which looks up every recipe on the page.
+   *     tags: [Recipes]
+   *     parameters:
+   *       - in: query
+   *         name: query
+   *         schema:
+   *           type: string
+   *         description: Recipe name contains this text
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: string
+   *         example: Seafood
+   *       - in: query
+   *         name: area
+   *         schema:
+   *           type: string
+   *         example: Italian
+   *       - in: query
+   *         name: ingredient
+   *         schema:
+   *           type: string
+   *         example: chicken_breast
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: pageSize
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 50
+   *           default: 20
+   *       - in: query
+   *         name: details
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *     responses:
+   *       200:
+   *         description: One page of matching recipes
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/RecipeListResponse'
+   *       400:
+   *         description: Missing criteria, unknown category or area, or invalid pagination
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       502:
+   *         description: MealDB is unavailable
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.get('/', asyncHandler(async (req, res) => {
+    await vocabularyService.ensureLoaded();
+    const { page, pageSize, details, ...criteria } = validateRecipeQuery(req.query);
+
+    const result = await fromMealDB(() => recipeSearchService.search({ ...criteria, page, pageSize, details }));
+
+    res.json({
+      recipes: result.meals.map(meal => createRecipeCard(meal)),
+      pagination: {
+        page,
+        pageSize,
+        total: result.total,
+        totalPages: Math.ceil(result.total / pageSize)
+      },
+      criteria
+    });
+  }));
+
+  /**
+   * @swagger
+   * /api/recipes/random:
+   *   get:
+   *     summary: Get a random recipe
+   *     tags: [Recipes]
+   *     responses:
+   *       200:
+   *         description: A random recipe with full details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/RecipeResponse'
+   *       502:
+   *         description: MealDB is unavailable
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.get('/random', asyncHandler(async (req, res) => {
+    const result = await fromMealDB(() => mealdbService.getRandomMeal());
+    const meal = result.meals?.[0];
+
+    if (!meal) {
+      throw new MealDBError('MealDB returned no random recipe');
+    }
+    res.json({ recipe: createRecipeCard(meal) });
+  }));
+
+  /**
+   * @swagger
+   * /api/recipes/{id}:
+   *   get:
+   *     summary: Get a recipe by ID
+   *     tags: [Recipes]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: MealDB meal ID
+   *         example: '52772'
+   *     responses:
+   *       200:
+   *         description: The recipe with full details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/RecipeResponse'
+   *       400:
+   *         description: The ID is not numeric
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: No recipe with this ID
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       502:
+   *         description: MealDB is unavailable
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const id = validateMealId(req.params.id);
+    const result = await fromMealDB(() => mealdbService.lookupById(id));
+    const meal = result.meals?.[0];
+
+    if (!meal) {
+      throw new APIError('Recipe not found', 404, 'RECIPE_NOT_FOUND');
+    }
+    res.json({ recipe: createRecipeCard(meal) });
+  }));
+
+  /**
+   * @swagger
+   * /api/recipes/{id}/scaled:
+   *   get:
+   *     summary: Get a recipe scaled to a number of servings and/or converted to metric or imperial units
+   *     description: |
+   *       Ingredient amounts are parsed from MealDB's measures, multiplied by `servings` / `baseServings`
+   *       and optionally converted. Recipes are assumed to serve `baseServings` (RECIPE_BASE_SERVINGS, 4 by default)
+   *       because MealDB does not say. Volumes convert to volumes and weights to weights; counted units
+   *       (cloves, tins) are scaled but not converted, and measures without an amount ("to taste") are unchanged.
+   *       Each ingredient keeps its `originalMeasure`.
+   *     tags: [Recipes]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: '52772'
+   *       - in: query
+   *         name: servings
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *         example: 8
+   *       - in: query
+   *         name: units
+   *         schema:
+   *           type: string
+   *           enum: [original, metric, imperial]
+   *           default: original
+   *     responses:
+   *       200:
+   *         description: The scaled recipe
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ScaledRecipeResponse'
+   *       400:
+   *         description: Invalid ID, servings or units
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: No recipe with this ID
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       502:
+   *         description: MealDB is unavailable
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.get('/:id/scaled', asyncHandler(async (req, res) => {
+    const id = validateMealId(req.params.id);
+    const options = validateScalingQuery(req.query);
+    const result = await fromMealDB(() => mealdbService.lookupById(id));
+    const meal = result.meals?.[0];
+
+    if (!meal) {
+      throw new APIError('Recipe not found', 404, 'RECIPE_NOT_FOUND');
+    }
+
+    const { recipe, scaling } = scaleRecipe(meal, options);
+    res.json({ recipe: createRecipeCard(recipe), scaling });
+  }));
+
+  /**
+   * @swagger
+   * /api/recipes/pantry:
+   *   post:
+   *     summary: Find recipes from ingredients on hand
+   *     description: Searches recipes for each ingredient, ranks meals by how many of the ingredients they use and reports what is still missing for each.
+   *     tags: [Recipes]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/PantrySearchRequest'
+   *     responses:
+   *       200:
+   *         description: Matching recipes
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/PantrySearchResponse'
+   *       400:
+   *         description: Invalid ingredient list
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.post('/pantry', asyncHandler(async (req, res) => {
+    const { ingredients, limit } = req.body || {};
+
+    const validatedIngredients = validatePantryIngredients(ingredients);
+    const validatedLimit = validateLimit(limit);
+
+    const search = await pantryService.search(validatedIngredients, { limit: validatedLimit });
+
+    logger.info('Pantry search', { ingredients: search.ingredients, matches: search.matches.length });
+
+    res.json({
+      ingredients: search.ingredients,
+      recipes: search.matches.map(match => createRecipeCard(match.meal, match)),
+      apiCallsMade: search.apiCallsMade
+    });
+  }));
+
+  return router;
+}
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: List recipe categories
+ *     description: MealDB's categories with thumbnails and descriptions. Falls back to names only if MealDB is unreachable.
+ *     tags: [Recipes]
+ *     responses:
+ *       200:
+ *         description: All categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *                 count:
+ *                   type: number
+ */
+function createCategoryRouter(mealdbService) {
+  const router = express.Router();
+  router.use(recordMountPath);
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const result = await mealdbService.getCategories();
+    const categories = (result.categories || []).map(category => ({
+      id: category.idCategory || null,
+      name: category.strCategory,
+      thumbnail: category.strCategoryThumb || null,
+      description: category.strCategoryDescription || null
+    }));
+
+    res.json({ categories, count: categories.length });
+  }));
+
+  return router;
+}
+
+/**
+ * @swagger
+ * /api/shopping-list:
+ *   post:
+ *     summary: Build a shopping list from recipes
+ *     description: |
+ *       Merges the ingredients of the given recipes, adding up amounts of the same ingredient (volumes and
+ *       weights across units, counted units per unit), groups them by store aisle and leaves off anything in
+ *       `pantry`. Water is never listed. `format` selects JSON, plain text or a Markdown checklist.
+ *     tags: [Recipes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShoppingListRequest'
+ *     responses:
+ *       200:
+ *         description: The shopping list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shoppingList:
+ *                   $ref: '#/components/schemas/ShoppingList'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid recipe IDs, pantry, servings, units or format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: One or more recipes not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: MealDB is unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+function createShoppingListRouter(shoppingListService) {
+  const router = express.Router();
+  router.use(recordMountPath);
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const { recipeIds, format, ...options } = validateShoppingListRequest(req.body || {});
+
+    const result = await fromMealDB(() => shoppingListService.create(recipeIds, options));
+    if (result.missingIds.length > 0) {
+      throw new APIError(`Recipes not found: ${result.missingIds.join(', ')}`, 404, 'RECIPE_NOT_FOUND');
+    }
+
+    logger.info('Shopping list', { recipeIds, items: result.shoppingList.itemCount, format });
+
+    if (format === 'json') {
+      return res.json({ shoppingList: result.shoppingList });
+    }
+    res.type(format === 'markdown' ? 'text/markdown' : 'text/plain').send(formatShoppingList(result.shoppingList, format));
+  }));
+
+  return router;
+}
+
+function validateLimit(limit) {
+  if (limit === undefined || limit === null) return undefined;
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('Limit must be a positive integer', 'INVALID_LIMIT');
+  }
+  return limit;
+}
+
+module.exports = { createRecipeRouter, createCategoryRouter, createShoppingListRouter };
@@ -0,0 +1,362 @@
+const express = require('express');
+const {
+  validateSessionId,
+  validateSessionPreferences,
+  validateDietaryProfile,
+  validateUserId
+} = require('../utils/validators');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { recordMountPath } = require('../middleware/requestContext');
+const logger = require('../utils/logger');
+
+const RECIPE_SUMMARY_LIMIT = 10;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CreateSessionRequest:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           description: Optional client-chosen session ID (8-36 letters, numbers, hyphens, underscores)
+ *           example: 'user-session-123'
+ *         preferences:
+ *           type: object
+ *           description: Initial preferences stored with the session (string, number, boolean or string list values)
+ *           example:
+ *             skillLevel: beginner
+ *             cuisines: [Italian, Thai]
+ *         userId:
+ *           type: string
+ *           description: Optional user whose saved dietary profile applies to this session
+ *           example: 'user-42'
+ *         dietaryProfile:
+ *           $ref: '#/components/schemas/DietaryProfile'
+ *     DietaryProfile:
+ *       type: object
+ *       description: Restrictions applied as a hard filter on recipe results and passed to the AI prompts
+ *       properties:
+ *         diets:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [vegetarian, vegan, pescatarian, gluten-free, dairy-free, halal]
+ *         allergens:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [nuts, tree-nuts, peanuts, dairy, eggs, gluten, fish, shellfish, soy, sesame]
+ *         dislikedIngredients:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [mushrooms, olives]
+ *     SessionResponse:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastActivity:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         preferences:
+ *           type: object
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *         dietaryProfile:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/DietaryProfile'
+ *         messageCount:
+ *           type: number
+ *         tokenUsage:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/TokenUsage'
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, assistant]
+ *               content:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *         lastMealData:
+ *           type: object
+ *           nullable: true
+ *           description: Summary of the recipe data behind the most recent answer
+ *           properties:
+ *             recipeCount:
+ *               type: number
+ *             recipes:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   thumbnail:
+ *                     type: string
+ *         mealPlanIds:
+ *           type: array
+ *           description: Meal plans created for this session (see /api/meal-plans)
+ *           items:
+ *             type: string
+ */
+
+// mealPlanService lists the session's meal plans, which are deleted with it
+function createSessionRouter(sessionManager, mealPlanService) {
+  const router = express.Router();
+  router.use(recordMountPath);
+
+  /**
+   * @swagger
+   * /api/sessions:
+   *   post:
+   *     summary: Start a new session
+   *     description: Explicitly creates a conversation session, optionally with a client-chosen ID and initial preferences.
+   *     tags: [Sessions]
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CreateSessionRequest'
+   *     responses:
+   *       201:
+   *         description: Session created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/SessionResponse'
+   *       400:
+   *         description: Invalid session ID or preferences
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       409:
+   *         description: A session with this ID already exists
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.post('/', asyncHandler(async (req, res) => {
+    const { sessionId, preferences, userId, dietaryProfile } = req.body || {};
+
+    const validatedSessionId = validateSessionId(sessionId);
+    const validatedPreferences = validateSessionPreferences(preferences);
+    const validatedUserId = validateUserId(userId);
+    const validatedProfile = validateDietaryProfile(dietaryProfile);
+
+    if (validatedSessionId && await sessionManager.findSession(validatedSessionId, req.auth.tenantId)) {
+      throw new APIError('Session already exists', 409, 'SESSION_EXISTS');
+    }
+
+    const session = await sessionManager.createSession(validatedSessionId, {
+      tenantId: req.auth.tenantId,
+      preferences: validatedPreferences,
+      userId: validatedUserId,
+      dietaryProfile: validatedProfile
+    });
+
+    logger.info('Session created', { sessionId: session.id, tenantId: session.tenantId });
+    res.status(201).json(describeSession(session, sessionManager, []));
+  }));
+
+  /**
+   * @swagger
+   * /api/sessions/{id}:
+   *   get:
+   *     summary: Get a session
+   *     description: Returns the conversation history, a summary of the last recipe data and timestamps. Does not extend the session's lifetime.
+   *     tags: [Sessions]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Session found
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/SessionResponse'
+   *       400:
+   *         description: Invalid session ID
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: Session not found or expired
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const session = await findSessionOrThrow(sessionManager, req.params.id, req.auth.tenantId);
+    res.json(describeSession(session, sessionManager, await mealPlanService.listForSession(session.id, req.auth.tenantId)));
+  }));
+
+  /**
+   * @swagger
+   * /api/sessions/{id}/dietary-profile:
+   *   put:
+   *     summary: Set a session's dietary profile
+   *     description: Replaces the session-level dietary profile. It is combined with the saved profile of the session's user, if any.
+   *     tags: [Sessions]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/DietaryProfile'
+   *     responses:
+   *       200:
+   *         description: Profile updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/SessionResponse'
+   *       400:
+   *         description: Invalid session ID or dietary profile
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: Session not found or expired
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.put('/:id/dietary-profile', asyncHandler(async (req, res) => {
+    const session = await findSessionOrThrow(sessionManager, req.params.id, req.auth.tenantId);
+
+    session.dietaryProfile = validateDietaryProfile(req.body || {});
+    await sessionManager.saveSession(session);
+
+    logger.info('Session dietary profile updated', { sessionId: session.id });
+    res.json(describeSession(session, sessionManager, await mealPlanService.listForSession(session.id, req.auth.tenantId)));
+  }));
+
+  /**
+   * @swagger
+   * /api/sessions/{id}:
+   *   delete:
+   *     summary: Delete a session
+   *     description: Forgets the conversation history and recipe context for this session, and deletes its meal plans.
+   *     tags: [Sessions]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       204:
+   *         description: Session deleted
+   *       400:
+   *         description: Invalid session ID
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: Session not found or expired
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const session = await findSessionOrThrow(sessionManager, req.params.id, req.auth.tenantId);
+
+    const mealPlans = await mealPlanService.deleteForSession(session.id, req.auth.tenantId);
+    const deleted = await sessionManager.deleteSession(session.id, req.auth.tenantId);
+    if (!deleted) {
+      throw new APIError('Session not found', 404, 'SESSION_NOT_FOUND');
+    }
+
+    logger.info('Session deleted', { sessionId: session.id, mealPlans });
+    res.status(204).end();
+  }));
+
+  return router;
+}
+
+async function findSessionOrThrow(sessionManager, id, tenantId) {
+  const sessionId = validateSessionId(id);
+  const session = await sessionManager.findSession(sessionId, tenantId);
+
+  if (!session) {
+    throw new APIError('Session not found', 404, 'SESSION_NOT_FOUND');
+  }
+  return session;
+}
+
+function describeSession(session, sessionManager, mealPlanIds) {
+  return {
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    lastActivity: session.lastActivity,
+    expiresAt: new Date(session.lastActivity.getTime() + sessionManager.sessionTimeoutMinutes * 60 * 1000),
+    preferences: session.preferences || {},
+    userId: session.userId || null,
+    dietaryProfile: session.dietaryProfile || null,
+    messageCount: session.history.length,
+    tokenUsage: session.tokenUsage || null,
+    history: session.history,
+    lastMealData: summarizeMealData(session.lastMealData),
+    mealPlanIds
+  };
+}
+
+function summarizeMealData(mealData) {
+  if (!Array.isArray(mealData)) return null;
+
+  // Filter stubs and their looked-up details share an ID; keep one entry per meal
+  const mealsById = new Map();
+  mealData
+    .flatMap(result => Array.isArray(result.meals) ? result.meals : [])
+    .forEach(meal => mealsById.set(meal.id, meal));
+
+  const meals = Array.from(mealsById.values());
+  return {
+    recipeCount: meals.length,
+    recipes: meals.slice(0, RECIPE_SUMMARY_LIMIT).map(meal => ({
+      id: meal.id,
+      name: meal.name,
+      thumbnail: meal.thumbnail
+    }))
+  };
+}
+
+module.exports = { createSessionRouter };
@@ -0,0 +1,141 @@
+const express = require('express');
+const { validateUserId, validateDietaryProfile } = require('../utils/validators');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { recordMountPath } = require('../middleware/requestContext');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserDietaryProfileResponse:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         dietaryProfile:
+ *           $ref: '#/components/schemas/DietaryProfile'
+ */
+
+function createUserRouter(profileManager) {
+  const router = express.Router();
+  router.use(recordMountPath);
+
+  /**
+   * @swagger
+   * /api/users/{userId}/dietary-profile:
+   *   get:
+   *     summary: Get a user's saved dietary profile
+   *     tags: [Users]
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Saved profile
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/UserDietaryProfileResponse'
+   *       404:
+   *         description: No profile saved for this user
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.get('/:userId/dietary-profile', asyncHandler(async (req, res) => {
+    const userId = validateUserId(req.params.userId);
+
+    const dietaryProfile = await profileManager.getProfile(userId, req.auth.tenantId);
+    if (!dietaryProfile) {
+      throw new APIError('Dietary profile not found', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    res.json({ userId, dietaryProfile });
+  }));
+
+  /**
+   * @swagger
+   * /api/users/{userId}/dietary-profile:
+   *   put:
+   *     summary: Save a user's dietary profile
+   *     description: Applies to every session created or used with this userId, combined with any session-level profile.
+   *     tags: [Users]
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/DietaryProfile'
+   *     responses:
+   *       200:
+   *         description: Profile saved
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/UserDietaryProfileResponse'
+   *       400:
+   *         description: Invalid user ID or dietary profile
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.put('/:userId/dietary-profile', asyncHandler(async (req, res) => {
+    const userId = validateUserId(req.params.userId);
+    const dietaryProfile = validateDietaryProfile(req.body || {});
+
+    await profileManager.saveProfile(userId, dietaryProfile, req.auth.tenantId);
+
+    logger.info('User dietary profile saved', { userId, tenantId: req.auth.tenantId });
+    res.json({ userId, dietaryProfile });
+  }));
+
+  /**
+   * @swagger
+   * /api/users/{userId}/dietary-profile:
+   *   delete:
+   *     summary: Delete a user's dietary profile
+   *     tags: [Users]
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       204:
+   *         description: Profile deleted
+   *       404:
+   *         description: No profile saved for this user
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  router.delete('/:userId/dietary-profile', asyncHandler(async (req, res) => {
+    const userId = validateUserId(req.params.userId);
+
+    const deleted = await profileManager.deleteProfile(userId, req.auth.tenantId);
+    if (!deleted) {
+      throw new APIError('Dietary profile not found', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    logger.info('User dietary profile deleted', { userId });
+    res.status(204).end();
+  }));
+
+  return router;
+}
+
+module.exports = { createUserRouter };
@@ -0,0 +1,34 @@
+// Builds a local recipe dump for MEALDB_SOURCE=local by walking TheMealDB's first-letter search.
+// Usage: node scripts/exportMealDB.js [outputPath]
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const BASE_URL = process.env.MEALDB_BASE_URL || 'https://www.themealdb.com/api/json/v1/1';
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+async function exportMeals(outputPath) {
+  const mealsById = new Map();
+
+  for (const letter of LETTERS) {
+    const response = await axios.get(`${BASE_URL}/search.php`, { params: { f: letter }, timeout: 30000 });
+    const meals = response.data?.meals || [];
+    meals.forEach(meal => mealsById.set(meal.idMeal, meal));
+    logger.info(`Fetched meals starting with "${letter}"`, { count: meals.length });
+  }
+
+  const meals = Array.from(mealsById.values());
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify({ meals }, null, 2));
+
+  logger.info('MealDB export complete', { meals: meals.length, outputPath });
+}
+
+const outputPath = path.resolve(process.argv[2] || process.env.LOCAL_RECIPES_PATH || 'data/meals.json');
+
+exportMeals(outputPath).catch(error => {
+  logger.error('MealDB export failed', { error: error.message });
+  process.exit(1);
+});
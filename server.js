@@ -4,9 +4,21 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
 
+// Registered before anything creates spans; a no-op unless OTEL_TRACES_EXPORTER is set
+const { initTracing, shutdownTracing, getTracingInfo } = require('./utils/tracing');
+initTracing();
+
 const { RAGPipeline } = require('./services/ragPipeline');
-const { validateUserMessage, validateSessionId } = require('./utils/validators');
+const { createSessionRouter } = require('./routes/sessions');
+const { createRecipeRouter, createCategoryRouter, createShoppingListRouter } = require('./routes/recipes');
+const RecipeSearchService = require('./services/recipeSearchService');
+const ShoppingListService = require('./services/shoppingListService');
+const { createMealPlanRouter } = require('./routes/mealPlans');
+const MealPlanService = require('./services/mealPlanService');
+const { createUserRouter } = require('./routes/users');
+const { validateUserMessage, validateSessionId, validateUserId } = require('./utils/validators');
 const logger = require('./utils/logger');
+const { createSSEStream } = require('./utils/sse');
 const { 
   errorHandler, 
   notFoundHandler, 
@@ -15,9 +27,21 @@ const {
   asyncHandler,
   createErrorResponse
 } = require('./middleware/errorHandler');
+const { createRateLimiter, createBucketStore } = require('./middleware/rateLimiter');
+const { createAuthenticator, getCredentialId } = require('./middleware/auth');
+const { requestMetrics, metricsHandler } = require('./middleware/metrics');
+const { registerMetricSources } = require('./utils/metrics');
+const { assignRequestId, bindRequestContext } = require('./middleware/requestContext');
 
 const app = express();
 const ragPipeline = new RAGPipeline();
+const { authenticate, requireAdmin, getInfo: getAuthInfo } = createAuthenticator();
+
+// Gauges on /metrics read these at scrape time
+registerMetricSources({
+  sessions: () => ragPipeline.sessionManager.getStats(),
+  mealdbCache: () => ragPipeline.mealdbService.getCacheStats()
+});
 
 // Swagger configuration
 const swaggerOptions = {
@@ -49,6 +73,11 @@ const swaggerOptions = {
               type: 'string',
               description: 'Optional session ID to maintain conversation context',
               example: 'user-session-123'
+            },
+            userId: {
+              type: 'string',
+              description: 'Optional user ID; applies the user\'s saved dietary profile to the session',
+              example: 'user-42'
             }
           }
         },
@@ -59,6 +88,11 @@ const swaggerOptions = {
               type: 'string',
               description: 'AI-generated response with cooking assistance'
             },
+            recipes: {
+              type: 'array',
+              description: 'Structured recipe data that grounded the response',
+              items: { $ref: '#/components/schemas/RecipeCard' }
+            },
             sessionId: {
               type: 'string',
               description: 'Session ID for conversation continuity'
@@ -68,6 +102,24 @@ const swaggerOptions = {
               format: 'date-time',
               description: 'Response timestamp'
             },
+            scaling: {
+              description: 'Only when the message rescaled or converted the previous recipes ("make this for 8 people", "in grams")',
+              allOf: [{ $ref: '#/components/schemas/Scaling' }]
+            },
+            shoppingList: {
+              description: 'Only when the message asked for a shopping list for the previous recipes; the message is its Markdown version',
+              allOf: [{ $ref: '#/components/schemas/ShoppingList' }]
+            },
+            tokenBudget: {
+              type: 'object',
+              description: 'Only when SESSION_TOKEN_BUDGET is set. Once exceeded, the session gets a fixed reply without model calls.',
+              properties: {
+                limit: { type: 'number' },
+                used: { type: 'number' },
+                remaining: { type: 'number' },
+                exceeded: { type: 'boolean' }
+              }
+            },
             debug: {
               type: 'object',
               description: 'Debug information (development only)',
@@ -88,6 +140,36 @@ const swaggerOptions = {
                 recipeDataFound: {
                   type: 'number',
                   description: 'Number of recipes found'
+                },
+                dietaryExclusions: {
+                  type: 'array',
+                  description: 'Recipes removed by the dietary profile and why',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string' },
+                      name: { type: 'string' },
+                      reason: { type: 'string', example: 'contains Peanut Butter (allergen: peanuts)' }
+                    }
+                  }
+                },
+                tokenUsage: {
+                  description: 'Tokens used by this request, with a breakdown per pipeline phase',
+                  allOf: [
+                    { $ref: '#/components/schemas/TokenUsage' },
+                    {
+                      type: 'object',
+                      properties: {
+                        byPhase: {
+                          type: 'object',
+                          additionalProperties: { $ref: '#/components/schemas/TokenUsage' }
+                        }
+                      }
+                    }
+                  ]
+                },
+                sessionTokenUsage: {
+                  $ref: '#/components/schemas/TokenUsage'
                 }
               }
             },
@@ -101,6 +183,73 @@ const swaggerOptions = {
             }
           }
         },
+        TokenUsage: {
+          type: 'object',
+          properties: {
+            inputTokens: { type: 'number' },
+            outputTokens: { type: 'number' },
+            totalTokens: { type: 'number' },
+            calls: { type: 'number', description: 'Model calls' },
+            estimatedCalls: {
+              type: 'number',
+              description: 'Calls whose provider reported no token counts, estimated from text length'
+            }
+          }
+        },
+        RecipeCard: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '52772' },
+            name: { type: 'string', example: 'Teriyaki Chicken Casserole' },
+            category: { type: 'string', nullable: true },
+            area: { type: 'string', nullable: true },
+            thumbnail: { type: 'string', nullable: true },
+            ingredients: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  ingredient: { type: 'string', example: 'soy sauce' },
+                  measure: { type: 'string', example: '3/4 cup' },
+                  quantity: { type: 'number', nullable: true, example: 0.75, description: 'Amount parsed from measure' },
+                  unit: {
+                    type: 'string',
+                    nullable: true,
+                    example: 'cup',
+                    description: 'Normalized unit, e.g. g, kg, ml, l, tsp, tbsp, cup, oz, lb, clove, pinch'
+                  },
+                  originalMeasure: { type: 'string', description: 'Scaled recipes only: the measure before scaling' }
+                }
+              }
+            },
+            instructions: { type: 'string', nullable: true },
+            steps: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Instructions split into steps'
+            },
+            tags: { type: 'array', items: { type: 'string' } },
+            youtubeUrl: { type: 'string', nullable: true },
+            sourceUrl: { type: 'string', nullable: true },
+            detailsAvailable: {
+              type: 'boolean',
+              description: 'False for filter results that only include name and thumbnail'
+            }
+          }
+        },
+        Scaling: {
+          type: 'object',
+          properties: {
+            servings: { type: 'number', example: 8 },
+            baseServings: {
+              type: 'number',
+              example: 4,
+              description: 'Servings the original recipe is assumed to make (MealDB does not say)'
+            },
+            factor: { type: 'number', example: 2 },
+            units: { type: 'string', enum: ['original', 'metric', 'imperial'] }
+          }
+        },
         HealthResponse: {
           type: 'object',
           properties: {
@@ -162,16 +311,61 @@ const swaggerOptions = {
               type: 'string',
               description: 'Error code'
             },
+            requestId: {
+              type: 'string',
+              description: 'Same value as the X-Request-Id response header; quote it when reporting a problem'
+            },
             status: {
               type: 'number',
               description: 'HTTP status code'
             }
           }
         }
+      },
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Missing or invalid API key or bearer token',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+              example: { error: 'Invalid API key', code: 'INVALID_API_KEY' }
+            }
+          }
+        },
+        Forbidden: {
+          description: 'The credentials are valid but lack admin access',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+              example: { error: 'Admin access required', code: 'ADMIN_REQUIRED' }
+            }
+          }
+        },
+        TooManyRequests: {
+          description: 'Rate limit exceeded. `Retry-After` gives the seconds to wait; `RateLimit-*` headers describe the remaining quota',
+          headers: {
+            'Retry-After': { schema: { type: 'integer' } },
+            'RateLimit-Limit': { schema: { type: 'integer' } },
+            'RateLimit-Remaining': { schema: { type: 'integer' } },
+            'RateLimit-Reset': { schema: { type: 'integer' } }
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+              example: { error: 'Too many requests. Please try again later.', code: 'RATE_LIMIT_EXCEEDED' }
+            }
+          }
+        }
       }
-    }
+    },
+    // /health and /api-docs are public; every other endpoint accepts either scheme
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }]
   },
-  apis: ['./server.js'],
+  apis: ['./server.js', './routes/*.js'],
 };
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
@@ -180,22 +374,53 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.set('trust proxy', 1);
 
 // Middleware setup
+// Browsers refuse credentialed requests to '*', so credentials are only allowed for an explicit origin list
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-  credentials: true,
+  origin: allowedOrigins.length > 0 ? allowedOrigins : '*',
+  credentials: allowedOrigins.length > 0,
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
+// Request IDs and tracing (see middleware/requestContext.js)
+app.use(assignRequestId);
+
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
-// Request timeout
-app.use(timeoutHandler(parseInt(process.env.REQUEST_TIMEOUT_MS) || 60000));
+app.use(bindRequestContext);
+
+// Request timeout; also how long a chat stream may go without sending an event
+const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS) || 60000;
+app.use(timeoutHandler(REQUEST_TIMEOUT_MS));
 
 // Request logging
 if (process.env.NODE_ENV !== 'test') {
   app.use(requestLogger);
 }
 
+// Request counts and latency for /metrics
+app.use(requestMetrics);
+
+// Rate limiting: model-backed endpoints get a much smaller budget than the rest of the API
+const rateLimitStore = createBucketStore();
+const chatRateLimiter = createRateLimiter('chat', { store: rateLimitStore });
+const standardRateLimiter = createRateLimiter('standard', { store: rateLimitStore });
+const CHAT_PATHS = ['/api/chat', '/api/test'];
+const STANDARD_PATHS = ['/api', '/stats', '/metrics'];
+
+// The per-IP buckets run before authentication, so failed credentials are charged and can't be
+// guessed without limit; chat requests only count against the chat tier
+app.use(CHAT_PATHS, chatRateLimiter.perIp);
+app.use(STANDARD_PATHS, standardRateLimiter.perIp);
+
+// Everything except /health and the docs requires an API key or bearer token (see middleware/auth.js).
+// The per-credential buckets run after it so they use the verified identity.
+app.use(['/api', '/stats'], authenticate);
+
+app.use(CHAT_PATHS, chatRateLimiter.perCredential);
+app.use(STANDARD_PATHS, standardRateLimiter.perCredential);
+
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
@@ -206,6 +431,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *     summary: Health check endpoint
  *     description: Returns the health status of the ChefSue Backend service and its dependencies
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: Service is healthy
@@ -236,8 +462,8 @@ app.get('/health', asyncHandler(async (req, res) => {
  * @swagger
  * /stats:
  *   get:
- *     summary: Service statistics (Development only)
- *     description: Returns server statistics and RAG pipeline metrics for debugging purposes. Only available in non-production environments.
+ *     summary: Service statistics (Admin only)
+ *     description: Returns server statistics and RAG pipeline metrics for debugging purposes. Requires an admin API key or token.
  *     tags: [Debug]
  *     responses:
  *       200:
@@ -246,27 +472,53 @@ app.get('/health', asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/StatsResponse'
- *       404:
- *         description: Endpoint not available in production
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-app.get('/stats', asyncHandler(async (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(404).json(createErrorResponse('Not found', 'ROUTE_NOT_FOUND', 404));
-  }
-  
-  const stats = ragPipeline.getStats();
+app.get('/stats', requireAdmin, asyncHandler(async (req, res) => {
+  const stats = await ragPipeline.getStats();
   res.json({
     service: 'ChefSue Backend',
     uptime: process.uptime(),
     memory: process.memoryUsage(),
+    auth: getAuthInfo(),
+    rateLimits: [chatRateLimiter.getInfo(), standardRateLimiter.getInfo()],
+    tracing: getTracingInfo(),
     ...stats
   });
 }));
 
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Prometheus text exposition format: HTTP request counts and latency per route and status,
+ *       pipeline phase latency, model invocations, latency, errors and token usage, MealDB calls by
+ *       endpoint and outcome, session counts, cache hit ratios and Node.js process metrics.
+ *       Requires an admin API key or token unless METRICS_PUBLIC=true.
+ *     tags: [Debug]
+ *     responses:
+ *       200:
+ *         description: Current metric values
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+if (process.env.METRICS_PUBLIC === 'true') {
+  app.get('/metrics', metricsHandler);
+} else {
+  app.get('/metrics', authenticate, requireAdmin, metricsHandler);
+}
+
 /**
  * @swagger
  * /api/chat:
@@ -308,6 +560,8 @@ app.get('/stats', asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Internal server error
  *         content:
@@ -316,20 +570,116 @@ app.get('/stats', asyncHandler(async (req, res) => {
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 app.post('/api/chat', asyncHandler(async (req, res) => {
-  const { message, sessionId } = req.body;
+  const { validatedMessage, validatedSessionId, validatedUserId } = validateChatRequest(req.body);
+
+  // Process through RAG pipeline
+  const response = await ragPipeline.processRequest(validatedMessage, validatedSessionId, {
+    userId: validatedUserId,
+    tenantId: req.auth.tenantId,
+    credential: getCredentialId(req.auth),
+    signal: createCloseSignal(res)
+  });
+
+  // The response already went out (a timeout) or the client left
+  if (response.aborted) return;
+
+  logChatResponse(response);
+  res.json(buildChatPayload(response));
+}));
+
+/**
+ * @swagger
+ * /api/chat/stream:
+ *   post:
+ *     summary: Stream a chat response via Server-Sent Events
+ *     description: |
+ *       Same input as /api/chat, but responds with a `text/event-stream`. Events:
+ *       `phase` (pipeline progress for intent_analysis, recipe_selection, synthesis),
+ *       `token` (synthesis text chunks as they arrive from the model),
+ *       `done` (final payload identical to the /api/chat JSON response) and
+ *       `error` (emitted instead of `done` if the stream fails, or with code REQUEST_TIMEOUT
+ *       if no event was sent for REQUEST_TIMEOUT_MS).
+ *       The `message` in `done` is authoritative if it differs from the concatenated tokens.
+ *     tags: [Chat]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatRequest'
+ *     responses:
+ *       200:
+ *         description: Event stream of pipeline progress and response tokens
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: token\ndata: {\"text\":\"Here are\"}\n\n"
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api/chat/stream', asyncHandler(async (req, res) => {
+  // Validate before switching to SSE so bad input still gets a normal JSON error
+  const { validatedMessage, validatedSessionId, validatedUserId } = validateChatRequest(req.body);
+  const signal = createCloseSignal(res);
+  const stream = createSSEStream(res, {
+    idleTimeoutMs: REQUEST_TIMEOUT_MS,
+    onIdle: () => stream.send('error', createErrorResponse('Request timeout', 'REQUEST_TIMEOUT', 408))
+  });
+
+  try {
+    const response = await ragPipeline.processRequest(validatedMessage, validatedSessionId, {
+      userId: validatedUserId,
+      tenantId: req.auth.tenantId,
+      credential: getCredentialId(req.auth),
+      onEvent: (event, data) => stream.send(event, data),
+      signal
+    });
+
+    if (response.aborted) return;
+
+    logChatResponse(response);
+    stream.send('done', buildChatPayload(response));
+  } catch (error) {
+    logger.error('Chat stream failed', { error: error.message });
+    stream.send('error', createErrorResponse('Failed to generate response', 'STREAM_ERROR', 500));
+  } finally {
+    stream.close();
+  }
+}));
+
+// Shared by the JSON and streaming chat endpoints
+function validateChatRequest(body = {}) {
+  const { message, sessionId, userId } = body;
 
   // Validate input
   const validatedMessage = validateUserMessage(message);
   const validatedSessionId = validateSessionId(sessionId);
+  const validatedUserId = validateUserId(userId);
 
   logger.info('Processing chat request', {
     message: validatedMessage.substring(0, 100) + (validatedMessage.length > 100 ? '...' : ''),
     sessionId: validatedSessionId || 'new'
   });
 
-  // Process through RAG pipeline
-  const response = await ragPipeline.processRequest(validatedMessage, validatedSessionId);
+  return { validatedMessage, validatedSessionId, validatedUserId };
+}
+
+// Aborted when the response closes, so a pipeline whose client has gone (or whose request timed
+// out) stops instead of making model calls nobody will read. Firing after a normal finish is harmless.
+function createCloseSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  return controller.signal;
+}
 
+function logChatResponse(response) {
   // Log processing results
   logger.info('Response generated', {
     processingTime: `${response.processingTime}ms`,
@@ -337,17 +687,26 @@ app.post('/api/chat', asyncHandler(async (req, res) => {
     phases: response.phasesExecuted ? response.phasesExecuted.join(', ') : 'error',
     recipeDataFound: response.recipeDataFound || 0
   });
+}
 
-  res.json({
+function buildChatPayload(response) {
+  return {
     message: response.message,
+    recipes: response.recipes || [],
     sessionId: response.sessionId,
     timestamp: new Date().toISOString(),
+    ...(response.tokenBudget && { tokenBudget: response.tokenBudget }),
+    ...(response.scaling && { scaling: response.scaling }),
+    ...(response.shoppingList && { shoppingList: response.shoppingList }),
     ...(process.env.NODE_ENV === 'development' && {
       debug: {
         processingTime: response.processingTime,
         apiCallsMade: response.apiCallsMade,
         phasesExecuted: response.phasesExecuted,
-        recipeDataFound: response.recipeDataFound || 0
+        recipeDataFound: response.recipeDataFound || 0,
+        dietaryExclusions: response.dietaryExclusions || [],
+        tokenUsage: response.tokenUsage,
+        sessionTokenUsage: response.sessionTokenUsage
       }
     }),
     ...(response.error && process.env.NODE_ENV === 'development' && {
@@ -356,11 +715,36 @@ app.post('/api/chat', asyncHandler(async (req, res) => {
         message: response.errorMessage
       }
     })
-  });
+  };
+}
+
+// Meal plans are stored per session and deleted with it
+const mealPlanService = new MealPlanService(ragPipeline.mealdbService, ragPipeline.vocabularyService);
+
+// Session management
+app.use('/api/sessions', createSessionRouter(ragPipeline.sessionManager, mealPlanService));
+
+// Saved per-user dietary profiles
+app.use('/api/users', createUserRouter(ragPipeline.profileManager));
+
+// Direct recipe endpoints: lookup, search and browse without the model
+app.use('/api/recipes', createRecipeRouter({
+  pantryService: ragPipeline.pantryService,
+  recipeSearchService: new RecipeSearchService(ragPipeline.mealdbService),
+  mealdbService: ragPipeline.mealdbService,
+  vocabularyService: ragPipeline.vocabularyService
+}));
+app.use('/api/categories', createCategoryRouter(ragPipeline.mealdbService));
+app.use('/api/shopping-list', createShoppingListRouter(new ShoppingListService(ragPipeline.mealdbService)));
+app.use('/api/meal-plans', createMealPlanRouter({
+  mealPlanService,
+  sessionManager: ragPipeline.sessionManager,
+  profileManager: ragPipeline.profileManager,
+  mealdbService: ragPipeline.mealdbService
 }));
 
 // Helper function for test cases
-async function runTestCases(ragPipeline) {
+async function runTestCases(ragPipeline, auth) {
   const testCases = [
     { message: "Hello", description: "Simple greeting" },
     { message: "chicken recipes", description: "Basic recipe search" },
@@ -374,7 +758,10 @@ async function runTestCases(ragPipeline) {
     try {
       logger.debug(`Testing: ${testCase.description}`);
       
-      const response = await ragPipeline.processRequest(testCase.message);
+      const response = await ragPipeline.processRequest(testCase.message, null, {
+        tenantId: auth.tenantId,
+        credential: getCredentialId(auth)
+      });
       
       results.push({
         ...testCase,
@@ -400,8 +787,8 @@ async function runTestCases(ragPipeline) {
  * @swagger
  * /api/test:
  *   post:
- *     summary: Run test cases (Development only)
- *     description: Executes a series of test cases against the RAG pipeline to verify functionality. Only available in development environment.
+ *     summary: Run test cases (Admin only)
+ *     description: Executes a series of test cases against the RAG pipeline to verify functionality. Requires an admin API key or token.
  *     tags: [Debug]
  *     responses:
  *       200:
@@ -440,23 +827,19 @@ async function runTestCases(ragPipeline) {
  *                           type: string
  *                       error:
  *                         type: string
- *       404:
- *         description: Endpoint not available in production
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-if (process.env.NODE_ENV === 'development') {
-  app.post('/api/test', asyncHandler(async (req, res) => {
-    const results = await runTestCases(ragPipeline);
-    res.json({
-      service: 'ChefSue Backend Test Suite',
-      timestamp: new Date().toISOString(),
-      results
-    });
-  }));
-}
+app.post('/api/test', requireAdmin, asyncHandler(async (req, res) => {
+  const results = await runTestCases(ragPipeline, req.auth);
+  res.json({
+    service: 'ChefSue Backend Test Suite',
+    timestamp: new Date().toISOString(),
+    results
+  });
+}));
 
 // 404 handler
 app.use(notFoundHandler);
@@ -470,12 +853,21 @@ const server = app.listen(PORT, () => {
   logger.info('ChefSue Backend started', {
     port: PORT,
     environment: process.env.NODE_ENV || 'development',
-    aiService: process.env.BEDROCK_MODEL_ID || 'Not configured',
-    mealdbService: process.env.MEALDB_BASE_URL ? 'Connected' : 'Not configured',
+    aiService: ragPipeline.aiService.getProviderInfo(),
+    mealdbService: ragPipeline.mealdbService.source === 'local' ? 'Local recipe store' : (process.env.MEALDB_BASE_URL ? 'Connected' : 'Not configured'),
     endpoints: {
       chat: 'POST /api/chat',
+      chatStream: 'POST /api/chat/stream',
+      sessions: 'POST /api/sessions, GET|DELETE /api/sessions/:id, PUT /api/sessions/:id/dietary-profile',
+      dietaryProfiles: 'GET|PUT|DELETE /api/users/:userId/dietary-profile',
+      recipes: 'GET /api/recipes, GET /api/recipes/:id, GET /api/recipes/:id/scaled, GET /api/recipes/random, GET /api/categories',
+      pantry: 'POST /api/recipes/pantry',
+      shoppingList: 'POST /api/shopping-list',
+      mealPlans: 'POST /api/meal-plans, GET /api/meal-plans/:id, PATCH /api/meal-plans/:id/slots/:slot',
       health: 'GET /health',
-      stats: 'GET /stats (dev only)'
+      stats: 'GET /stats (admin)',
+      metrics: `GET /metrics${process.env.METRICS_PUBLIC === 'true' ? '' : ' (admin)'}`,
+      test: 'POST /api/test (admin)'
     }
   });
 
@@ -497,7 +889,8 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
+    await shutdownTracing();
     logger.info('Server closed. Exiting process.');
     process.exit(0);
   });
@@ -505,7 +898,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
+    await shutdownTracing();
     logger.info('Server closed. Exiting process.');
     process.exit(0);
   });
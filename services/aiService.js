@@ -1,70 +1,183 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { createPhase1Prompt, createPhase2Prompt, createSynthesisPrompt } = require('../utils/prompts');
-const { isValidJSON } = require('../utils/validators');
+const { createProvider } = require('./providers');
+const {
+  createPhase1Prompt,
+  createPhase2Prompt,
+  createSynthesisPrompt,
+  createRepairPrompt,
+  createAgentStepPrompt
+} = require('../utils/prompts');
+const {
+  parseStructuredOutput,
+  API_CALLS_SCHEMA,
+  SELECTION_SCHEMA,
+  AGENT_STEP_SCHEMA
+} = require('../utils/structuredOutput');
+const { getToolDefinitions, toolCallsToApiCalls, PHASE1_TOOLS, SELECTION_TOOLS } = require('../utils/tools');
+const { observeLLMCall, recordTokenUsage } = require('../utils/metrics');
+const { withSpan, SpanKind } = require('../utils/tracing');
+const { getRequestContext } = require('../utils/requestContext');
+const { estimateTokens } = require('../utils/tokenUsage');
 const logger = require('../utils/logger');
-require('dotenv').config();
+
+// Ingredients listed per recipe in the no-model fallback response
+const FALLBACK_KEY_INGREDIENTS = 6;
 
 class AIService {
-  constructor() {
-    this.bedrock = new BedrockRuntimeClient({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      },
-    });
-    
-    this.modelId = process.env.BEDROCK_MODEL_ID || 'mistral.mistral-7b-instruct-v0:2';
-    this.timeout = parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000;
+  constructor(provider = createProvider()) {
+    this.provider = provider;
+
+    // Tool-capable models get MealDB as native tools; others use the JSON-in-text protocol
+    this.useNativeTools = process.env.NATIVE_TOOL_CALLING !== 'false' &&
+      typeof provider.supportsTools === 'function' &&
+      provider.supportsTools();
+
+    // How prompt-protocol JSON replies were recovered, per phase
+    this.parseStats = {
+      analysis: createParseCounters(),
+      selection: createParseCounters(),
+      agent: createParseCounters()
+    };
   }
 
-  async analyzePipeline(userMessage, conversationHistory = []) {
-    const prompt = createPhase1Prompt(userMessage, conversationHistory);
+  async analyzePipeline(userMessage, conversationHistory = [], options = {}) {
+    const prompt = createPhase1Prompt(userMessage, conversationHistory, {
+      ...options,
+      toolMode: this.useNativeTools
+    });
     
     try {
+      if (this.useNativeTools) {
+        const response = await this.invokeModelWithTools(prompt, PHASE1_TOOLS);
+        return this.parseToolAnalysisResponse(response);
+      }
+
       const response = await this.invokeModel(prompt);
-      return this.parseAnalysisResponse(response);
+      return await this.parseAnalysisResponse(response, prompt);
     } catch (error) {
       logger.error('AI Pipeline Analysis Error', { error: error.message });
       throw new Error(`Failed to analyze user intent: ${error.message}`);
     }
   }
 
-  parseAnalysisResponse(response) {
-    // Try to parse as JSON first (structured response)
-    if (isValidJSON(response)) {
-      const parsed = JSON.parse(response);
-      if (parsed.api_calls && Array.isArray(parsed.api_calls)) {
-        return parsed;
-      }
+  async parseAnalysisResponse(response, prompt) {
+    // Chat replies are plain text; anything mentioning api_calls or shaped like JSON is meant to be structured
+    const looksStructured = response.includes('api_calls') || /^\s*(```|\{)/.test(response);
+    if (!looksStructured) {
+      this.recordParseOutcome('analysis', 'text');
+      return { direct_response: response };
     }
-    
-    // If not valid JSON or doesn't have api_calls, return as direct response
-    return { direct_response: response };
+
+    const parsed = await this.parseWithRetry('analysis', response, prompt, API_CALLS_SCHEMA);
+    if (!parsed) {
+      throw new Error('AI returned malformed API calls');
+    }
+    return parsed;
+  }
+
+  parseToolAnalysisResponse(response) {
+    if (response.toolCalls.length > 0) {
+      return { api_calls: toolCallsToApiCalls(response.toolCalls) };
+    }
+
+    if (!response.text) {
+      throw new Error('Empty response from AI model');
+    }
+    return { direct_response: response.text };
   }
 
   async selectRecipes(filterResults, userMessage) {
-    const prompt = createPhase2Prompt(userMessage, filterResults);
+    const prompt = createPhase2Prompt(userMessage, filterResults, { toolMode: this.useNativeTools });
     
     try {
+      if (this.useNativeTools) {
+        const response = await this.invokeModelWithTools(prompt, SELECTION_TOOLS);
+        return response.toolCalls.length > 0
+          ? { api_calls: toolCallsToApiCalls(response.toolCalls) }
+          : this.createFallbackSelectionResult(filterResults);
+      }
+
       const response = await this.invokeModel(prompt);
-      return this.parseSelectionResponse(response, filterResults);
+      return await this.parseSelectionResponse(response, filterResults, prompt);
     } catch (error) {
       logger.error('Recipe Selection Error', { error: error.message });
       return this.createFallbackSelectionResult(filterResults);
     }
   }
 
-  parseSelectionResponse(response, filterResults) {
-    if (isValidJSON(response)) {
-      const parsed = JSON.parse(response);
-      if (parsed.api_calls && Array.isArray(parsed.api_calls)) {
-        return parsed;
+  async parseSelectionResponse(response, filterResults, prompt) {
+    const parsed = await this.parseWithRetry('selection', response, prompt, SELECTION_SCHEMA);
+    
+    // Fallback: if AI doesn't return usable JSON, select first 3 meals
+    return parsed || this.createFallbackSelectionResult(filterResults);
+  }
+
+  // Agent mode: returns { api_calls } for the next step, or { done: true }
+  async planNextStep(userMessage, executedSteps, options = {}) {
+    const prompt = createAgentStepPrompt(userMessage, executedSteps, {
+      ...options,
+      toolMode: this.useNativeTools
+    });
+
+    try {
+      if (this.useNativeTools) {
+        const response = await this.invokeModelWithTools(prompt, PHASE1_TOOLS);
+        return response.toolCalls.length > 0
+          ? { api_calls: toolCallsToApiCalls(response.toolCalls) }
+          : { done: true };
+      }
+
+      const response = await this.invokeModel(prompt);
+
+      // A plain-text reply ("DONE") means the model has finished
+      if (!response.includes('{')) {
+        this.recordParseOutcome('agent', 'text');
+        return { done: true };
       }
+
+      const parsed = await this.parseWithRetry('agent', response, prompt, AGENT_STEP_SCHEMA);
+      return parsed?.api_calls?.length > 0 && !parsed.done
+        ? { api_calls: parsed.api_calls }
+        : { done: true };
+    } catch (error) {
+      logger.error('Agent Step Planning Error', { error: error.message });
+      return { done: true };
     }
-    
-    // Fallback: if AI doesn't return valid JSON, select first 3 meals
-    return this.createFallbackSelectionResult(filterResults);
+  }
+
+  // Extracts and repairs JSON from the reply; if that fails, asks the model once more with the error
+  async parseWithRetry(phase, response, prompt, schema) {
+    const first = parseStructuredOutput(response, schema);
+    if (first.value) {
+      this.recordParseOutcome(phase, first.status);
+      return first.value;
+    }
+
+    logger.warn('Unusable structured output, re-prompting', { phase, error: first.error });
+
+    try {
+      const retryResponse = await this.invokeModel(createRepairPrompt(prompt, response, first.error));
+      const second = parseStructuredOutput(retryResponse, schema);
+      if (second.value) {
+        this.recordParseOutcome(phase, 'reprompted');
+        return second.value;
+      }
+      logger.warn('Structured output still unusable after re-prompt', { phase, error: second.error });
+    } catch (error) {
+      logger.warn('Re-prompt failed', { phase, error: error.message });
+    }
+
+    this.recordParseOutcome(phase, 'failed');
+    return null;
+  }
+
+  recordParseOutcome(phase, outcome) {
+    this.parseStats[phase][outcome]++;
+  }
+
+  getParseStats() {
+    return Object.fromEntries(
+      Object.entries(this.parseStats).map(([phase, counters]) => [phase, { ...counters }])
+    );
   }
 
   createFallbackSelectionResult(filterResults) {
@@ -72,8 +185,8 @@ class AIService {
     return { api_calls: fallbackCalls };
   }
 
-  async synthesizeResponse(mealData, userMessage, conversationHistory = []) {
-    const prompt = createSynthesisPrompt(userMessage, mealData, conversationHistory);
+  async synthesizeResponse(mealData, userMessage, conversationHistory = [], options = {}) {
+    const prompt = createSynthesisPrompt(userMessage, mealData, conversationHistory, options);
     
     try {
       const response = await this.invokeModel(prompt);
@@ -85,88 +198,96 @@ class AIService {
     }
   }
 
-  async invokeModel(prompt) {
-    const command = new InvokeModelCommand({
-      modelId: this.modelId,
-      body: JSON.stringify(this.formatPromptForModel(prompt)),
-      contentType: 'application/json',
-      accept: 'application/json',
-    });
+  // Streaming variant of synthesizeResponse: onToken receives text chunks as Bedrock emits them
+  async synthesizeResponseStream(mealData, userMessage, conversationHistory = [], onToken = () => {}, options = {}) {
+    const prompt = createSynthesisPrompt(userMessage, mealData, conversationHistory, options);
+    let streamedText = '';
 
-    const response = await Promise.race([
-      this.bedrock.send(command),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Request timeout')), this.timeout)
-      )
-    ]);
+    try {
+      const response = await this.invokeModelStream(prompt, (text) => {
+        streamedText += text;
+        onToken(text);
+      });
+      return response;
 
-    const responseBody = new TextDecoder().decode(response.body);
-    const parsed = JSON.parse(responseBody);
+    } catch (error) {
+      logger.error('Response Synthesis Stream Error', { error: error.message });
+
+      // Keep whatever the client already received rather than contradicting it
+      if (streamedText.trim()) {
+        return streamedText.trim();
+      }
 
-    return this.extractResponseText(parsed);
+      const fallback = this.createFallbackResponse(mealData, userMessage);
+      onToken(fallback);
+      return fallback;
+    }
   }
 
-  formatPromptForModel(prompt) {
-    const baseConfig = this.getBaseConfig();
-    const formatters = this.getModelFormatters(baseConfig, prompt);
-    const modelType = this.detectModelType(formatters);
-    
-    return modelType ? formatters[modelType]() : { ...baseConfig, prompt };
+  async invokeModel(prompt) {
+    return await this.observeInvocation('invoke', prompt, options => this.provider.invoke(prompt, options));
   }
 
-  getBaseConfig() {
-    return {
-      max_tokens: 2048,
-      temperature: 0.7,
-      top_p: 0.9,
-    };
+  async invokeModelStream(prompt, onToken) {
+    return await this.observeInvocation('stream', prompt, options => this.provider.invokeStream(prompt, onToken, options));
   }
 
-  getModelFormatters(baseConfig, prompt) {
-    return {
-      mistral: () => ({
-        ...baseConfig,
-        prompt: `<s>[INST] ${prompt} [/INST]`,
-        stop: ['</s>']
-      }),
-      claude: () => ({
-        anthropic_version: "bedrock-2023-05-31",
-        max_tokens: 2048,
-        temperature: 0.7,
-        top_p: 0.9,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ]
-      }),
-      llama: () => ({
-        ...baseConfig,
-        prompt: `<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n${prompt}<|eot_id|><|start_header_id|>assistant<|end_header_id|>`
-      })
-    };
+  async invokeModelWithTools(prompt, toolNames) {
+    return await this.observeInvocation('tools', prompt, options => this.provider.invokeWithTools(prompt, getToolDefinitions(toolNames), options));
   }
 
-  detectModelType(formatters) {
-    return Object.keys(formatters).find(type => this.modelId.includes(type));
+  // One metrics sample and one client span per model call, plus its token usage. The pipeline's
+  // abort signal (see RAGPipeline.processRequest) is passed on so providers can cancel the call.
+  observeInvocation(operation, prompt, invoke) {
+    const { provider, model } = this.provider.getInfo();
+    const signal = getRequestContext()?.signal;
+    signal?.throwIfAborted();
+
+    return withSpan(`llm.${operation}`, {
+      'gen_ai.system': provider,
+      'gen_ai.request.model': model,
+      'gen_ai.operation.name': operation
+    }, async (span) => {
+      let reported = null;
+      const onUsage = (usage) => {
+        reported = {
+          inputTokens: (reported?.inputTokens || 0) + (usage.inputTokens || 0),
+          outputTokens: (reported?.outputTokens || 0) + (usage.outputTokens || 0)
+        };
+      };
+
+      const response = await observeLLMCall({ provider, model, operation }, () => invoke({ onUsage, signal }));
+
+      const usage = reported || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(response), estimated: true };
+      this.recordUsage(provider, model, usage);
+      span.setAttributes({
+        'gen_ai.usage.input_tokens': usage.inputTokens,
+        'gen_ai.usage.output_tokens': usage.outputTokens
+      });
+      return response;
+    }, { kind: SpanKind.CLIENT });
   }
 
-  extractResponseText(parsed) {
-    // Handle different model response formats
-    if (parsed.outputs && parsed.outputs[0]?.text) {
-      return parsed.outputs[0].text.trim();
-    } else if (parsed.completion) {
-      return parsed.completion.trim();
-    } else if (parsed.content && parsed.content[0]?.text) {
-      return parsed.content[0].text.trim();
-    } else if (parsed.text) {
-      return parsed.text.trim();
-    } else {
-      throw new Error('Invalid response format from AI model');
+  // Metrics only count what the provider reported; the pipeline's tracker (see RAGPipeline.processRequest)
+  // also takes estimates so budgets apply to every provider
+  recordUsage(provider, model, usage) {
+    if (!usage.estimated) {
+      recordTokenUsage(provider, model, usage);
+    }
+
+    const context = getRequestContext();
+    if (context?.tokenUsage) {
+      context.tokenUsage.record(context.phase || 'other', usage);
     }
   }
 
+  getProviderInfo() {
+    return {
+      ...this.provider.getInfo(),
+      toolCalling: this.useNativeTools ? 'native' : 'prompt'
+    };
+  }
+
   createFallbackSelection(filterResults) {
     const fallbackCalls = [];
     
@@ -177,7 +298,7 @@ class AIService {
         for (const meal of selectedMeals) {
           fallbackCalls.push({
             endpoint: 'lookup.php',
-            params: { i: meal.idMeal }
+            params: { i: meal.id }
           });
           
           // Don't exceed max calls
@@ -235,13 +356,13 @@ class AIService {
   }
 
   formatMealForFallback(meal) {
-    let mealText = `**${meal.strMeal}**\n`;
+    let mealText = `**${meal.name}**\n`;
     
-    if (meal.strCategory) {
-      mealText += `Category: ${meal.strCategory}\n`;
+    if (meal.category) {
+      mealText += `Category: ${meal.category}\n`;
     }
     
-    const ingredients = this.extractMealIngredients(meal);
+    const ingredients = meal.ingredients.slice(0, FALLBACK_KEY_INGREDIENTS).map(item => item.name);
     if (ingredients.length > 0) {
       mealText += `Key ingredients: ${ingredients.join(', ')}\n`;
     }
@@ -249,17 +370,6 @@ class AIService {
     return mealText + '\n';
   }
 
-  extractMealIngredients(meal) {
-    const ingredients = [];
-    for (let i = 1; i <= 6; i++) {
-      const ingredient = meal[`strIngredient${i}`];
-      if (ingredient && ingredient.trim()) {
-        ingredients.push(ingredient.trim());
-      }
-    }
-    return ingredients;
-  }
-
   // Health check method
   async healthCheck() {
     try {
@@ -272,4 +382,8 @@ class AIService {
   }
 }
 
+function createParseCounters() {
+  return { parsed: 0, extracted: 0, repaired: 0, reprompted: 0, failed: 0, text: 0 };
+}
+
 module.exports = AIService;
\ No newline at end of file
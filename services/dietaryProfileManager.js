@@ -0,0 +1,38 @@
+const { createStore, tenantKey, DEFAULT_TENANT } = require('./stores');
+const { mergeProfiles, isEmptyProfile } = require('../utils/dietary');
+
+// Per-user dietary profiles that outlive sessions; stored without a TTL in the 'profiles' namespace.
+// User IDs are scoped to a tenant.
+class DietaryProfileManager {
+  constructor(options = {}) {
+    this.store = options.store || createStore('profiles');
+  }
+
+  async getProfile(userId, tenantId = DEFAULT_TENANT) {
+    const record = await this.store.get(tenantKey(tenantId, userId));
+    return record ? record.dietaryProfile : null;
+  }
+
+  async saveProfile(userId, dietaryProfile, tenantId = DEFAULT_TENANT) {
+    await this.store.set(tenantKey(tenantId, userId), {
+      id: userId,
+      tenantId,
+      dietaryProfile,
+      updatedAt: new Date().toISOString()
+    });
+    return dietaryProfile;
+  }
+
+  async deleteProfile(userId, tenantId = DEFAULT_TENANT) {
+    return await this.store.delete(tenantKey(tenantId, userId));
+  }
+
+  // The user's saved profile combined with any session-level restrictions
+  async resolveProfile(session) {
+    const userProfile = session.userId ? await this.getProfile(session.userId, session.tenantId) : null;
+    const profile = mergeProfiles(userProfile, session.dietaryProfile);
+    return isEmptyProfile(profile) ? null : profile;
+  }
+}
+
+module.exports = DietaryProfileManager;
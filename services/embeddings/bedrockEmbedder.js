@@ -0,0 +1,52 @@
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+require('dotenv').config();
+
+// Amazon Titan text embeddings on Bedrock
+class BedrockEmbedder {
+  constructor(options = {}) {
+    this.name = 'bedrock';
+    this.modelId = options.modelId || process.env.EMBEDDING_MODEL_ID || 'amazon.titan-embed-text-v2:0';
+    this.bedrock = options.client || new BedrockRuntimeClient({
+      region: process.env.AWS_REGION,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+  }
+
+  async embed(text) {
+    const command = new InvokeModelCommand({
+      modelId: this.modelId,
+      body: JSON.stringify({ inputText: text, normalize: true }),
+      contentType: 'application/json',
+      accept: 'application/json',
+    });
+
+    const response = await this.bedrock.send(command);
+    const parsed = JSON.parse(new TextDecoder().decode(response.body));
+
+    if (!Array.isArray(parsed.embedding)) {
+      throw new Error('Invalid response format from embedding model');
+    }
+    return parsed.embedding;
+  }
+
+  async embedBatch(texts) {
+    // Titan embeds one input per request
+    const vectors = [];
+    for (const text of texts) {
+      vectors.push(await this.embed(text));
+    }
+    return vectors;
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      model: this.modelId
+    };
+  }
+}
+
+module.exports = BedrockEmbedder;
@@ -0,0 +1,26 @@
+const LocalEmbedder = require('./localEmbedder');
+const BedrockEmbedder = require('./bedrockEmbedder');
+const OpenAIEmbedder = require('./openaiEmbedder');
+require('dotenv').config();
+
+const EMBEDDERS = {
+  local: LocalEmbedder,
+  bedrock: BedrockEmbedder,
+  openai: OpenAIEmbedder
+};
+
+// Selected with EMBEDDING_PROVIDER; every embedder implements embed(text), embedBatch(texts) and getInfo()
+function createEmbedder(name = process.env.EMBEDDING_PROVIDER || 'local', options = {}) {
+  const Embedder = EMBEDDERS[name.toLowerCase()];
+  if (!Embedder) {
+    throw new Error(`Unknown embedding provider: ${name}. Available providers: ${Object.keys(EMBEDDERS).join(', ')}`);
+  }
+  return new Embedder(options);
+}
+
+module.exports = {
+  createEmbedder,
+  LocalEmbedder,
+  BedrockEmbedder,
+  OpenAIEmbedder
+};
@@ -0,0 +1,110 @@
+const DEFAULT_DIMENSIONS = 512;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'have',
+  'i', 'in', 'into', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please', 'some', 'something',
+  'that', 'the', 'then', 'this', 'to', 'until', 'want', 'what', 'with', 'you', 'your'
+]);
+
+// Small concept lexicon so mood-style queries land near concrete dishes without a real model
+const CONCEPT_EXPANSIONS = {
+  cozy: ['stew', 'soup', 'casserole', 'pie', 'curry', 'warm', 'bake'],
+  comfort: ['stew', 'casserole', 'pie', 'pasta', 'cheese', 'bake'],
+  rainy: ['soup', 'stew', 'warm'],
+  cold: ['soup', 'stew', 'warm'],
+  winter: ['stew', 'soup', 'roast', 'pie'],
+  summer: ['salad', 'grill', 'fresh', 'fruit'],
+  light: ['salad', 'fish', 'vegetable', 'steam'],
+  healthy: ['salad', 'vegetable', 'fish', 'lentil', 'steam'],
+  spicy: ['chilli', 'chili', 'curry', 'pepper', 'jalapeno'],
+  sweet: ['dessert', 'sugar', 'cake', 'chocolate'],
+  quick: ['fry', 'stir', 'minute', 'pan'],
+  breakfast: ['egg', 'pancake', 'toast', 'bacon'],
+  meatless: ['vegetarian', 'vegan', 'lentil', 'bean'],
+  seafood: ['fish', 'prawn', 'salmon'],
+  salmon: ['fish'],
+  cod: ['fish'],
+  tuna: ['fish'],
+  casserole: ['bake', 'comfort'],
+  stew: ['comfort', 'warm']
+};
+
+// Deterministic offline embedder: feature-hashed unigrams and bigrams with light stemming.
+// Not semantic in the ML sense, but stable and good enough to exercise retrieval without a model.
+class LocalEmbedder {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS;
+  }
+
+  async embed(text) {
+    return this.embedSync(text);
+  }
+
+  async embedBatch(texts) {
+    return texts.map(text => this.embedSync(text));
+  }
+
+  embedSync(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+
+    tokens.forEach((token, index) => {
+      this.addFeature(vector, token, 1);
+
+      (CONCEPT_EXPANSIONS[token] || []).forEach(concept => this.addFeature(vector, concept, 0.5));
+
+      if (index > 0) {
+        this.addFeature(vector, `${tokens[index - 1]}_${token}`, 0.5);
+      }
+    });
+
+    return normalizeVector(vector);
+  }
+
+  addFeature(vector, feature, weight) {
+    const hash = fnv1a(feature);
+    const index = hash % this.dimensions;
+    // Use a separate bit for the sign so colliding features tend to cancel rather than stack
+    const sign = (hash >>> 16) & 1 ? 1 : -1;
+    vector[index] += sign * weight;
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      dimensions: this.dimensions
+    };
+  }
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ches|shes|xes|oes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeVector(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+}
+
+module.exports = LocalEmbedder;
@@ -0,0 +1,49 @@
+const axios = require('axios');
+require('dotenv').config();
+
+// Any server exposing the OpenAI /embeddings API (Ollama, llama.cpp, vLLM, OpenAI)
+class OpenAIEmbedder {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1';
+    this.modelId = options.modelId || process.env.EMBEDDING_MODEL_ID || 'nomic-embed-text';
+
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+    this.client = options.client || axios.create({
+      baseURL: this.baseURL,
+      timeout: parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      }
+    });
+  }
+
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    const response = await this.client.post('/embeddings', { model: this.modelId, input: texts });
+    const data = response.data?.data;
+
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error('Invalid response format from embedding model');
+    }
+    return data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      model: this.modelId,
+      baseURL: this.baseURL
+    };
+  }
+}
+
+module.exports = OpenAIEmbedder;
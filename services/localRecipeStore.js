@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '..', 'data', 'sample-meals.json');
+
+// In-process stand-in for TheMealDB API, seeded from a JSON dump of MealDB-format meals.
+// query() returns the same payload shapes as the remote endpoints.
+class LocalRecipeStore {
+  constructor(options = {}) {
+    this.dataPath = options.dataPath || process.env.LOCAL_RECIPES_PATH || DEFAULT_DATA_PATH;
+    this.meals = [];
+    this.byId = new Map();
+
+    this.load(options.meals || this.readDump(this.dataPath));
+  }
+
+  readDump(dataPath) {
+    const raw = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    // Accept either a raw array or a saved MealDB response ({ meals: [...] })
+    return Array.isArray(raw) ? raw : raw.meals || [];
+  }
+
+  load(meals) {
+    this.meals = meals.filter(meal => meal && meal.idMeal && meal.strMeal);
+    this.byId = new Map(this.meals.map(meal => [String(meal.idMeal), meal]));
+
+    logger.info('Local recipe store loaded', { meals: this.meals.length, source: this.dataPath });
+  }
+
+  query(endpoint, params = {}) {
+    const handlers = {
+      'search.php': () => this.search(params),
+      'filter.php': () => this.filter(params),
+      'lookup.php': () => this.lookup(params),
+      'random.php': () => this.random(),
+      'list.php': () => this.list(params),
+      'categories.php': () => this.categories()
+    };
+
+    const handler = handlers[endpoint];
+    if (!handler) {
+      const error = new Error(`Local recipe store does not support ${endpoint}`);
+      error.response = { status: 404, statusText: 'Not Found' };
+      throw error;
+    }
+
+    return handler();
+  }
+
+  search(params) {
+    if (params.f !== undefined) {
+      const letter = normalize(params.f).charAt(0);
+      return toResponse(this.meals.filter(meal => normalize(meal.strMeal).startsWith(letter)));
+    }
+
+    const query = normalize(params.s);
+    return toResponse(this.meals.filter(meal => normalize(meal.strMeal).includes(query)));
+  }
+
+  filter(params) {
+    let matches = [];
+
+    if (params.i !== undefined) {
+      // MealDB accepts underscores in place of spaces for multi-word ingredients
+      const ingredient = normalize(params.i).replace(/_/g, ' ');
+      matches = this.meals.filter(meal => getIngredients(meal).includes(ingredient));
+    } else if (params.c !== undefined) {
+      matches = this.meals.filter(meal => normalize(meal.strCategory) === normalize(params.c));
+    } else if (params.a !== undefined) {
+      matches = this.meals.filter(meal => normalize(meal.strArea) === normalize(params.a));
+    }
+
+    return toResponse(matches.map(toFilterStub));
+  }
+
+  lookup(params) {
+    const meal = this.byId.get(String(params.i));
+    return { meals: meal ? [meal] : null };
+  }
+
+  random() {
+    if (this.meals.length === 0) {
+      return { meals: null };
+    }
+    const meal = this.meals[Math.floor(Math.random() * this.meals.length)];
+    return { meals: [meal] };
+  }
+
+  // list.php returns one field per entry, e.g. { strArea: 'Italian' }
+  list(params) {
+    if (params.c === 'list') {
+      return { meals: this.distinct(meal => [meal.strCategory]).map(name => ({ strCategory: name })) };
+    }
+    if (params.a === 'list') {
+      return { meals: this.distinct(meal => [meal.strArea]).map(name => ({ strArea: name })) };
+    }
+    if (params.i === 'list') {
+      const names = this.distinct(meal => getIngredientNames(meal));
+      return {
+        meals: names.map((name, index) => ({
+          idIngredient: String(index + 1),
+          strIngredient: name,
+          strDescription: null,
+          strType: null
+        }))
+      };
+    }
+    return { meals: null };
+  }
+
+  distinct(getValues) {
+    const seen = new Map();
+    for (const meal of this.meals) {
+      for (const value of getValues(meal)) {
+        if (value && !seen.has(normalize(value))) {
+          seen.set(normalize(value), value.trim());
+        }
+      }
+    }
+    return [...seen.values()].sort((a, b) => a.localeCompare(b));
+  }
+
+  categories() {
+    const names = [...new Set(this.meals.map(meal => meal.strCategory).filter(Boolean))].sort();
+
+    return {
+      categories: names.map((name, index) => ({
+        idCategory: String(index + 1),
+        strCategory: name,
+        strCategoryThumb: `https://www.themealdb.com/images/category/${name.toLowerCase()}.png`,
+        strCategoryDescription: ''
+      }))
+    };
+  }
+
+  isLoaded() {
+    return this.meals.length > 0;
+  }
+
+  getStats() {
+    return {
+      dataPath: this.dataPath,
+      meals: this.meals.length
+    };
+  }
+}
+
+function normalize(value) {
+  return (value ?? '').toString().trim().toLowerCase();
+}
+
+function getIngredients(meal) {
+  const ingredients = [];
+  for (let i = 1; i <= 20; i++) {
+    const ingredient = normalize(meal[`strIngredient${i}`]);
+    if (ingredient) {
+      ingredients.push(ingredient);
+    }
+  }
+  return ingredients;
+}
+
+// Original casing, for list.php
+function getIngredientNames(meal) {
+  const names = [];
+  for (let i = 1; i <= 20; i++) {
+    const ingredient = (meal[`strIngredient${i}`] ?? '').toString().trim();
+    if (ingredient) {
+      names.push(ingredient);
+    }
+  }
+  return names;
+}
+
+// filter.php only returns these three fields
+function toFilterStub(meal) {
+  return {
+    strMeal: meal.strMeal,
+    strMealThumb: meal.strMealThumb,
+    idMeal: meal.idMeal
+  };
+}
+
+function toResponse(meals) {
+  return { meals: meals.length > 0 ? meals : null };
+}
+
+module.exports = LocalRecipeStore;
@@ -0,0 +1,201 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore, tenantKey, DEFAULT_TENANT } = require('./stores');
+const { getVocabulary } = require('../utils/vocabulary');
+const { findViolation, findCategoryViolation } = require('../utils/dietary');
+const { createSlots, slotCategories, blockedBy, toPlannedRecipe, MEALS_BY_COUNT } = require('../utils/mealPlans');
+const { fromMealDB } = require('../utils/mealdbErrors');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// A slot tries this many categories, looking up this many recipes in each (in parallel), before it is left empty
+const MAX_CATEGORIES_PER_SLOT = 3;
+const MAX_LOOKUPS_PER_CATEGORY = 4;
+
+// Plans a number of days of meals from MealDB categories. Every recipe respects the dietary
+// profile; with the variety rules on, main meals don't share a category or area with those of
+// the day before or after, and no recipe appears twice. Plans are stored per tenant under the
+// 'mealPlans' namespace and expire MEAL_PLAN_TTL_DAYS after their last change. Each session's plan
+// IDs are kept under 'mealPlanSessions', apart from the session record: chat turns save the whole
+// session, so a list kept there could lose plans created meanwhile.
+class MealPlanService {
+  constructor(mealdbService, vocabularyService, options = {}) {
+    this.mealdbService = mealdbService;
+    this.vocabularyService = vocabularyService;
+    this.store = options.store || createStore('mealPlans');
+    this.sessionIndex = options.sessionIndex || createStore('mealPlanSessions');
+    this.ttlSeconds = (parseInt(process.env.MEAL_PLAN_TTL_DAYS) || 14) * 24 * 60 * 60;
+  }
+
+  // options: { days, mealsPerDay, startDate, variety } from validateMealPlanRequest, plus the
+  // session it belongs to and the resolved dietaryProfile (or null). A plan nothing fits at all
+  // is returned unsaved, with every slot empty.
+  async create({ days, mealsPerDay, startDate, variety, dietaryProfile, sessionId, tenantId = DEFAULT_TENANT }) {
+    await this.vocabularyService.ensureLoaded();
+
+    const now = new Date().toISOString();
+    const plan = {
+      id: uuidv4(),
+      tenantId,
+      sessionId,
+      startDate,
+      days,
+      meals: MEALS_BY_COUNT[mealsPerDay],
+      dietaryProfile,
+      variety,
+      slots: createSlots(startDate, days, MEALS_BY_COUNT[mealsPerDay]),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Every category the plan can draw from is fetched once, up front and in parallel
+    const candidates = this.createCandidatePool();
+    const categories = new Set(plan.meals.flatMap(meal => this.allowedCategories(plan, meal)));
+    await Promise.all([...categories].map(category => candidates.category(category)));
+
+    for (const slot of plan.slots) {
+      const recipe = await this.findRecipe(plan, slot, candidates);
+      slot.recipe = recipe && toPlannedRecipe(recipe);
+    }
+
+    const unfilled = plan.slots.filter(slot => !slot.recipe).length;
+    if (unfilled === plan.slots.length) {
+      logger.info('No recipes fit meal plan', { sessionId, dietaryProfile, variety });
+      return plan;
+    }
+
+    await this.save(plan);
+
+    logger.info('Meal plan created', { planId: plan.id, sessionId, slots: plan.slots.length, unfilled });
+    return plan;
+  }
+
+  async get(planId, tenantId = DEFAULT_TENANT) {
+    return await this.store.get(tenantKey(tenantId, planId));
+  }
+
+  // Replaces a slot's recipe with another that fits the plan's rules, or null if none does
+  // (the plan is then left unchanged)
+  async swapSlot(plan, slotId) {
+    await this.vocabularyService.ensureLoaded();
+
+    const slot = plan.slots.find(candidate => candidate.id === slotId);
+    const recipe = await this.findRecipe(plan, slot, this.createCandidatePool());
+    if (!recipe) return null;
+
+    return await this.setSlot(plan, slotId, recipe);
+  }
+
+  // A recipe the user picked: variety rules don't apply, the dietary profile does.
+  // Returns the plan, or { violation } if the recipe breaks the profile.
+  async setSlotRecipe(plan, slotId, recipe) {
+    const violation = plan.dietaryProfile && findViolation(recipe, plan.dietaryProfile);
+    if (violation) return { violation };
+
+    return await this.setSlot(plan, slotId, recipe);
+  }
+
+  async setSlot(plan, slotId, recipe) {
+    const slot = plan.slots.find(candidate => candidate.id === slotId);
+    slot.recipe = toPlannedRecipe(recipe);
+    plan.updatedAt = new Date().toISOString();
+
+    await this.save(plan);
+    return plan;
+  }
+
+  // Every save also renews the session's index entry, so it outlives the plans it lists
+  async save(plan) {
+    await this.store.set(tenantKey(plan.tenantId, plan.id), plan, { ttlSeconds: this.ttlSeconds });
+
+    const planIds = await this.listForSession(plan.sessionId, plan.tenantId);
+    await this.sessionIndex.set(tenantKey(plan.tenantId, plan.sessionId), {
+      planIds: planIds.includes(plan.id) ? planIds : [...planIds, plan.id]
+    }, { ttlSeconds: this.ttlSeconds });
+  }
+
+  async delete(planId, tenantId = DEFAULT_TENANT) {
+    return await this.store.delete(tenantKey(tenantId, planId));
+  }
+
+  // IDs of the plans created for a session; some may have expired since
+  async listForSession(sessionId, tenantId = DEFAULT_TENANT) {
+    const entry = await this.sessionIndex.get(tenantKey(tenantId, sessionId));
+    return entry?.planIds || [];
+  }
+
+  // Deletes every plan of a session, returning how many there were
+  async deleteForSession(sessionId, tenantId = DEFAULT_TENANT) {
+    const planIds = await this.listForSession(sessionId, tenantId);
+    await Promise.all(planIds.map(planId => this.delete(planId, tenantId)));
+    await this.sessionIndex.delete(tenantKey(tenantId, sessionId));
+    return planIds.length;
+  }
+
+  // Categories a meal may come from under the plan's dietary profile, before variety rules
+  allowedCategories(plan, meal) {
+    return slotCategories(meal, getVocabulary().categories)
+      .filter(category => !plan.dietaryProfile || !findCategoryViolation(category, plan.dietaryProfile));
+  }
+
+  // MealDB results shared by every slot of one plan: each category is filtered and each recipe
+  // looked up at most once. Only these calls are reported as MealDB failures (502).
+  createCandidatePool() {
+    const categories = new Map();
+    const recipes = new Map();
+
+    const memoize = (cache, key, request) => {
+      if (!cache.has(key)) cache.set(key, fromMealDB(request));
+      return cache.get(key);
+    };
+
+    return {
+      category: name => memoize(categories, name, async () => (await this.mealdbService.filterByCategory(name)).meals || []),
+      recipe: id => memoize(recipes, id, async () => (await this.mealdbService.lookupById(id)).meals?.[0] || null)
+    };
+  }
+
+  // Least-used categories first, so a plan spreads across them; ties are shuffled
+  async findRecipe(plan, slot, candidates) {
+    const blocked = blockedBy(plan, slot);
+    const usedIds = new Set(plan.slots.filter(other => other.recipe).map(other => other.recipe.id));
+    const usage = countCategories(plan);
+
+    const categories = shuffle(this.allowedCategories(plan, slot.meal))
+      .filter(category => !blocked.categories.includes(category))
+      .sort((a, b) => (usage.get(a) || 0) - (usage.get(b) || 0))
+      .slice(0, MAX_CATEGORIES_PER_SLOT);
+
+    for (const category of categories) {
+      const stubs = shuffle((await candidates.category(category)).filter(meal => !usedIds.has(meal.id)))
+        .slice(0, MAX_LOOKUPS_PER_CATEGORY);
+      const recipes = await Promise.all(stubs.map(stub => candidates.recipe(stub.id)));
+
+      const recipe = recipes.find(candidate => candidate &&
+        !blocked.areas.includes(candidate.area) &&
+        !(plan.dietaryProfile && findViolation(candidate, plan.dietaryProfile)));
+      if (recipe) return recipe;
+    }
+
+    logger.debug('No recipe fits meal plan slot', { planId: plan.id, slot: slot.id, blocked });
+    return null;
+  }
+}
+
+function countCategories(plan) {
+  const counts = new Map();
+  for (const slot of plan.slots.filter(slot => slot.recipe)) {
+    counts.set(slot.recipe.category, (counts.get(slot.recipe.category) || 0) + 1);
+  }
+  return counts;
+}
+
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = MealPlanService;
@@ -1,11 +1,40 @@
 const axios = require('axios');
+const LRUCache = require('../utils/lruCache');
+const LocalRecipeStore = require('./localRecipeStore');
+const { fromMealDB, isStub } = require('../models/recipe');
+const { recordMealDBCall } = require('../utils/metrics');
+const { withSpan, SpanKind } = require('../utils/tracing');
 const logger = require('../utils/logger');
 require('dotenv').config();
 
+// list.php param -> field holding the name, and the list type it is reported as
+const LIST_FIELDS = { c: 'strCategory', a: 'strArea', i: 'strIngredient' };
+const LIST_TYPES = { c: 'categories', a: 'areas', i: 'ingredients' };
+
+// Cache lifetimes per endpoint; recipe details change far less often than search results
+const CACHE_TTL_SECONDS = {
+  'search.php': 10 * 60,
+  'filter.php': 30 * 60,
+  'lookup.php': 24 * 60 * 60,
+  'categories.php': 24 * 60 * 60,
+  'list.php': 24 * 60 * 60,
+  'random.php': 0
+};
+
 class MealDBService {
   constructor() {
     this.baseURL = process.env.MEALDB_BASE_URL || 'https://www.themealdb.com/api/json/v1/1';
     this.timeout = parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000;
+
+    // 'remote' talks to TheMealDB over HTTP; 'local' serves the same endpoints from a seeded JSON dump
+    this.source = (process.env.MEALDB_SOURCE || 'remote').toLowerCase();
+    this.localStore = this.source === 'local' ? new LocalRecipeStore() : null;
+
+    // Response cache keyed on endpoint + params, with in-flight request de-duplication
+    this.cacheEnabled = process.env.MEALDB_CACHE_ENABLED !== 'false';
+    this.cache = new LRUCache({ maxSize: parseInt(process.env.MEALDB_CACHE_MAX_ENTRIES) || 500 });
+    this.inFlight = new Map();
+    this.cacheStats = { hits: 0, misses: 0, deduplicated: 0 };
     
     // Create axios instance with default config
     this.client = axios.create({
@@ -37,15 +66,109 @@ class MealDBService {
   }
 
   async executeCall(endpoint, params) {
+    const ttlSeconds = this.getCacheTTL(endpoint);
+    if (ttlSeconds <= 0) {
+      return await this.fetchAndProcess(endpoint, params);
+    }
+
+    const cacheKey = this.buildCacheKey(endpoint, params);
+
+    const cached = this.cache.get(cacheKey);
+    if (cached !== undefined) {
+      this.cacheStats.hits++;
+      recordMealDBCall(endpoint, 'cache_hit');
+      return structuredClone(cached);
+    }
+
+    // Concurrent identical calls share one HTTP request
+    if (this.inFlight.has(cacheKey)) {
+      this.cacheStats.deduplicated++;
+      recordMealDBCall(endpoint, 'deduplicated');
+      return structuredClone(await this.inFlight.get(cacheKey));
+    }
+
+    this.cacheStats.misses++;
+    const request = this.fetchAndProcess(endpoint, params);
+    this.inFlight.set(cacheKey, request);
+
     try {
-      const url = this.buildURL(endpoint, params);
-      const response = await this.client.get(url);
-      return this.processResponse(response.data, endpoint);
-    } catch (error) {
-      this.logAndThrowError(error, endpoint, params);
+      const result = await request;
+      this.cache.set(cacheKey, result, ttlSeconds * 1000);
+      return structuredClone(result);
+    } finally {
+      this.inFlight.delete(cacheKey);
     }
   }
 
+  // Cache hits and de-duplicated calls never get here, so each span is one real lookup
+  async fetchAndProcess(endpoint, params) {
+    return withSpan('mealdb.fetch', {
+      'mealdb.endpoint': endpoint,
+      'mealdb.params': JSON.stringify(params || {}),
+      'mealdb.source': this.source
+    }, async (span) => {
+      const startTime = Date.now();
+
+      try {
+        const data = await this.fetchData(endpoint, params);
+        const result = this.processResponse(data, endpoint, params);
+        span.setAttribute('mealdb.result_count', result.count || 0);
+        recordMealDBCall(endpoint, result.isEmpty ? 'empty' : 'success', (Date.now() - startTime) / 1000);
+        return result;
+      } catch (error) {
+        recordMealDBCall(endpoint, 'error', (Date.now() - startTime) / 1000);
+        this.logAndThrowError(error, endpoint, params);
+      }
+    }, { kind: this.localStore ? SpanKind.INTERNAL : SpanKind.CLIENT });
+  }
+
+  async fetchData(endpoint, params) {
+    if (this.localStore) {
+      return this.localStore.query(endpoint, params);
+    }
+
+    const url = this.buildURL(endpoint, params);
+    const response = await this.client.get(url);
+    return response.data;
+  }
+
+  getCacheTTL(endpoint) {
+    if (!this.cacheEnabled) return 0;
+
+    const override = parseInt(process.env[`MEALDB_CACHE_TTL_${endpoint.replace('.php', '').toUpperCase()}`]);
+    if (!Number.isNaN(override)) return override;
+
+    return CACHE_TTL_SECONDS[endpoint] ?? 0;
+  }
+
+  buildCacheKey(endpoint, params = {}) {
+    // MealDB matching is case-insensitive, so normalize values to share entries
+    const normalized = Object.keys(params)
+      .filter(key => params[key] !== null && params[key] !== undefined)
+      .sort()
+      .map(key => `${key}=${params[key].toString().trim().toLowerCase()}`)
+      .join('&');
+
+    return `${endpoint}?${normalized}`;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  getCacheStats() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses + this.cacheStats.deduplicated;
+
+    return {
+      enabled: this.cacheEnabled,
+      size: this.cache.size,
+      maxSize: this.cache.maxSize,
+      ...this.cacheStats,
+      evictions: this.cache.evictions,
+      hitRatio: lookups > 0 ? (this.cacheStats.hits + this.cacheStats.deduplicated) / lookups : 0
+    };
+  }
+
   logAndThrowError(error, endpoint, params) {
     this.logServiceError(error, endpoint, params);
     const errorMessage = this.determineErrorMessage(error);
@@ -150,7 +273,7 @@ class MealDBService {
     return `${endpoint}?${queryParams.toString()}`;
   }
 
-  processResponse(data, endpoint) {
+  processResponse(data, endpoint, params = {}) {
     if (!data) {
       return this.createEmptyResponse('No data received from MealDB');
     }
@@ -159,8 +282,16 @@ class MealDBService {
       return this.createEmptyResponse(`No results found for ${endpoint}`);
     }
 
+    if (endpoint === 'list.php' && Array.isArray(data.meals)) {
+      return this.createListResponse(data.meals, params);
+    }
+
+    if (endpoint === 'categories.php' && Array.isArray(data.categories)) {
+      return this.createCategoriesResponse(data.categories);
+    }
+
     if (data.meals && Array.isArray(data.meals)) {
-      return this.createValidResponse(data.meals);
+      return this.createValidResponse(data.meals, endpoint);
     }
 
     return this.createUnexpectedResponse(data);
@@ -174,14 +305,39 @@ class MealDBService {
     };
   }
 
-  createValidResponse(meals) {
+  // Meals leave the service as recipe models (models/recipe.js), never as raw MealDB objects
+  createValidResponse(meals, endpoint) {
     return {
-      meals,
+      meals: meals.map(meal => fromMealDB(meal, { endpoint, origin: this.source })),
       count: meals.length,
       isEmpty: false
     };
   }
 
+  // list.php entries are single-field objects; flatten them to plain names
+  createListResponse(entries, params) {
+    const type = Object.keys(LIST_FIELDS).find(param => params[param] === 'list');
+    const field = LIST_FIELDS[type];
+    const values = entries.map(entry => entry[field]).filter(Boolean);
+
+    return {
+      meals: null,
+      list: { type: LIST_TYPES[type], values },
+      count: values.length,
+      isEmpty: false
+    };
+  }
+
+  // categories.php returns { categories: [{ idCategory, strCategory, strCategoryThumb, strCategoryDescription }] }
+  createCategoriesResponse(categories) {
+    return {
+      meals: null,
+      categories,
+      count: categories.length,
+      isEmpty: categories.length === 0
+    };
+  }
+
   createUnexpectedResponse(data) {
     return {
       meals: null,
@@ -204,6 +360,26 @@ class MealDBService {
     return await this.executeCall('filter.php', { c: category });
   }
 
+  async filterByArea(area) {
+    return await this.executeCall('filter.php', { a: area });
+  }
+
+  async searchByFirstLetter(letter) {
+    return await this.executeCall('search.php', { f: letter });
+  }
+
+  async listCategories() {
+    return await this.executeCall('list.php', { c: 'list' });
+  }
+
+  async listAreas() {
+    return await this.executeCall('list.php', { a: 'list' });
+  }
+
+  async listIngredients() {
+    return await this.executeCall('list.php', { i: 'list' });
+  }
+
   async lookupById(mealId) {
     return await this.executeCall('lookup.php', { i: mealId });
   }
@@ -217,19 +393,14 @@ class MealDBService {
     return response && response.meals && response.meals.length > 0 && !response.isEmpty;
   }
 
+  // Filter results are stubs (id, name, thumbnail) that need a lookup for full details
   isFilterResult(response) {
-    // Filter results only have idMeal, strMeal, strMealThumb
-    if (this.hasResults(response)) {
-      const firstMeal = response.meals[0];
-      // Lookup results have strInstructions, filter results don't
-      return !firstMeal.strInstructions;
-    }
-    return false;
+    return this.hasResults(response) && response.meals.some(isStub);
   }
 
   extractMealIds(filterResponse) {
     if (this.hasResults(filterResponse)) {
-      return filterResponse.meals.map(meal => meal.idMeal);
+      return filterResponse.meals.map(meal => meal.id);
     }
     return [];
   }
@@ -251,13 +422,15 @@ class MealDBService {
       'Vegan', 'Vegetarian', 'Breakfast', 'Goat'
     ];
 
-    return {
-      meals: categoryNames.map(name => ({ strCategory: name }))
-    };
+    return this.createCategoriesResponse(categoryNames.map(name => ({ strCategory: name })));
   }
 
   // Health check method
   async healthCheck() {
+    if (this.localStore) {
+      return this.localStore.isLoaded();
+    }
+
     try {
       const response = await this.client.get('categories.php', { timeout: 5000 });
       return response.status === 200;
@@ -270,8 +443,10 @@ class MealDBService {
   // Statistics method for debugging
   getStats() {
     return {
-      baseURL: this.baseURL,
+      source: this.source,
+      ...(this.localStore ? { localStore: this.localStore.getStats() } : { baseURL: this.baseURL }),
       timeout: this.timeout,
+      cache: this.getCacheStats(),
       timestamp: new Date().toISOString()
     };
   }
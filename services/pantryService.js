@@ -0,0 +1,103 @@
+const { ingredientsMatch } = require('../utils/ingredients');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// Ingredients most kitchens have; never reported as missing
+const PANTRY_STAPLES = [
+  'salt', 'pepper', 'black pepper', 'water', 'oil', 'olive oil', 'vegetable oil', 'sugar'
+];
+
+const DEFAULT_RESULT_LIMIT = 5;
+
+// "What can I make with...": fans out one filter.php?i= call per ingredient, ranks meals by
+// how many of the user's ingredients they use, then looks up the best matches in full.
+class PantryService {
+  constructor(mealdbService) {
+    this.mealdbService = mealdbService;
+    this.resultLimit = parseInt(process.env.PANTRY_RESULT_LIMIT) || DEFAULT_RESULT_LIMIT;
+  }
+
+  async search(ingredients, options = {}) {
+    const pantry = normalizePantry(ingredients);
+    const limit = Math.min(options.limit || this.resultLimit, this.resultLimit);
+
+    const filterCalls = pantry.map(ingredient => ({ endpoint: 'filter.php', params: { i: ingredient } }));
+    const filterResults = await this.mealdbService.executeBatch(filterCalls);
+
+    const candidates = this.rankCandidates(pantry, filterResults).slice(0, limit);
+
+    const lookupCalls = candidates.map(candidate => ({ endpoint: 'lookup.php', params: { i: candidate.id } }));
+    const lookupResults = await this.mealdbService.executeBatch(lookupCalls);
+
+    const matches = lookupResults
+      .filter(result => !result.error && result.meals && result.meals.length > 0)
+      .map(result => this.describeMatch(result.meals[0], pantry))
+      .sort((a, b) => b.matchCount - a.matchCount || a.missingIngredients.length - b.missingIngredients.length);
+
+    logger.debug('Pantry search complete', { ingredients: pantry, candidates: candidates.length, matches: matches.length });
+
+    return {
+      ingredients: pantry,
+      matches,
+      apiCallsMade: filterCalls.length + lookupCalls.length
+    };
+  }
+
+  rankCandidates(pantry, filterResults) {
+    const candidates = new Map();
+
+    filterResults.forEach((result, index) => {
+      if (result.error || !result.meals) return;
+
+      for (const meal of result.meals) {
+        if (!candidates.has(meal.id)) {
+          candidates.set(meal.id, { id: meal.id, name: meal.name, matched: new Set() });
+        }
+        candidates.get(meal.id).matched.add(pantry[index]);
+      }
+    });
+
+    return Array.from(candidates.values())
+      .sort((a, b) => b.matched.size - a.matched.size || a.name.localeCompare(b.name));
+  }
+
+  // filter.php only matches exact main ingredients, so recompute coverage from the full recipe
+  describeMatch(meal, pantry) {
+    const recipeIngredients = meal.ingredients.map(item => item.name);
+
+    const matchedIngredients = pantry.filter(item => 
+      recipeIngredients.some(ingredient => ingredientsMatch(ingredient, item))
+    );
+
+    const missingIngredients = recipeIngredients.filter(ingredient => 
+      !pantry.some(item => ingredientsMatch(ingredient, item)) && !isStaple(ingredient)
+    );
+
+    return {
+      meal,
+      matchedIngredients,
+      missingIngredients,
+      matchCount: matchedIngredients.length,
+      coverage: recipeIngredients.length > 0 
+        ? Number(((recipeIngredients.length - missingIngredients.length) / recipeIngredients.length).toFixed(2))
+        : 0
+    };
+  }
+}
+
+function normalizePantry(ingredients) {
+  const seen = new Set();
+  return ingredients
+    .map(ingredient => ingredient.trim().toLowerCase())
+    .filter(ingredient => {
+      if (!ingredient || seen.has(ingredient)) return false;
+      seen.add(ingredient);
+      return true;
+    });
+}
+
+function isStaple(ingredient) {
+  return PANTRY_STAPLES.includes(ingredient.toLowerCase());
+}
+
+module.exports = PantryService;
@@ -0,0 +1,273 @@
+const {
+  BedrockRuntimeClient,
+  InvokeModelCommand,
+  InvokeModelWithResponseStreamCommand
+} = require('@aws-sdk/client-bedrock-runtime');
+require('dotenv').config();
+
+// Bedrock reports token counts in these headers for every model family
+const INPUT_TOKENS_HEADER = 'x-amzn-bedrock-input-token-count';
+const OUTPUT_TOKENS_HEADER = 'x-amzn-bedrock-output-token-count';
+
+class BedrockProvider {
+  constructor(options = {}) {
+    this.name = 'bedrock';
+    this.bedrock = options.client || new BedrockRuntimeClient({
+      region: options.region || process.env.AWS_REGION,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+
+    this.modelId = options.modelId || process.env.BEDROCK_MODEL_ID || 'mistral.mistral-7b-instruct-v0:2';
+    this.timeout = options.timeout || parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000;
+  }
+
+  // options.onUsage({ inputTokens, outputTokens }) is called with the counts Bedrock reports;
+  // options.signal aborts the call
+  async invoke(prompt, options = {}) {
+    const command = new InvokeModelCommand({
+      modelId: this.modelId,
+      body: JSON.stringify(this.formatPromptForModel(prompt)),
+      contentType: 'application/json',
+      accept: 'application/json',
+    });
+    const headerUsage = this.captureUsageHeaders(command);
+
+    const response = await this.sendWithTimeout(command, options.signal);
+
+    const responseBody = new TextDecoder().decode(response.body);
+    const parsed = JSON.parse(responseBody);
+    this.reportUsage(this.extractUsage(parsed) || headerUsage.value, options);
+
+    return this.extractResponseText(parsed);
+  }
+
+  // Native tool calling via the Anthropic messages API; only Claude models support it on Bedrock
+  supportsTools() {
+    return this.modelId.includes('claude');
+  }
+
+  async invokeWithTools(prompt, tools, options = {}) {
+    if (!this.supportsTools()) {
+      throw new Error(`Model ${this.modelId} does not support tool calling`);
+    }
+
+    const command = new InvokeModelCommand({
+      modelId: this.modelId,
+      body: JSON.stringify({ ...this.formatPromptForModel(prompt), tools }),
+      contentType: 'application/json',
+      accept: 'application/json',
+    });
+    const headerUsage = this.captureUsageHeaders(command);
+
+    const response = await this.sendWithTimeout(command, options.signal);
+    const parsed = JSON.parse(new TextDecoder().decode(response.body));
+    this.reportUsage(this.extractUsage(parsed) || headerUsage.value, options);
+
+    return this.extractToolResponse(parsed);
+  }
+
+  extractToolResponse(parsed) {
+    if (!Array.isArray(parsed.content)) {
+      throw new Error('Invalid response format from AI model');
+    }
+
+    return {
+      text: parsed.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim(),
+      toolCalls: parsed.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ name: block.name, input: block.input }))
+    };
+  }
+
+  async invokeStream(prompt, onToken, options = {}) {
+    const command = new InvokeModelWithResponseStreamCommand({
+      modelId: this.modelId,
+      body: JSON.stringify(this.formatPromptForModel(prompt)),
+      contentType: 'application/json',
+      accept: 'application/json',
+    });
+
+    const response = await this.sendWithTimeout(command, options.signal);
+
+    const decoder = new TextDecoder();
+    let fullText = '';
+
+    for await (const event of response.body) {
+      if (!event.chunk?.bytes) {
+        this.throwStreamException(event);
+        continue;
+      }
+
+      const parsed = JSON.parse(decoder.decode(event.chunk.bytes));
+      // Counts arrive once, in the invocation metrics of the final chunk
+      this.reportUsage(this.extractUsage(parsed), options);
+      const text = this.extractStreamChunkText(parsed);
+      if (text) {
+        fullText += text;
+        onToken(text);
+      }
+    }
+
+    if (!fullText.trim()) {
+      throw new Error('Empty response stream from AI model');
+    }
+
+    return fullText.trim();
+  }
+
+  sendWithTimeout(command, abortSignal) {
+    return Promise.race([
+      this.bedrock.send(command, { abortSignal }),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Request timeout')), this.timeout)
+      )
+    ]);
+  }
+
+  formatPromptForModel(prompt) {
+    const baseConfig = this.getBaseConfig();
+    const formatters = this.getModelFormatters(baseConfig, prompt);
+    const modelType = this.detectModelType(formatters);
+    
+    return modelType ? formatters[modelType]() : { ...baseConfig, prompt };
+  }
+
+  getBaseConfig() {
+    return {
+      max_tokens: 2048,
+      temperature: 0.7,
+      top_p: 0.9,
+    };
+  }
+
+  getModelFormatters(baseConfig, prompt) {
+    return {
+      mistral: () => ({
+        ...baseConfig,
+        prompt: `<s>[INST] ${prompt} [/INST]`,
+        stop: ['</s>']
+      }),
+      claude: () => ({
+        anthropic_version: "bedrock-2023-05-31",
+        max_tokens: 2048,
+        temperature: 0.7,
+        top_p: 0.9,
+        messages: [
+          {
+            role: "user",
+            content: prompt
+          }
+        ]
+      }),
+      llama: () => ({
+        ...baseConfig,
+        prompt: `<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n${prompt}<|eot_id|><|start_header_id|>assistant<|end_header_id|>`
+      })
+    };
+  }
+
+  detectModelType(formatters) {
+    return Object.keys(formatters).find(type => this.modelId.includes(type));
+  }
+
+  extractResponseText(parsed) {
+    // Handle different model response formats
+    if (parsed.outputs && parsed.outputs[0]?.text) {
+      return parsed.outputs[0].text.trim();
+    } else if (parsed.completion) {
+      return parsed.completion.trim();
+    } else if (parsed.content && parsed.content[0]?.text) {
+      return parsed.content[0].text.trim();
+    } else if (parsed.generation) {
+      return parsed.generation.trim();
+    } else if (parsed.text) {
+      return parsed.text.trim();
+    } else {
+      throw new Error('Invalid response format from AI model');
+    }
+  }
+
+  // Token counts in the model's own format, or Bedrock's invocation metrics on the last stream chunk
+  extractUsage(parsed) {
+    const metrics = parsed['amazon-bedrock-invocationMetrics'];
+    if (metrics) {
+      return { inputTokens: metrics.inputTokenCount, outputTokens: metrics.outputTokenCount };
+    }
+    if (parsed.type && parsed.type !== 'message') {
+      // Claude stream events repeat partial usage; the invocation metrics above are authoritative
+      return null;
+    }
+    if (parsed.usage) {
+      return { inputTokens: parsed.usage.input_tokens, outputTokens: parsed.usage.output_tokens };
+    }
+    if (parsed.prompt_token_count !== undefined) {
+      return { inputTokens: parsed.prompt_token_count, outputTokens: parsed.generation_token_count };
+    }
+    return null;
+  }
+
+  // The SDK drops response headers from the command output, so read the token count headers as the
+  // response is deserialized. Used when the body has no usage (Mistral, Titan). Filled in by send().
+  captureUsageHeaders(command) {
+    const usage = { value: null };
+
+    command.middlewareStack.add((next) => async (args) => {
+      const result = await next(args);
+      const headers = result.response?.headers || {};
+      if (headers[INPUT_TOKENS_HEADER] !== undefined) {
+        usage.value = {
+          inputTokens: parseInt(headers[INPUT_TOKENS_HEADER]) || 0,
+          outputTokens: parseInt(headers[OUTPUT_TOKENS_HEADER]) || 0
+        };
+      }
+      return result;
+    }, { step: 'deserialize', name: 'captureTokenCountHeaders' });
+
+    return usage;
+  }
+
+  reportUsage(usage, options) {
+    if (usage && typeof options.onUsage === 'function') {
+      options.onUsage(usage);
+    }
+  }
+
+  throwStreamException(event) {
+    const exceptionKey = Object.keys(event).find(key => key.endsWith('Exception'));
+    if (exceptionKey) {
+      throw new Error(event[exceptionKey].message || exceptionKey);
+    }
+  }
+
+  extractStreamChunkText(parsed) {
+    // Handle different model streaming chunk formats
+    if (parsed.type === 'content_block_delta') {
+      return parsed.delta?.text || '';
+    } else if (parsed.outputs && parsed.outputs[0]?.text) {
+      return parsed.outputs[0].text;
+    } else if (typeof parsed.generation === 'string') {
+      return parsed.generation;
+    } else if (typeof parsed.completion === 'string') {
+      return parsed.completion;
+    } else if (typeof parsed.outputText === 'string') {
+      return parsed.outputText;
+    }
+    return '';
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      model: this.modelId
+    };
+  }
+}
+
+module.exports = BedrockProvider;
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const { apiCallToToolCall } = require('../../utils/tools');
+const { getVocabulary } = require('../../utils/vocabulary');
+require('dotenv').config();
+
+const GREETING_PATTERN = /^(hi|hello|hey|thanks|thank you|good (morning|afternoon|evening))\b/i;
+
+const RANDOM_PATTERN = /\b(surprise me|random)\b/i;
+
+const QUERY_STOPWORDS = new Set([
+  'a', 'an', 'and', 'any', 'can', 'dish', 'dishes', 'do', 'find', 'for', 'give', 'how',
+  'i', 'idea', 'ideas', 'is', 'make', 'me', 'meal', 'meals', 'my', 'of', 'please',
+  'recipe', 'recipes', 'show', 'some', 'something', 'the', 'to', 'want', 'what', 'with'
+]);
+
+// Deterministic in-process model for offline development and tests.
+// Scripted responses are checked first; otherwise it answers each pipeline prompt heuristically.
+class FakeProvider {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.modelId = 'fake-model';
+    this.responses = options.responses || this.loadScriptedResponses(process.env.FAKE_LLM_RESPONSES_PATH);
+    this.toolCalling = options.toolCalling ?? process.env.FAKE_LLM_TOOL_CALLING === 'true';
+    this.calls = [];
+  }
+
+  loadScriptedResponses(filePath) {
+    if (!filePath) return [];
+
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return entries.map(entry => ({
+      match: entry.regex ? new RegExp(entry.regex, 'i') : entry.match,
+      response: typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response)
+    }));
+  }
+
+  async invoke(prompt, options = {}) {
+    options.signal?.throwIfAborted();
+    this.calls.push(prompt);
+    return this.generate(prompt);
+  }
+
+  async invokeStream(prompt, onToken, options = {}) {
+    const text = await this.invoke(prompt, options);
+
+    // Emit word-sized chunks so streaming consumers see more than one token
+    for (const chunk of text.match(/\S+\s*/g) || []) {
+      options.signal?.throwIfAborted();
+      onToken(chunk);
+    }
+
+    return text;
+  }
+
+  supportsTools() {
+    return this.toolCalling;
+  }
+
+  // Answers exactly like invoke(), but turns {"api_calls": [...]} output into tool calls
+  async invokeWithTools(prompt, tools, options = {}) {
+    const text = await this.invoke(prompt, options);
+
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed.api_calls)) {
+        return { text: '', toolCalls: parsed.api_calls.map(apiCallToToolCall) };
+      }
+    } catch (error) {
+      // Plain text answer
+    }
+
+    return { text, toolCalls: [] };
+  }
+
+  generate(prompt) {
+    const scripted = this.findScriptedResponse(prompt);
+    if (scripted !== null) return scripted;
+
+    if (prompt.includes("Say 'OK'")) {
+      return 'OK';
+    }
+    if (prompt.includes('User request: "')) {
+      return this.respondToIntentAnalysis(prompt);
+    }
+    if (prompt.includes('Results so far:')) {
+      return this.respondToAgentStep(prompt);
+    }
+    if (prompt.includes('Here are meal results from filtering')) {
+      return this.respondToRecipeSelection(prompt);
+    }
+    if (prompt.includes('User asked: "')) {
+      return this.respondToSynthesis(prompt);
+    }
+
+    return 'OK';
+  }
+
+  findScriptedResponse(prompt) {
+    const entry = this.responses.find(({ match }) => 
+      match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+    );
+    return entry ? entry.response : null;
+  }
+
+  respondToIntentAnalysis(prompt) {
+    const userMessage = this.extractQuoted(prompt, 'User request: "');
+
+    if (GREETING_PATTERN.test(userMessage)) {
+      return "Hello! I'm ChefSue, your cooking assistant. I can help you find delicious recipes!";
+    }
+
+    if (RANDOM_PATTERN.test(userMessage)) {
+      return JSON.stringify({ api_calls: [{ endpoint: 'random.php', params: {} }] });
+    }
+
+    const terms = this.extractTerms(userMessage);
+    const area = getVocabulary().areas.find(name => terms.includes(name.toLowerCase()));
+    if (area) {
+      return JSON.stringify({ api_calls: [{ endpoint: 'filter.php', params: { a: area } }] });
+    }
+
+    const query = terms[0] || userMessage.toLowerCase();
+    return JSON.stringify({
+      api_calls: [{ endpoint: 'search.php', params: { s: query } }]
+    });
+  }
+
+  // Finishes once anything was found; otherwise retries the first keyword as a main ingredient
+  respondToAgentStep(prompt) {
+    if (/→ \d+ results/.test(prompt)) {
+      return JSON.stringify({ done: true });
+    }
+
+    const [term] = this.extractTerms(this.extractQuoted(prompt, 'Request being researched: "'));
+    if (!term) {
+      return JSON.stringify({ done: true });
+    }
+
+    const ingredient = term.charAt(0).toUpperCase() + term.slice(1);
+    return JSON.stringify({
+      api_calls: [{ endpoint: 'filter.php', params: { i: ingredient } }]
+    });
+  }
+
+  respondToRecipeSelection(prompt) {
+    const ids = [...prompt.matchAll(/\(ID: (\d+)\)/g)].map(match => match[1]);
+
+    return JSON.stringify({
+      api_calls: ids.slice(0, 3).map(id => ({ endpoint: 'lookup.php', params: { i: id } }))
+    });
+  }
+
+  respondToSynthesis(prompt) {
+    const names = [...prompt.matchAll(/^\*\*(.+)\*\*$/gm)].map(match => match[1]);
+
+    if (names.length === 0) {
+      return "I couldn't find recipes for that, but I'm happy to help with general cooking advice.";
+    }
+
+    return `Here are some recipes you might enjoy: ${names.slice(0, 3).join(', ')}.`;
+  }
+
+  extractTerms(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !QUERY_STOPWORDS.has(word));
+  }
+
+  extractQuoted(prompt, marker) {
+    const start = prompt.indexOf(marker) + marker.length;
+    const end = prompt.indexOf('"', start);
+    return prompt.substring(start, end === -1 ? undefined : end);
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      model: this.modelId
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,29 @@
+const BedrockProvider = require('./bedrockProvider');
+const OpenAIProvider = require('./openaiProvider');
+const FakeProvider = require('./fakeProvider');
+require('dotenv').config();
+
+const PROVIDERS = {
+  bedrock: BedrockProvider,
+  openai: OpenAIProvider,
+  fake: FakeProvider
+};
+
+// Selected with LLM_PROVIDER; every provider implements invoke(prompt, options), invokeStream(prompt, onToken, options)
+// and getInfo(). Tool-capable providers also implement supportsTools() and invokeWithTools(prompt, tools, options)
+// -> { text, toolCalls }. Providers that know token counts pass them to options.onUsage({ inputTokens, outputTokens }).
+function createProvider(name = process.env.LLM_PROVIDER || 'bedrock', options = {}) {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createProvider,
+  BedrockProvider,
+  OpenAIProvider,
+  FakeProvider,
+  PROVIDERS
+};
@@ -0,0 +1,175 @@
+const axios = require('axios');
+require('dotenv').config();
+
+// Works with any server exposing the OpenAI chat completions API (llama.cpp, Ollama, vLLM, OpenAI)
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1';
+    this.modelId = options.modelId || process.env.OPENAI_MODEL || 'llama3';
+    this.timeout = options.timeout || parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000;
+    // Not every OpenAI-compatible server implements function calling, so it is opt-in
+    this.toolCalling = options.toolCalling ?? process.env.OPENAI_TOOL_CALLING === 'true';
+
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+    this.client = options.client || axios.create({
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      }
+    });
+  }
+
+  // options.onUsage({ inputTokens, outputTokens }) is called when the server reports usage;
+  // options.signal cancels the HTTP request
+  async invoke(prompt, options = {}) {
+    const response = await this.client.post('/chat/completions', this.buildRequestBody(prompt), { signal: options.signal });
+    this.reportUsage(response.data, options);
+    return this.extractResponseText(response.data);
+  }
+
+  supportsTools() {
+    return this.toolCalling;
+  }
+
+  async invokeWithTools(prompt, tools, options = {}) {
+    const response = await this.client.post('/chat/completions', this.buildRequestBody(prompt, {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }))
+    }), { signal: options.signal });
+
+    this.reportUsage(response.data, options);
+    return this.extractToolResponse(response.data);
+  }
+
+  extractToolResponse(data) {
+    const message = data?.choices?.[0]?.message;
+    if (!message) {
+      throw new Error('Invalid response format from AI model');
+    }
+
+    return {
+      text: (message.content || '').trim(),
+      toolCalls: (message.tool_calls || []).map(call => ({
+        name: call.function.name,
+        input: this.parseToolArguments(call.function.arguments)
+      }))
+    };
+  }
+
+  parseToolArguments(args) {
+    if (typeof args !== 'string') return args || {};
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      throw new Error('Invalid tool call arguments from AI model');
+    }
+  }
+
+  async invokeStream(prompt, onToken, options = {}) {
+    // include_usage asks for a final chunk with token counts; servers that don't support it ignore it
+    const response = await this.client.post(
+      '/chat/completions',
+      this.buildRequestBody(prompt, { stream: true, stream_options: { include_usage: true } }),
+      { responseType: 'stream', signal: options.signal }
+    );
+
+    let fullText = '';
+    let buffer = '';
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const text = this.parseStreamLine(line, options);
+        if (text) {
+          fullText += text;
+          onToken(text);
+        }
+      }
+    }
+
+    const trailingText = this.parseStreamLine(buffer, options);
+    if (trailingText) {
+      fullText += trailingText;
+      onToken(trailingText);
+    }
+
+    if (!fullText.trim()) {
+      throw new Error('Empty response stream from AI model');
+    }
+
+    return fullText.trim();
+  }
+
+  buildRequestBody(prompt, overrides = {}) {
+    return {
+      model: this.modelId,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: 2048,
+      temperature: 0.7,
+      top_p: 0.9,
+      ...overrides
+    };
+  }
+
+  parseStreamLine(line, options = {}) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return '';
+
+    const data = trimmed.slice(5).trim();
+    if (!data || data === '[DONE]') return '';
+
+    try {
+      const parsed = JSON.parse(data);
+      // Only sent by servers that report usage on the final stream chunk
+      this.reportUsage(parsed, options);
+      return parsed.choices?.[0]?.delta?.content || '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  reportUsage(data, options) {
+    if (!data?.usage || typeof options.onUsage !== 'function') return;
+    options.onUsage({
+      inputTokens: data.usage.prompt_tokens,
+      outputTokens: data.usage.completion_tokens
+    });
+  }
+
+  extractResponseText(data) {
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Invalid response format from AI model');
+    }
+    return content.trim();
+  }
+
+  getInfo() {
+    return {
+      provider: this.name,
+      model: this.modelId,
+      baseURL: this.baseURL
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
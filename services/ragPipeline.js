@@ -1,52 +1,125 @@
 const { v4: uuidv4 } = require('uuid');
 const AIService = require('./aiService');
 const MealDBService = require('./mealdbService');
-const { validateApiCalls } = require('../utils/validators');
+const RecipeRetriever = require('./recipeRetriever');
+const PantryService = require('./pantryService');
+const DietaryProfileManager = require('./dietaryProfileManager');
+const VocabularyService = require('./vocabularyService');
+const TokenUsageService = require('./tokenUsageService');
+const { createStore, tenantKey, DEFAULT_TENANT } = require('./stores');
+const { validateApiCalls, TOOL_ENDPOINTS } = require('../utils/validators');
+const { buildRecipeCards, createRecipeCard } = require('../utils/recipeCards');
+const {
+  parseScalingRequest,
+  collectFullRecipes,
+  selectMentionedRecipes,
+  resolveScalingOptions,
+  scaleRecipe,
+  formatScaledRecipes
+} = require('../utils/recipeScaling');
+const { parseShoppingListRequest, buildShoppingList, formatShoppingList } = require('../utils/shoppingList');
+const { applyDietaryFilter, needsFullRecipes } = require('../utils/dietary');
+const { isStub } = require('../models/recipe');
+const { observePipelinePhase, recordPipelineRequest } = require('../utils/metrics');
+const { SpanStatusCode } = require('@opentelemetry/api');
+const { withSpan } = require('../utils/tracing');
+const { withRequestContext, getRequestContext } = require('../utils/requestContext');
+const { emptyUsage, addUsage, createUsageTracker } = require('../utils/tokenUsage');
 const logger = require('../utils/logger');
 
+const TOKEN_BUDGET_MESSAGE = "We've covered a lot in this conversation and it has reached its usage limit. " +
+  'Start a new conversation and I\'ll be happy to keep cooking with you!';
+
+// Throws once the request's signal (processRequest options.signal) has been aborted
+function throwIfAborted() {
+  getRequestContext()?.signal?.throwIfAborted();
+}
+
 class SessionManager {
-  constructor() {
-    this.sessions = new Map();
+  constructor(options = {}) {
+    this.store = options.store || createStore('sessions');
     this.maxConversationLength = parseInt(process.env.MAX_CONVERSATION_LENGTH) || 10;
     this.sessionTimeoutMinutes = parseInt(process.env.SESSION_TIMEOUT_MINUTES) || 30;
+
+    // Active sessions need every record read, so they are counted on the cleanup tick rather than per probe
+    this.activity = { activeSessions: null, countedAt: null };
     
     // Start cleanup interval
     this.startCleanup();
   }
 
-  getSession(sessionId) {
+  // Session IDs are scoped to a tenant: the same ID in another tenant is a different session
+  async getSession(sessionId, tenantId = DEFAULT_TENANT) {
     if (!sessionId) {
-      return this.createSession();
+      return await this.createSession(null, { tenantId });
     }
 
-    const session = this.sessions.get(sessionId);
+    const session = await this.findSession(sessionId, tenantId);
     if (!session) {
-      return this.createSession(sessionId);
+      return await this.createSession(sessionId, { tenantId });
     }
 
     // Update last activity
     session.lastActivity = new Date();
+    await this.saveSession(session);
     return session;
   }
 
-  createSession(id = null) {
+  // Looks up a session without creating one
+  async findSession(sessionId, tenantId = DEFAULT_TENANT) {
+    const record = await this.store.get(tenantKey(tenantId, sessionId));
+    return record ? this.hydrateSession(record) : null;
+  }
+
+  async createSession(id = null, options = {}) {
     const sessionId = id || uuidv4();
     const session = {
       id: sessionId,
+      tenantId: options.tenantId || DEFAULT_TENANT,
       history: [],
       lastMealData: null,
+      lastScaling: null,
+      preferences: options.preferences || {},
+      dietaryProfile: options.dietaryProfile || null,
+      userId: options.userId || null,
+      tokenUsage: emptyUsage(),
       createdAt: new Date(),
       lastActivity: new Date()
     };
     
-    this.sessions.set(sessionId, session);
+    await this.saveSession(session);
     return session;
   }
 
-  addMessage(sessionId, userMessage, assistantResponse) {
-    const session = this.sessions.get(sessionId);
+  async saveSession(session) {
+    await this.store.set(tenantKey(session.tenantId, session.id), session, {
+      ttlSeconds: this.sessionTimeoutMinutes * 60
+    });
+  }
+
+  async deleteSession(sessionId, tenantId = DEFAULT_TENANT) {
+    return await this.store.delete(tenantKey(tenantId, sessionId));
+  }
+
+  // Stored records come back as plain JSON, so restore Date fields
+  hydrateSession(record) {
+    return {
+      ...record,
+      history: (record.history || []).map(message => ({
+        ...message,
+        timestamp: new Date(message.timestamp)
+      })),
+      createdAt: new Date(record.createdAt),
+      lastActivity: new Date(record.lastActivity)
+    };
+  }
+
+  // usage: the exchange's token total, added to the session's running total
+  async addMessage(session, userMessage, assistantResponse, usage = null) {
     if (!session) return;
 
+    session.tokenUsage = addUsage(session.tokenUsage, usage);
+
     // Add user message
     session.history.push({
       role: 'user',
@@ -67,42 +140,65 @@ class SessionManager {
     }
 
     session.lastActivity = new Date();
+    await this.saveSession(session);
   }
 
   startCleanup() {
-    setInterval(() => {
-      this.cleanupExpiredSessions();
-    }, 15 * 60 * 1000); // Run every 15 minutes
+    const runCleanup = () => {
+      this.cleanupExpiredSessions().catch(error => {
+        logger.error('Session cleanup failed', { error: error.message });
+      });
+    };
+
+    // A first pass at startup so activeSessions isn't empty until the first tick
+    setImmediate(runCleanup);
+    const interval = setInterval(runCleanup, 15 * 60 * 1000); // Run every 15 minutes
+
+    // Don't keep the process alive just for cleanup
+    interval.unref();
   }
 
-  cleanupExpiredSessions() {
+  async cleanupExpiredSessions() {
     const now = new Date();
-    const expiredSessions = [];
+    const timeoutMs = this.sessionTimeoutMinutes * 60 * 1000;
+    const sessions = await this.store.list();
+    this.countActiveSessions(sessions);
 
-    for (const [sessionId, session] of this.sessions) {
-      const timeDiff = now - session.lastActivity;
-      const timeoutMs = this.sessionTimeoutMinutes * 60 * 1000;
-      
-      if (timeDiff > timeoutMs) {
-        expiredSessions.push(sessionId);
-      }
-    }
+    const expiredSessions = sessions
+      .filter(session => now - new Date(session.lastActivity) > timeoutMs)
+      .map(session => tenantKey(session.tenantId, session.id));
 
-    expiredSessions.forEach(sessionId => {
-      this.sessions.delete(sessionId);
-    });
+    for (const key of expiredSessions) {
+      await this.store.delete(key);
+    }
 
     if (expiredSessions.length > 0) {
       logger.info(`Cleaned up ${expiredSessions.length} expired sessions`);
     }
   }
 
-  getStats() {
+  async healthCheck() {
+    return await this.store.healthCheck();
+  }
+
+  countActiveSessions(sessions) {
+    const now = new Date();
+    this.activity = {
+      activeSessions: sessions.filter(
+        session => (now - new Date(session.lastActivity)) < 5 * 60 * 1000 // Active in last 5 minutes
+      ).length,
+      countedAt: now.toISOString()
+    };
+  }
+
+  // Cheap enough for every health probe and metrics scrape: totalSessions is a key/file count,
+  // activeSessions is as of the last cleanup tick (null until the first one)
+  async getStats() {
     return {
-      totalSessions: this.sessions.size,
-      activeSessions: Array.from(this.sessions.values()).filter(
-        session => (new Date() - session.lastActivity) < 5 * 60 * 1000 // Active in last 5 minutes
-      ).length
+      backend: this.store.getInfo(),
+      totalSessions: await this.store.count(),
+      activeSessions: this.activity.activeSessions,
+      activeSessionsCountedAt: this.activity.countedAt
     };
   }
 }
@@ -112,34 +208,136 @@ class RAGPipeline {
     this.aiService = new AIService();
     this.mealdbService = new MealDBService();
     this.sessionManager = new SessionManager();
+    this.pantryService = new PantryService(this.mealdbService);
+    this.profileManager = new DietaryProfileManager();
+
+    // Category/area/ingredient lists from MealDB, used by prompts, tools and validation
+    this.vocabularyService = new VocabularyService(this.mealdbService);
+
+    // Token accounting per request, session and credential, and the per-session budget
+    this.tokenUsageService = new TokenUsageService();
+
+    // Optional embedding-based retrieval merged with MealDB results before synthesis
+    this.retriever = process.env.VECTOR_RETRIEVAL_ENABLED === 'true' ? new RecipeRetriever() : null;
+    this.retrieverSeeding = null;
+
+    // Optional multi-step mode: the model observes results and can issue further calls
+    this.agentEnabled = process.env.AGENT_MODE_ENABLED === 'true';
+    this.agentMaxSteps = parseInt(process.env.AGENT_MAX_STEPS) || 3;
+    this.agentMaxApiCalls = parseInt(process.env.AGENT_MAX_API_CALLS) || 10;
+
+    // Filter stubs looked up per result to check them against diets and allergens; the rest are dropped
+    this.dietaryStubLookups = parseInt(process.env.DIETARY_STUB_LOOKUPS) || 10;
   }
 
-  async processRequest(userMessage, sessionId = null) {
+  // options.onEvent(event, data) receives phase progress and synthesis tokens for streaming clients;
+  // options.userId links the session to a saved dietary profile; options.tenantId scopes both;
+  // options.credential (see middleware/auth getCredentialId) attributes token usage;
+  // options.signal, once aborted, stops the pipeline before its next model or MealDB call and aborts
+  // the model call in flight (see AIService.observeInvocation)
+  async processRequest(userMessage, sessionId = null, options = {}) {
+    return withSpan('pipeline.request', { 'chefsue.tenant_id': options.tenantId || DEFAULT_TENANT }, async (span) => {
+      // Model calls made anywhere below report their tokens to this tracker (see AIService.recordUsage)
+      const tokenUsage = createUsageTracker();
+      const result = await withRequestContext({ tokenUsage, signal: options.signal }, () => this.runPipeline(userMessage, sessionId, options, tokenUsage));
+
+      this.tokenUsageService.recordRequest(result.tokenUsage, {
+        tenantId: options.tenantId || DEFAULT_TENANT,
+        credential: options.credential
+      });
+
+      span.setAttributes({
+        'chefsue.session_id': result.sessionId,
+        'chefsue.api_calls': result.apiCallsMade,
+        'chefsue.phases': result.phasesExecuted || [],
+        'chefsue.total_tokens': result.tokenUsage.totalTokens
+      });
+      if (result.error) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: result.errorMessage });
+      }
+      return result;
+    });
+  }
+
+  async runPipeline(userMessage, sessionId, options, tokenUsage) {
     const startTime = Date.now();
+    const emit = this.createEmitter(options.onEvent, startTime);
+    const dietaryExclusions = [];
     let session;
     
     try {
       // Get or create session
-      session = this.sessionManager.getSession(sessionId);
+      session = await this.sessionManager.getSession(sessionId, options.tenantId);
+      if (options.userId) {
+        session.userId = options.userId;
+      }
+
+      // "Make a shopping list" and "make this for 8 people" on the last results are computed, not
+      // generated, so they need no model call and are answered even over budget
+      const shoppingListRequest = this.matchShoppingListRequest(userMessage, session);
+      if (shoppingListRequest) {
+        return await this.respondWithShoppingList(userMessage, session, shoppingListRequest, {
+          startTime, emit, tokenUsage, dietaryExclusions
+        });
+      }
+
+      const scalingRequest = this.matchScalingRequest(userMessage, session);
+      if (scalingRequest) {
+        return await this.respondWithScaledRecipes(userMessage, session, scalingRequest, {
+          startTime, emit, tokenUsage, dietaryExclusions
+        });
+      }
+
+      // Checked before any model call; a request that starts under budget is allowed to finish
+      if (this.tokenUsageService.getSessionBudget(session)?.exceeded) {
+        logger.warn('Session token budget exhausted', { sessionId: session.id, used: session.tokenUsage.totalTokens });
+        this.tokenUsageService.recordBudgetRejection();
+        recordPipelineRequest('budget_exceeded');
+
+        return {
+          message: TOKEN_BUDGET_MESSAGE,
+          sessionId: session.id,
+          processingTime: Date.now() - startTime,
+          apiCallsMade: 0,
+          phasesExecuted: [],
+          recipes: [],
+          dietaryExclusions,
+          budgetExceeded: true,
+          ...this.describeTokenUsage(session, tokenUsage)
+        };
+      }
+
+      await this.vocabularyService.ensureLoaded();
+
+      const dietaryProfile = await this.profileManager.resolveProfile(session);
+      const promptOptions = { dietaryProfile };
       
       // Phase 1: Analyze intent and determine API calls
       logger.debug('Phase 1: Analyzing user intent...');
-      const aiResponse = await this.aiService.analyzePipeline(
+      emit('phase', { phase: 'intent_analysis', status: 'started' });
+      const aiResponse = await this.tracePhase('intent_analysis', () => this.aiService.analyzePipeline(
         userMessage, 
-        session.history
-      );
+        session.history,
+        promptOptions
+      ));
 
       // If direct response (no API needed)
       if (aiResponse.direct_response) {
         const response = aiResponse.direct_response;
-        this.sessionManager.addMessage(session.id, userMessage, response);
+        emit('phase', { phase: 'direct_response', status: 'completed' });
+        emit('token', { text: response });
+        await this.sessionManager.addMessage(session, userMessage, response, tokenUsage.getTotal());
+        recordPipelineRequest('direct_response');
         
         return {
           message: response,
           sessionId: session.id,
           processingTime: Date.now() - startTime,
           apiCallsMade: 0,
-          phasesExecuted: ['direct_response']
+          phasesExecuted: ['direct_response'],
+          recipes: [],
+          dietaryExclusions,
+          ...this.describeTokenUsage(session, tokenUsage)
         };
       }
 
@@ -148,12 +346,19 @@ class RAGPipeline {
         throw new Error('AI service returned invalid response format');
       }
 
-      validateApiCalls(aiResponse.api_calls);
+      // Map proposed categories/areas/ingredients onto MealDB's names before validating
+      const apiCalls = this.vocabularyService.normalizeApiCalls(aiResponse.api_calls);
+      validateApiCalls(apiCalls);
 
       // Execute initial API calls
-      logger.debug(`Phase 1: Executing ${aiResponse.api_calls.length} API calls...`);
-      const initialData = await this.mealdbService.executeBatch(aiResponse.api_calls);
-      let totalApiCalls = aiResponse.api_calls.length;
+      logger.debug(`Phase 1: Executing ${apiCalls.length} API calls...`);
+      const initialExecution = await this.executeApiCalls(apiCalls);
+      const initialData = await this.applyDietaryProfile(initialExecution.results, dietaryProfile, dietaryExclusions);
+      let totalApiCalls = initialExecution.apiCallsMade;
+      emit('phase', { phase: 'intent_analysis', status: 'completed', apiCalls: apiCalls.length });
+
+      // Every call with its result, observed by the agent loop
+      const executedSteps = this.pairCallsWithResults(initialExecution.calls, initialData, 0);
       
       // Filter out error responses for processing
       const successfulData = initialData.filter(result => !result.error);
@@ -164,48 +369,93 @@ class RAGPipeline {
       
       if (this.hasFilterResults(successfulData) && successfulData.length > 0) {
         logger.debug('Phase 2: Selecting specific recipes from filter results...');
+        emit('phase', { phase: 'recipe_selection', status: 'started' });
         
         try {
-          const selectionResponse = await this.aiService.selectRecipes(
+          const selectionResponse = await this.tracePhase('recipe_selection', () => this.aiService.selectRecipes(
             successfulData, 
             userMessage
-          );
+          ));
 
           if (selectionResponse.api_calls && selectionResponse.api_calls.length > 0) {
             validateApiCalls(selectionResponse.api_calls);
             
             logger.debug(`Phase 2: Executing ${selectionResponse.api_calls.length} detail calls...`);
-            detailData = await this.mealdbService.executeBatch(selectionResponse.api_calls);
-            totalApiCalls += selectionResponse.api_calls.length;
+            const detailExecution = await this.executeApiCalls(selectionResponse.api_calls);
+            detailData = await this.applyDietaryProfile(detailExecution.results, dietaryProfile, dietaryExclusions);
+            executedSteps.push(...this.pairCallsWithResults(detailExecution.calls, detailData, 0));
+            totalApiCalls += detailExecution.apiCallsMade;
             phase2Executed = true;
           }
         } catch (error) {
           logger.warn('Phase 2 failed, continuing with filter results', { error: error.message });
         }
+
+        emit('phase', { phase: 'recipe_selection', status: 'completed', executed: phase2Executed });
       } else {
         logger.debug('Phase 2: Skipped (no filter results or direct search performed)');
       }
 
       // Combine all meal data
       const allMealData = [...successfulData, ...detailData];
+      const phasesExecuted = phase2Executed ? 
+        ['intent_analysis', 'recipe_selection'] : 
+        ['intent_analysis'];
+
+      if (this.agentEnabled) {
+        const agentRun = await this.runAgentLoop(userMessage, executedSteps, {
+          apiCallsMade: totalApiCalls,
+          dietaryProfile,
+          dietaryExclusions,
+          promptOptions,
+          emit,
+          session,
+          tokenUsage
+        });
+        allMealData.push(...agentRun.results);
+        totalApiCalls = agentRun.apiCallsMade;
+        phasesExecuted.push(...agentRun.phases);
+      }
+
+      if (this.retriever) {
+        const retrievedData = await this.runVectorRetrieval(userMessage, allMealData, emit);
+        if (retrievedData) {
+          allMealData.push(...await this.applyDietaryProfile([retrievedData], dietaryProfile, dietaryExclusions));
+          phasesExecuted.push('vector_retrieval');
+        }
+      }
       
-      // Store meal data in session for context
+      // Store meal data in session for context; scaling starts over for new recipes
       session.lastMealData = allMealData;
+      session.lastScaling = null;
+
+      // Phase 2 and the agent loop carry on past failed steps; don't synthesize for a closed request
+      throwIfAborted();
 
       // Phase 3: Synthesize final response
       logger.debug('Phase 3: Synthesizing final response...');
-      const finalResponse = await this.aiService.synthesizeResponse(
-        allMealData,
-        userMessage,
-        session.history
-      );
+      emit('phase', { phase: 'synthesis', status: 'started', recipeDataFound: this.countRecipes(allMealData) });
+      const finalResponse = await this.tracePhase('synthesis', () => options.onEvent
+        ? this.aiService.synthesizeResponseStream(
+          allMealData,
+          userMessage,
+          session.history,
+          (text) => emit('token', { text }),
+          promptOptions
+        )
+        : this.aiService.synthesizeResponse(
+          allMealData,
+          userMessage,
+          session.history,
+          promptOptions
+        ));
+      emit('phase', { phase: 'synthesis', status: 'completed' });
 
       // Update session history
-      this.sessionManager.addMessage(session.id, userMessage, finalResponse);
+      await this.sessionManager.addMessage(session, userMessage, finalResponse, tokenUsage.getTotal());
 
-      const phasesExecuted = phase2Executed ? 
-        ['intent_analysis', 'recipe_selection', 'synthesis'] : 
-        ['intent_analysis', 'synthesis'];
+      phasesExecuted.push('synthesis');
+      recordPipelineRequest('success');
 
       return {
         message: finalResponse,
@@ -213,20 +463,44 @@ class RAGPipeline {
         processingTime: Date.now() - startTime,
         apiCallsMade: totalApiCalls,
         phasesExecuted,
-        recipeDataFound: this.countRecipes(allMealData)
+        recipeDataFound: this.countRecipes(allMealData),
+        recipes: buildRecipeCards(allMealData),
+        dietaryExclusions,
+        ...this.describeTokenUsage(session, tokenUsage)
       };
 
     } catch (error) {
+      // Nobody is waiting for an answer, so none is generated or saved to the history
+      if (options.signal?.aborted) {
+        logger.info('Pipeline stopped: request closed', { sessionId: session?.id });
+        recordPipelineRequest('aborted');
+
+        return {
+          message: null,
+          sessionId: session?.id || sessionId,
+          processingTime: Date.now() - startTime,
+          apiCallsMade: 0,
+          recipes: [],
+          dietaryExclusions,
+          ...this.describeTokenUsage(session, tokenUsage),
+          aborted: true
+        };
+      }
+
       logger.error('RAG Pipeline Error', { 
         error: error.message, 
         userMessage: userMessage?.substring(0, 100) 
       });
       
+      recordPipelineRequest('error');
+
       // Try to provide graceful error response
       const errorResponse = this.createErrorResponse(error, userMessage);
       
       if (session) {
-        this.sessionManager.addMessage(session.id, userMessage, errorResponse);
+        await this.sessionManager.addMessage(session, userMessage, errorResponse, tokenUsage.getTotal()).catch(storeError => {
+          logger.error('Failed to save session after pipeline error', { error: storeError.message });
+        });
       }
       
       return {
@@ -234,12 +508,351 @@ class RAGPipeline {
         sessionId: session?.id || uuidv4(),
         processingTime: Date.now() - startTime,
         apiCallsMade: 0,
+        recipes: [],
+        dietaryExclusions,
+        ...this.describeTokenUsage(session, tokenUsage),
         error: true,
         errorMessage: error.message
       };
     }
   }
 
+  // tokenUsage: this request by phase; sessionTokenUsage: the session so far (including this request);
+  // tokenBudget: { limit, used, remaining, exceeded } when SESSION_TOKEN_BUDGET is set
+  describeTokenUsage(session, tokenUsage) {
+    return {
+      tokenUsage: tokenUsage.getSummary(),
+      sessionTokenUsage: session?.tokenUsage || tokenUsage.getTotal(),
+      tokenBudget: this.tokenUsageService.getSessionBudget(session)
+    };
+  }
+
+  // A scaling request only applies when the session's last results include full recipes
+  matchScalingRequest(userMessage, session) {
+    const request = parseScalingRequest(userMessage);
+    if (!request) return null;
+
+    const recipes = collectFullRecipes(session.lastMealData);
+    return recipes.length > 0 ? { ...request, recipes: selectMentionedRecipes(userMessage, recipes) } : null;
+  }
+
+  // Always scales the original recipes, building on the previous request (see resolveScalingOptions)
+  async respondWithScaledRecipes(userMessage, session, request, { startTime, emit, tokenUsage, dietaryExclusions }) {
+    emit('phase', { phase: 'recipe_scaling', status: 'started' });
+
+    const options = resolveScalingOptions(request, session.lastScaling);
+    const scaled = request.recipes.map(recipe => scaleRecipe(recipe, options));
+    const message = formatScaledRecipes(scaled);
+
+    emit('token', { text: message });
+    emit('phase', { phase: 'recipe_scaling', status: 'completed', recipes: scaled.length });
+
+    session.lastScaling = options;
+    await this.sessionManager.addMessage(session, userMessage, message, tokenUsage.getTotal());
+    recordPipelineRequest('recipe_scaling');
+
+    return {
+      message,
+      sessionId: session.id,
+      processingTime: Date.now() - startTime,
+      apiCallsMade: 0,
+      phasesExecuted: ['recipe_scaling'],
+      recipeDataFound: scaled.length,
+      recipes: scaled.map(({ recipe }) => createRecipeCard(recipe)),
+      scaling: scaled[0].scaling,
+      dietaryExclusions,
+      ...this.describeTokenUsage(session, tokenUsage)
+    };
+  }
+
+  matchShoppingListRequest(userMessage, session) {
+    const request = parseShoppingListRequest(userMessage);
+    if (!request) return null;
+
+    const recipes = collectFullRecipes(session.lastMealData);
+    return recipes.length > 0 ? { ...request, recipes: selectMentionedRecipes(userMessage, recipes) } : null;
+  }
+
+  // Buys for the recipes as last scaled, so "make it for 8" then "shopping list" covers 8 servings;
+  // the request itself can also scale ("a shopping list for these for 6 people")
+  async respondWithShoppingList(userMessage, session, request, { startTime, emit, tokenUsage, dietaryExclusions }) {
+    emit('phase', { phase: 'shopping_list', status: 'started' });
+
+    const scalingRequest = parseScalingRequest(userMessage);
+    const scaling = scalingRequest ? resolveScalingOptions(scalingRequest, session.lastScaling) : session.lastScaling;
+    const recipes = scaling
+      ? request.recipes.map(recipe => scaleRecipe(recipe, { servings: scaling.servings }).recipe)
+      : request.recipes;
+
+    const shoppingList = buildShoppingList(recipes, { pantry: request.pantry, units: scaling?.units });
+    const message = formatShoppingList(shoppingList, 'markdown');
+
+    emit('token', { text: message });
+    emit('phase', { phase: 'shopping_list', status: 'completed', items: shoppingList.itemCount });
+
+    await this.sessionManager.addMessage(session, userMessage, message, tokenUsage.getTotal());
+    recordPipelineRequest('shopping_list');
+
+    return {
+      message,
+      sessionId: session.id,
+      processingTime: Date.now() - startTime,
+      apiCallsMade: 0,
+      phasesExecuted: ['shopping_list'],
+      recipeDataFound: recipes.length,
+      recipes: recipes.map(recipe => createRecipeCard(recipe)),
+      shoppingList,
+      dietaryExclusions,
+      ...this.describeTokenUsage(session, tokenUsage)
+    };
+  }
+
+  // Hard post-filter: recipes that break the profile never reach the AI or the response
+  async applyDietaryProfile(mealData, dietaryProfile, exclusions) {
+    const fullRecipes = await this.lookUpStubs(mealData, dietaryProfile);
+    const { mealData: allowed, excluded } = applyDietaryFilter(mealData, dietaryProfile, fullRecipes);
+
+    // The same meal can appear in several results; report it once
+    const newExclusions = excluded.filter(item => !exclusions.some(existing => existing.id === item.id));
+    if (newExclusions.length > 0) {
+      logger.debug(`Dietary filter excluded ${newExclusions.length} recipes`, { excluded: newExclusions });
+      exclusions.push(...newExclusions);
+    }
+    return allowed;
+  }
+
+  // Full recipes for the stubs in filter results (id -> recipe), so their ingredients can be checked.
+  // Stubs past the per-result limit, or whose lookup fails, have none and are filtered out.
+  async lookUpStubs(mealData, dietaryProfile) {
+    if (!needsFullRecipes(dietaryProfile)) return new Map();
+
+    const ids = new Set(mealData.flatMap(result => (result.meals || [])
+      .filter(isStub)
+      .slice(0, this.dietaryStubLookups)
+      .map(meal => meal.id)));
+
+    const lookups = await Promise.all([...ids].map(async id => {
+      try {
+        return (await this.mealdbService.lookupById(id)).meals?.[0] || null;
+      } catch (error) {
+        logger.warn('Recipe lookup for dietary check failed', { id, error: error.message });
+        return null;
+      }
+    }));
+
+    return new Map(lookups.filter(Boolean).map(recipe => [recipe.id, recipe]));
+  }
+
+  // Routes pipeline tool calls to their services and everything else to MealDB
+  async executeApiCalls(apiCalls) {
+    throwIfAborted();
+    const mealdbCalls = apiCalls.filter(call => !TOOL_ENDPOINTS.includes(call.endpoint));
+    const toolCalls = apiCalls.filter(call => TOOL_ENDPOINTS.includes(call.endpoint));
+
+    const [mealdbResults, toolResults] = await withSpan('pipeline.api_calls', {
+      'chefsue.mealdb_calls': mealdbCalls.length,
+      'chefsue.tool_calls': toolCalls.length
+    }, () => Promise.all([
+      this.mealdbService.executeBatch(mealdbCalls),
+      Promise.all(toolCalls.map(call => this.executeToolCall(call)))
+    ]));
+
+    const toolApiCalls = toolResults.reduce((sum, result) => sum + (result.apiCallsMade || 0), 0);
+
+    return {
+      calls: [...mealdbCalls, ...toolCalls],
+      results: [...mealdbResults, ...toolResults],
+      apiCallsMade: mealdbCalls.length + toolApiCalls
+    };
+  }
+
+  pairCallsWithResults(calls, results, step) {
+    return calls.map((call, index) => ({ step, call, result: results[index] }));
+  }
+
+  // Agent mode: after the fixed phases, the model sees every call and result so far and either
+  // finishes or issues more calls, bounded by AGENT_MAX_STEPS and the AGENT_MAX_API_CALLS budget
+  async runAgentLoop(userMessage, executedSteps, context) {
+    const { dietaryProfile, dietaryExclusions, promptOptions, emit, session, tokenUsage } = context;
+    const results = [];
+    const phases = [];
+    let apiCallsMade = context.apiCallsMade;
+
+    for (let step = 1; step <= this.agentMaxSteps; step++) {
+      const remainingCalls = this.agentMaxApiCalls - apiCallsMade;
+      if (remainingCalls <= 0) {
+        logger.debug('Agent loop: API call budget exhausted');
+        break;
+      }
+
+      // Tokens spent so far in this request haven't been added to the session yet
+      if (this.tokenUsageService.getSessionBudget(session, tokenUsage.getTotal())?.exceeded) {
+        logger.debug('Agent loop: session token budget exhausted');
+        break;
+      }
+
+      throwIfAborted();
+
+      const phase = `agent_step_${step}`;
+      phases.push(phase);
+      emit('phase', { phase, status: 'started' });
+
+      const plan = await this.tracePhase(phase, () => this.aiService.planNextStep(userMessage, executedSteps, {
+        ...promptOptions,
+        remainingCalls
+      }));
+      const proposedCalls = this.vocabularyService.normalizeApiCalls(plan.api_calls || []);
+      const newCalls = this.removeRepeatedCalls(proposedCalls, executedSteps).slice(0, remainingCalls);
+
+      if (plan.done || newCalls.length === 0) {
+        logger.debug(`Agent loop: finished after ${step} steps`);
+        emit('phase', { phase, status: 'completed', done: true });
+        break;
+      }
+
+      try {
+        validateApiCalls(newCalls);
+
+        logger.debug(`Agent step ${step}: Executing ${newCalls.length} API calls...`);
+        const execution = await this.executeApiCalls(newCalls);
+        const stepResults = await this.applyDietaryProfile(execution.results, dietaryProfile, dietaryExclusions);
+
+        executedSteps.push(...this.pairCallsWithResults(execution.calls, stepResults, step));
+        results.push(...stepResults.filter(result => !result.error));
+        apiCallsMade += execution.apiCallsMade;
+        emit('phase', { phase, status: 'completed', apiCalls: newCalls.length });
+      } catch (error) {
+        logger.warn('Agent step failed, continuing with results so far', { step, error: error.message });
+        emit('phase', { phase, status: 'completed', error: true });
+        break;
+      }
+    }
+
+    return { results, apiCallsMade, phases };
+  }
+
+  removeRepeatedCalls(apiCalls, executedSteps) {
+    const callKey = call => `${call.endpoint}:${JSON.stringify(call.params || {}).toLowerCase()}`;
+    const seen = new Set(executedSteps.map(({ call }) => callKey(call)));
+
+    return apiCalls.filter(call => {
+      const key = callKey(call);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  async executeToolCall(call) {
+    try {
+      if (call.endpoint === 'pantry_search') {
+        const search = await this.pantryService.search(call.params.ingredients);
+        return this.createPantryResult(search);
+      }
+      throw new Error(`Unsupported tool: ${call.endpoint}`);
+    } catch (error) {
+      logger.warn('Tool call failed', { endpoint: call.endpoint, error: error.message });
+      return {
+        error: true,
+        message: error.message,
+        endpoint: call.endpoint,
+        params: call.params
+      };
+    }
+  }
+
+  createPantryResult(search) {
+    const hasMatches = search.matches.length > 0;
+
+    return {
+      meals: hasMatches ? search.matches.map(match => match.meal) : null,
+      count: search.matches.length,
+      isEmpty: !hasMatches,
+      ...(!hasMatches && { message: `No recipes found using ${search.ingredients.join(', ')}` }),
+      source: 'pantry_search',
+      apiCallsMade: search.apiCallsMade,
+      pantry: {
+        ingredients: search.ingredients,
+        matches: search.matches.map(({ meal, ...match }) => ({ id: meal.id, ...match }))
+      }
+    };
+  }
+
+  async runVectorRetrieval(userMessage, mealData, emit) {
+    logger.debug('Vector retrieval: Searching indexed recipes...');
+    emit('phase', { phase: 'vector_retrieval', status: 'started' });
+
+    try {
+      const matches = await this.tracePhase('vector_retrieval', async () => {
+        await this.ensureRetrieverSeeded();
+        await this.retriever.indexMealData(mealData);
+
+        const existingIds = mealData
+          .flatMap(result => Array.isArray(result.meals) ? result.meals : [])
+          .map(meal => meal.id);
+
+        return this.retriever.retrieve(userMessage, { excludeIds: existingIds });
+      });
+      emit('phase', { phase: 'vector_retrieval', status: 'completed', matches: matches.length });
+
+      if (matches.length === 0) return null;
+
+      return {
+        meals: matches.map(match => match.meal),
+        count: matches.length,
+        isEmpty: false,
+        source: 'vector_retrieval',
+        scores: matches.map(match => ({ id: match.meal.id, score: match.score }))
+      };
+    } catch (error) {
+      logger.warn('Vector retrieval failed, continuing without it', { error: error.message });
+      emit('phase', { phase: 'vector_retrieval', status: 'completed', matches: 0 });
+      return null;
+    }
+  }
+
+  // Index the whole local recipe store once so retrieval works from the first request
+  ensureRetrieverSeeded() {
+    if (!this.retrieverSeeding) {
+      const localMeals = this.mealdbService.localStore?.meals || [];
+      this.retrieverSeeding = this.retriever.indexLocalMeals(localMeals).catch(error => {
+        this.retrieverSeeding = null;
+        throw error;
+      });
+    }
+    return this.retrieverSeeding;
+  }
+
+  // Model calls and MealDB requests made inside fn are recorded as children of the phase span,
+  // and the model calls' tokens are attributed to the phase
+  tracePhase(phase, fn) {
+    return withSpan(`pipeline.${phase}`, { 'chefsue.phase': phase }, () => withRequestContext({ phase }, fn));
+  }
+
+  // Also times each phase for metrics. A phase completed without a 'started' event
+  // (direct_response) is timed from the start of the request.
+  createEmitter(onEvent, startTime = Date.now()) {
+    const phaseStarts = new Map();
+
+    return (event, data) => {
+      if (event === 'phase') {
+        if (data.status === 'started') {
+          phaseStarts.set(data.phase, Date.now());
+        } else if (data.status === 'completed') {
+          observePipelinePhase(data.phase, (Date.now() - (phaseStarts.get(data.phase) ?? startTime)) / 1000);
+        }
+      }
+
+      if (typeof onEvent !== 'function') return;
+
+      try {
+        onEvent(event, data);
+      } catch (error) {
+        logger.warn('Pipeline event listener failed', { event, error: error.message });
+      }
+    };
+  }
+
   hasFilterResults(mealData) {
     return mealData.some(result => 
       result.meals && 
@@ -290,21 +903,33 @@ class RAGPipeline {
       logger.error('MealDB Service health check failed', { error: error.message });
     }
 
-    checks.sessions = this.sessionManager.sessions.size >= 0; // Always true
+    try {
+      checks.sessions = await this.sessionManager.healthCheck();
+    } catch (error) {
+      logger.error('Session store health check failed', { error: error.message });
+    }
 
     return {
       healthy: Object.values(checks).every(check => check === true),
       checks,
-      sessionStats: this.sessionManager.getStats(),
+      sessionStats: checks.sessions ? await this.sessionManager.getStats() : null,
       timestamp: new Date().toISOString()
     };
   }
 
   // Get pipeline statistics
-  getStats() {
+  async getStats() {
     return {
-      sessionManager: this.sessionManager.getStats(),
+      sessionManager: await this.sessionManager.getStats(),
+      aiService: this.aiService.getProviderInfo(),
+      structuredOutput: this.aiService.getParseStats(),
       mealdbService: this.mealdbService.getStats(),
+      vocabulary: this.vocabularyService.getStats(),
+      tokenUsage: this.tokenUsageService.getStats(),
+      ...(this.retriever && { vectorRetrieval: this.retriever.getStats() }),
+      ...(this.agentEnabled && {
+        agentMode: { maxSteps: this.agentMaxSteps, maxApiCalls: this.agentMaxApiCalls }
+      }),
       timestamp: new Date().toISOString()
     };
   }
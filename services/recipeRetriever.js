@@ -0,0 +1,97 @@
+const { createEmbedder } = require('./embeddings');
+const VectorStore = require('./vectorStore');
+const { fromMealDB, isStub } = require('../models/recipe');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const MAX_INSTRUCTION_CHARS = 300;
+
+// Embedding-based recipe retrieval. Full recipes are indexed as the pipeline sees them
+// (and up front from the local recipe store), then matched against the user's message.
+class RecipeRetriever {
+  constructor(options = {}) {
+    this.embedder = options.embedder || createEmbedder();
+    this.topK = options.topK || parseInt(process.env.VECTOR_TOP_K) || 3;
+    this.minScore = options.minScore ?? (parseFloat(process.env.VECTOR_MIN_SCORE) || 0.1);
+    this.store = options.store || new VectorStore({
+      filePath: process.env.VECTOR_STORE_PATH || null,
+      signature: JSON.stringify(this.embedder.getInfo())
+    });
+    this.stats = { indexed: 0, queries: 0, hits: 0 };
+  }
+
+  // Only full recipes are indexed; filter stubs have nothing but a name to embed
+  async indexMeals(meals = []) {
+    const newMeals = meals.filter(meal => 
+      meal?.id && !isStub(meal) && !this.store.has(meal.id)
+    );
+    if (newMeals.length === 0) return 0;
+
+    const vectors = await this.embedder.embedBatch(newMeals.map(buildRecipeDocument));
+    newMeals.forEach((meal, index) => this.store.upsert(meal.id, vectors[index], { meal }));
+
+    this.stats.indexed += newMeals.length;
+    this.persist();
+    return newMeals.length;
+  }
+
+  // The local store holds raw MealDB meals, exported from search.php (see scripts/exportMealDB.js)
+  async indexLocalMeals(meals = []) {
+    return await this.indexMeals(meals.map(meal => fromMealDB(meal, { endpoint: 'search.php', origin: 'local' })));
+  }
+
+  async indexMealData(mealData = []) {
+    const meals = mealData.flatMap(result => Array.isArray(result.meals) ? result.meals : []);
+    return await this.indexMeals(meals);
+  }
+
+  async retrieve(query, options = {}) {
+    this.stats.queries++;
+    if (this.store.size === 0) return [];
+
+    const queryVector = await this.embedder.embed(query);
+    const matches = this.store.search(queryVector, {
+      topK: options.topK || this.topK,
+      minScore: options.minScore ?? this.minScore,
+      exclude: new Set((options.excludeIds || []).map(String))
+    });
+
+    this.stats.hits += matches.length;
+    return matches.map(match => ({ meal: match.metadata.meal, score: match.score }));
+  }
+
+  persist() {
+    try {
+      this.store.saveToDisk();
+    } catch (error) {
+      logger.warn('Failed to persist vector index', { error: error.message });
+    }
+  }
+
+  getStats() {
+    return {
+      embedder: this.embedder.getInfo(),
+      indexSize: this.store.size,
+      topK: this.topK,
+      minScore: this.minScore,
+      ...this.stats
+    };
+  }
+}
+
+function buildRecipeDocument(meal) {
+  const instructions = (meal.instructions || '').substring(0, MAX_INSTRUCTION_CHARS);
+
+  // Repeat the name so it outweighs incidental words in long instructions
+  return [
+    meal.name,
+    meal.name,
+    meal.category && `Category: ${meal.category}`,
+    meal.area && `Cuisine: ${meal.area}`,
+    meal.tags.length > 0 && `Tags: ${meal.tags.join(',')}`,
+    `Ingredients: ${meal.ingredients.map(item => item.name).join(', ')}`,
+    instructions
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = RecipeRetriever;
@@ -0,0 +1,78 @@
+const logger = require('../utils/logger');
+
+// filter.php takes one criterion at a time, so several filters are fetched separately and intersected.
+// A name query uses search.php, whose full recipes are then filtered locally.
+const FILTER_METHODS = {
+  category: 'filterByCategory',
+  area: 'filterByArea',
+  ingredient: 'filterByIngredient'
+};
+
+// Backs GET /api/recipes: deterministic search and browse over MealDB without the model
+class RecipeSearchService {
+  constructor(mealdbService) {
+    this.mealdbService = mealdbService;
+  }
+
+  // criteria: { query, category, area, ingredient, page, pageSize, details } from validateRecipeQuery.
+  // Returns one page of meals (filter stubs unless details is set or a query was given) and the total.
+  async search(criteria) {
+    const filters = Object.keys(FILTER_METHODS)
+      .filter(name => criteria[name] !== undefined)
+      .map(name => [name, criteria[name]]);
+
+    let meals;
+    let apiCallsMade;
+
+    if (criteria.query) {
+      const result = await this.mealdbService.searchByName(criteria.query);
+      meals = (result.meals || []).filter(meal => filters.every(([name, value]) => matchesFilter(meal, name, value)));
+      apiCallsMade = 1;
+    } else {
+      const results = await Promise.all(filters.map(([name, value]) => this.mealdbService[FILTER_METHODS[name]](value)));
+      meals = intersectById(results.map(result => result.meals || []));
+      apiCallsMade = filters.length;
+    }
+
+    const start = (criteria.page - 1) * criteria.pageSize;
+    let pageMeals = meals.slice(start, start + criteria.pageSize);
+
+    if (criteria.details && !criteria.query) {
+      pageMeals = await this.lookupDetails(pageMeals);
+      apiCallsMade += pageMeals.length;
+    }
+
+    logger.debug('Recipe search complete', { criteria, total: meals.length, returned: pageMeals.length });
+
+    return { meals: pageMeals, total: meals.length, apiCallsMade };
+  }
+
+  // Replaces filter stubs with full recipes; a failed lookup keeps the stub
+  async lookupDetails(meals) {
+    const lookups = await this.mealdbService.executeBatch(
+      meals.map(meal => ({ endpoint: 'lookup.php', params: { i: meal.id } }))
+    );
+
+    return meals.map((meal, index) => lookups[index]?.meals?.[0] || meal);
+  }
+}
+
+function matchesFilter(meal, name, value) {
+  const expected = value.toLowerCase();
+
+  if (name === 'category') return (meal.category || '').toLowerCase() === expected;
+  if (name === 'area') return (meal.area || '').toLowerCase() === expected;
+
+  // MealDB accepts underscores in place of spaces for multi-word ingredients
+  const ingredient = expected.replace(/_/g, ' ');
+  return meal.ingredients.some(item => item.name.toLowerCase() === ingredient);
+}
+
+// Keeps the order of the first list
+function intersectById(lists) {
+  const [first = [], ...rest] = lists;
+  const others = rest.map(list => new Set(list.map(meal => meal.id)));
+  return first.filter(meal => others.every(ids => ids.has(meal.id)));
+}
+
+module.exports = RecipeSearchService;
@@ -0,0 +1,40 @@
+const { buildShoppingList } = require('../utils/shoppingList');
+const { scaleRecipe } = require('../utils/recipeScaling');
+const logger = require('../utils/logger');
+
+// Backs POST /api/shopping-list: looks up the chosen recipes in full and merges their ingredients.
+// The chat intent builds its list from the session's last results instead (see RAGPipeline).
+class ShoppingListService {
+  constructor(mealdbService) {
+    this.mealdbService = mealdbService;
+  }
+
+  // options: { pantry, servings, units } from validateShoppingListRequest. Returns the list, or
+  // the IDs MealDB doesn't know. A failed lookup throws rather than leaving a recipe out.
+  async create(recipeIds, { pantry = [], servings, units = 'original' } = {}) {
+    const lookups = await this.mealdbService.executeBatch(
+      recipeIds.map(id => ({ endpoint: 'lookup.php', params: { i: id } }))
+    );
+
+    const failed = lookups.find(result => result.error);
+    if (failed) {
+      throw new Error(failed.message);
+    }
+
+    const missingIds = recipeIds.filter((id, index) => !lookups[index].meals?.length);
+    if (missingIds.length > 0) {
+      return { missingIds, apiCallsMade: lookups.length };
+    }
+
+    const recipes = lookups
+      .map(result => result.meals[0])
+      .map(recipe => servings ? scaleRecipe(recipe, { servings }).recipe : recipe);
+    const shoppingList = buildShoppingList(recipes, { pantry, units });
+
+    logger.debug('Shopping list built', { recipeIds, items: shoppingList.itemCount, alreadyHave: shoppingList.alreadyHave.length });
+
+    return { shoppingList, missingIds, apiCallsMade: lookups.length };
+  }
+}
+
+module.exports = ShoppingListService;
@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// One JSON file per record under <directory>/<namespace>; survives restarts on a single host
+class FileStore {
+  constructor(options = {}) {
+    this.backend = 'file';
+    this.namespace = options.namespace || 'default';
+    this.directory = path.resolve(
+      options.directory || process.env.SESSION_STORE_PATH || './data/store',
+      this.namespace
+    );
+    this.ready = null;
+  }
+
+  async ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+
+  async get(id) {
+    const entry = await this.readEntry(this.filePath(id));
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      await this.delete(id);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(id, record, options = {}) {
+    await this.ensureDirectory();
+
+    const entry = {
+      value: record,
+      expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+    };
+
+    // Write to a temp file and rename so readers never see a partial record
+    const target = this.filePath(id);
+    const tempFile = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(entry), 'utf8');
+    await fs.rename(tempFile, target);
+  }
+
+  async delete(id) {
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    await this.ensureDirectory();
+
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const records = [];
+
+    for (const file of files) {
+      const entry = await this.readEntry(path.join(this.directory, file));
+      if (!entry) continue;
+
+      if (isExpired(entry)) {
+        await this.delete(decodeURIComponent(file.slice(0, -'.json'.length)));
+        continue;
+      }
+      records.push(entry.value);
+    }
+
+    return records;
+  }
+
+  // Counts files without reading them, so expired records not yet removed by get() or list() are included
+  async count() {
+    await this.ensureDirectory();
+    return (await fs.readdir(this.directory)).filter(file => file.endsWith('.json')).length;
+  }
+
+  async readEntry(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+
+      logger.warn('Failed to read stored record', { file: filePath, error: error.message });
+      return null;
+    }
+  }
+
+  async healthCheck() {
+    try {
+      await this.ensureDirectory();
+      await fs.access(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      logger.error('File store health check failed', { directory: this.directory, error: error.message });
+      return false;
+    }
+  }
+
+  async close() {}
+
+  getInfo() {
+    return {
+      backend: this.backend,
+      namespace: this.namespace,
+      directory: this.directory
+    };
+  }
+}
+
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+}
+
+module.exports = FileStore;
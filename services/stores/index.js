@@ -0,0 +1,38 @@
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const RedisStore = require('./redisStore');
+require('dotenv').config();
+
+const STORES = {
+  memory: MemoryStore,
+  file: FileStore,
+  redis: RedisStore
+};
+
+// Keyed JSON record stores selected with SESSION_STORE. All methods are async:
+// get(id), set(id, record, { ttlSeconds }), delete(id), list(), count(), healthCheck(), close(), getInfo()
+// Records of unauthenticated deployments all live in this tenant
+const DEFAULT_TENANT = 'default';
+
+function createStore(namespace, options = {}) {
+  const backend = (options.backend || process.env.SESSION_STORE || 'memory').toLowerCase();
+  const Store = STORES[backend];
+  if (!Store) {
+    throw new Error(`Unknown store backend: ${backend}. Available backends: ${Object.keys(STORES).join(', ')}`);
+  }
+  return new Store({ ...options, namespace });
+}
+
+// Record IDs are only unique within a tenant, so stored keys carry the tenant as a prefix
+function tenantKey(tenantId, id) {
+  return `${tenantId || DEFAULT_TENANT}:${id}`;
+}
+
+module.exports = {
+  createStore,
+  tenantKey,
+  DEFAULT_TENANT,
+  MemoryStore,
+  FileStore,
+  RedisStore
+};
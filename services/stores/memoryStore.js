@@ -0,0 +1,70 @@
+// In-process store; records are cloned on read/write so behaviour matches the persistent backends
+class MemoryStore {
+  constructor(options = {}) {
+    this.backend = 'memory';
+    this.namespace = options.namespace || 'default';
+    this.records = new Map();
+  }
+
+  async get(id) {
+    const entry = this.records.get(id);
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      this.records.delete(id);
+      return null;
+    }
+
+    return JSON.parse(entry.value);
+  }
+
+  async set(id, record, options = {}) {
+    this.records.set(id, {
+      value: JSON.stringify(record),
+      expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+    });
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  async list() {
+    const records = [];
+    for (const [id, entry] of this.records) {
+      if (isExpired(entry)) {
+        this.records.delete(id);
+        continue;
+      }
+      records.push(JSON.parse(entry.value));
+    }
+    return records;
+  }
+
+  async count() {
+    let count = 0;
+    for (const entry of this.records.values()) {
+      if (!isExpired(entry)) count++;
+    }
+    return count;
+  }
+
+  async healthCheck() {
+    return true;
+  }
+
+  async close() {}
+
+  getInfo() {
+    return {
+      backend: this.backend,
+      namespace: this.namespace
+    };
+  }
+}
+
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,98 @@
+const logger = require('../../utils/logger');
+
+// Works with Redis or any server speaking its protocol (Valkey, KeyDB, Dragonfly).
+// Pass options.client to use an existing or stand-in client (e.g. ioredis-mock).
+class RedisStore {
+  constructor(options = {}) {
+    this.backend = 'redis';
+    this.namespace = options.namespace || 'default';
+    this.prefix = `${options.keyPrefix || process.env.REDIS_KEY_PREFIX || 'chefsue:'}${this.namespace}:`;
+    this.client = options.client || createClient(options.url || process.env.REDIS_URL);
+  }
+
+  key(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  async get(id) {
+    const value = await this.client.get(this.key(id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(id, record, options = {}) {
+    const value = JSON.stringify(record);
+
+    if (options.ttlSeconds) {
+      await this.client.set(this.key(id), value, 'EX', options.ttlSeconds);
+    } else {
+      await this.client.set(this.key(id), value);
+    }
+  }
+
+  async delete(id) {
+    const removed = await this.client.del(this.key(id));
+    return removed > 0;
+  }
+
+  async list() {
+    const keys = await this.scanKeys();
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mget(keys);
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  // Redis removes expired keys itself, so counting keys needs no values
+  async count() {
+    return (await this.scanKeys()).length;
+  }
+
+  async scanKeys() {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async healthCheck() {
+    try {
+      return (await this.client.ping()) === 'PONG';
+    } catch (error) {
+      logger.error('Redis store health check failed', { error: error.message });
+      return false;
+    }
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+
+  getInfo() {
+    return {
+      backend: this.backend,
+      namespace: this.namespace,
+      keyPrefix: this.prefix
+    };
+  }
+}
+
+function createClient(url) {
+  const Redis = require('ioredis');
+  const client = new Redis(url || 'redis://localhost:6379', {
+    maxRetriesPerRequest: 2
+  });
+
+  client.on('error', (error) => {
+    logger.error('Redis connection error', { error: error.message });
+  });
+
+  return client;
+}
+
+module.exports = RedisStore;
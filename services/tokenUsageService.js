@@ -0,0 +1,65 @@
+const { emptyUsage, addUsage } = require('../utils/tokenUsage');
+require('dotenv').config();
+
+// Totals per credential and per phase since the process started, plus the per-session token budget.
+// Per-request and per-session usage is returned with the response and stored on the session.
+class TokenUsageService {
+  constructor() {
+    // 0 (the default) leaves sessions unlimited
+    this.sessionBudget = parseInt(process.env.SESSION_TOKEN_BUDGET) || 0;
+    this.total = emptyUsage();
+    this.byPhase = {};
+    this.byCredential = new Map();
+    this.budgetRejections = 0;
+  }
+
+  // summary comes from the request's usage tracker (utils/tokenUsage.createUsageTracker)
+  recordRequest(summary, { tenantId, credential }) {
+    const { byPhase, ...total } = summary;
+    this.total = addUsage(this.total, total);
+
+    for (const [phase, usage] of Object.entries(byPhase)) {
+      this.byPhase[phase] = addUsage(this.byPhase[phase], usage);
+    }
+
+    const key = credential || 'anonymous';
+    const entry = this.byCredential.get(key) || { tenantId, usage: emptyUsage(), requests: 0 };
+    this.byCredential.set(key, { tenantId, usage: addUsage(entry.usage, total), requests: entry.requests + 1 });
+  }
+
+  // Returns null when no budget is configured; a session over budget gets no further model calls.
+  // pending: usage of the request in progress, not yet added to the session
+  getSessionBudget(session, pending = null) {
+    if (!this.sessionBudget) return null;
+
+    const used = (session?.tokenUsage?.totalTokens || 0) + (pending?.totalTokens || 0);
+    return {
+      limit: this.sessionBudget,
+      used,
+      remaining: Math.max(0, this.sessionBudget - used),
+      exceeded: used >= this.sessionBudget
+    };
+  }
+
+  recordBudgetRejection() {
+    this.budgetRejections++;
+  }
+
+  getStats() {
+    return {
+      sessionBudget: this.sessionBudget || null,
+      budgetRejections: this.budgetRejections,
+      total: { ...this.total },
+      byPhase: { ...this.byPhase },
+      byCredential: Object.fromEntries(
+        [...this.byCredential].map(([credential, entry]) => [credential, {
+          tenantId: entry.tenantId,
+          requests: entry.requests,
+          ...entry.usage
+        }])
+      )
+    };
+  }
+}
+
+module.exports = TokenUsageService;
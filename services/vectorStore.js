@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Brute-force in-memory vector index with optional JSON persistence.
+// Vectors are expected to be L2-normalized, so the dot product is the cosine similarity.
+class VectorStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.signature = options.signature || null;
+    this.items = new Map();
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  upsert(id, vector, metadata = {}) {
+    this.items.set(String(id), { id: String(id), vector, metadata });
+  }
+
+  has(id) {
+    return this.items.has(String(id));
+  }
+
+  search(queryVector, options = {}) {
+    const topK = options.topK || 5;
+    const minScore = options.minScore ?? 0;
+    const exclude = options.exclude || new Set();
+
+    const scored = [];
+    for (const item of this.items.values()) {
+      if (exclude.has(item.id)) continue;
+
+      const score = cosineSimilarity(queryVector, item.vector);
+      if (score >= minScore) {
+        scored.push({ id: item.id, score, metadata: item.metadata });
+      }
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  loadFromDisk() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      // Vectors from a different embedding model are not comparable
+      if (this.signature && saved.signature !== this.signature) {
+        logger.warn('Ignoring vector index built with a different embedder', {
+          expected: this.signature,
+          found: saved.signature
+        });
+        return;
+      }
+
+      saved.items.forEach(item => this.items.set(item.id, item));
+      logger.info('Vector index loaded', { items: this.items.size, filePath: this.filePath });
+    } catch (error) {
+      logger.warn('Failed to load vector index', { filePath: this.filePath, error: error.message });
+    }
+  }
+
+  saveToDisk() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({
+      signature: this.signature,
+      items: Array.from(this.items.values())
+    }));
+    fs.renameSync(tempFile, this.filePath);
+  }
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,164 @@
+const { getVocabulary, setVocabulary, matchVocabularyTerm } = require('../utils/vocabulary');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// Failed loads are retried on a later request, but not more often than this
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+// filter.php param -> vocabulary list its value must come from
+const FILTER_VOCABULARIES = { c: 'categories', a: 'areas', i: 'ingredients' };
+
+// Loads the category/area/ingredient enumerations from MealDB's list.php endpoints and maps
+// model-proposed values onto them. Until a load succeeds the hardcoded fallback lists in
+// utils/vocabulary stay in use.
+class VocabularyService {
+  constructor(mealdbService) {
+    this.mealdbService = mealdbService;
+    this.refreshMs = (parseInt(process.env.VOCABULARY_REFRESH_HOURS) || 24) * 60 * 60 * 1000;
+    this.loading = null;
+    this.loadedAt = 0;
+    this.lastAttempt = 0;
+    this.lastError = null;
+    this.corrections = { synonym: 0, plural: 0, fuzzy: 0, retyped: 0, searchFallback: 0 };
+  }
+
+  // Safe to call on every request: loads once (then every refreshMs), and concurrent callers share the same load
+  async ensureLoaded() {
+    if (this.loadedAt && Date.now() - this.loadedAt < this.refreshMs) return;
+    if (!this.loading && Date.now() - this.lastAttempt < RETRY_INTERVAL_MS) return;
+
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    await this.loading;
+  }
+
+  async load() {
+    this.lastAttempt = Date.now();
+
+    const [categories, areas, ingredients] = await Promise.allSettled([
+      this.mealdbService.listCategories(),
+      this.mealdbService.listAreas(),
+      this.mealdbService.listIngredients()
+    ]);
+
+    const lists = {
+      categories: extractValues(categories),
+      areas: extractValues(areas),
+      ingredients: extractValues(ingredients)
+    };
+
+    if (Object.values(lists).every(values => values.length === 0)) {
+      this.lastError = [categories, areas, ingredients].find(result => result.status === 'rejected')?.reason?.message
+        || 'MealDB returned empty lists';
+      logger.warn('Vocabulary load failed, keeping current lists', { error: this.lastError });
+      return false;
+    }
+
+    setVocabulary(lists);
+    this.loadedAt = Date.now();
+    this.lastError = null;
+
+    logger.info('Vocabulary loaded from MealDB', {
+      categories: lists.categories.length,
+      areas: lists.areas.length,
+      ingredients: lists.ingredients.length
+    });
+    return true;
+  }
+
+  // Rewrites filter values to their canonical MealDB names before validation. A category or
+  // area that matches nothing becomes a name search instead of a validation error.
+  normalizeApiCalls(apiCalls) {
+    if (!Array.isArray(apiCalls)) return apiCalls;
+    return apiCalls.map(call => this.normalizeApiCall(call));
+  }
+
+  normalizeApiCall(call) {
+    if (!call || typeof call.params !== 'object' || call.params === null) return call;
+
+    if (call.endpoint === 'filter.php') {
+      return this.normalizeFilterCall(call);
+    }
+
+    if (call.endpoint === 'pantry_search' && Array.isArray(call.params.ingredients)) {
+      const ingredients = call.params.ingredients.map(ingredient => this.normalizeIngredient(ingredient));
+      return { ...call, params: { ...call.params, ingredients } };
+    }
+
+    return call;
+  }
+
+  normalizeFilterCall(call) {
+    const params = Object.keys(FILTER_VOCABULARIES).filter(param => call.params[param] !== undefined);
+    if (params.length !== 1) return call;
+
+    const [param] = params;
+    const value = call.params[param];
+
+    if (param === 'i') {
+      return { ...call, params: { ...call.params, i: this.normalizeIngredient(value) } };
+    }
+
+    const match = matchVocabularyTerm(FILTER_VOCABULARIES[param], value);
+    if (match) {
+      this.recordCorrection(match, value);
+      return { ...call, params: { ...call.params, [param]: match.value } };
+    }
+
+    // e.g. filter.php?c=Italian: the value is valid for the other enumerated filter
+    const otherParam = param === 'c' ? 'a' : 'c';
+    const otherMatch = matchVocabularyTerm(FILTER_VOCABULARIES[otherParam], value);
+    if (otherMatch && otherMatch.match !== 'fuzzy') {
+      this.corrections.retyped++;
+      logger.debug('Vocabulary: moved filter value to another parameter', { from: param, to: otherParam, value });
+      return { ...call, params: { [otherParam]: otherMatch.value } };
+    }
+
+    if (typeof value !== 'string' || !value.trim()) return call;
+
+    this.corrections.searchFallback++;
+    logger.debug('Vocabulary: unknown filter value, searching by name instead', { param, value });
+    return { endpoint: 'search.php', params: { s: value.trim() } };
+  }
+
+  // Unknown ingredients are passed through unchanged; MealDB may still know them
+  normalizeIngredient(ingredient) {
+    const match = matchVocabularyTerm('ingredients', ingredient);
+    if (!match) return ingredient;
+
+    this.recordCorrection(match, ingredient);
+    return match.value;
+  }
+
+  recordCorrection(match, original) {
+    if (match.match === 'exact') return;
+
+    this.corrections[match.match]++;
+    logger.debug('Vocabulary: normalized value', { original, value: match.value, match: match.match });
+  }
+
+  getStats() {
+    const vocabulary = getVocabulary();
+
+    return {
+      source: vocabulary.source,
+      loadedAt: vocabulary.loadedAt,
+      categories: vocabulary.categories.length,
+      areas: vocabulary.areas.length,
+      ingredients: vocabulary.ingredients.length,
+      corrections: { ...this.corrections },
+      ...(this.lastError && { lastError: this.lastError })
+    };
+  }
+}
+
+function extractValues(settled) {
+  if (settled.status !== 'fulfilled') return [];
+  return settled.value?.list?.values || [];
+}
+
+module.exports = VocabularyService;
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.LOG_LEVEL = 'error';
+
+const { createAuthenticator, getCredentialId } = require('../middleware/auth');
+
+const JWT_SECRET = 'test-secret';
+
+// Runs authenticate (and requireAdmin) against a bare request, returning req.auth or the error passed on
+function authenticateAnonymous(options) {
+  const { authenticate, requireAdmin } = createAuthenticator({ apiKeys: '', jwtSecret: '', ...options });
+  const req = { get: () => undefined };
+
+  let error = null;
+  authenticate(req, { set() {} }, err => { error = err || null; });
+  requireAdmin(req, {}, err => { error = error || err || null; });
+  return { auth: req.auth, error };
+}
+
+describe('authentication disabled', () => {
+  let previous;
+
+  beforeEach(() => {
+    previous = { NODE_ENV: process.env.NODE_ENV, AUTH_DISABLED_ADMIN: process.env.AUTH_DISABLED_ADMIN };
+    delete process.env.NODE_ENV;
+    delete process.env.AUTH_DISABLED_ADMIN;
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('treats anonymous requests as users whatever NODE_ENV says', () => {
+    for (const env of [undefined, 'development', 'staging']) {
+      if (env) process.env.NODE_ENV = env;
+      const { auth, error } = authenticateAnonymous();
+
+      assert.equal(auth.role, 'user');
+      assert.equal(auth.method, 'none');
+      assert.equal(error.code, 'ADMIN_REQUIRED');
+    }
+  });
+
+  it('makes anonymous requests admin only with AUTH_DISABLED_ADMIN=true', () => {
+    process.env.AUTH_DISABLED_ADMIN = 'true';
+    const { auth, error } = authenticateAnonymous();
+
+    assert.equal(auth.role, 'admin');
+    assert.equal(error, null);
+  });
+});
+
+describe('bearer tokens', () => {
+  const { authenticate } = createAuthenticator({ apiKeys: '', jwtSecret: JWT_SECRET });
+
+  function authenticateToken(claims) {
+    const token = jwt.sign(claims, JWT_SECRET);
+    const req = { get: name => (name === 'Authorization' ? `Bearer ${token}` : undefined) };
+
+    let error = null;
+    authenticate(req, { set() {} }, err => { error = err || null; });
+    return { auth: req.auth, error };
+  }
+
+  it('identifies the credential by the token subject', () => {
+    const { auth, error } = authenticateToken({ tenant: 'acme', sub: 'user-1' });
+
+    assert.equal(error, null);
+    assert.equal(auth.tenantId, 'acme');
+    assert.equal(getCredentialId(auth), 'jwt:user-1');
+  });
+
+  it('rejects tokens without a subject', () => {
+    for (const claims of [{ tenant: 'acme' }, { tenant: 'acme', sub: '' }, { tenant: 'acme', sub: 42 }]) {
+      const { auth, error } = authenticateToken(claims);
+
+      assert.equal(auth, undefined);
+      assert.equal(error.statusCode, 401);
+      assert.equal(error.code, 'INVALID_TOKEN');
+    }
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+Object.assign(process.env, { LLM_PROVIDER: 'fake', MEALDB_SOURCE: 'local', LOG_LEVEL: 'error' });
+
+const { createSSEStream } = require('../utils/sse');
+const { timeoutHandler, errorHandler, createErrorResponse } = require('../middleware/errorHandler');
+const { RAGPipeline } = require('../services/ragPipeline');
+
+const TIMEOUT_MS = 100;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('event stream timeout', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(timeoutHandler(TIMEOUT_MS));
+
+    // Sends a tick every half timeout for well past the request timeout, then goes quiet
+    app.get('/stream', async (req, res) => {
+      const stream = createSSEStream(res, {
+        idleTimeoutMs: TIMEOUT_MS,
+        onIdle: () => stream.send('error', createErrorResponse('Request timeout', 'REQUEST_TIMEOUT', 408))
+      });
+      for (let tick = 1; tick <= 5; tick++) {
+        await wait(TIMEOUT_MS / 2);
+        stream.send('tick', { tick });
+      }
+    });
+    app.get('/slow', async (req, res) => {
+      await wait(TIMEOUT_MS * 2);
+      if (!res.headersSent) res.json({ ok: true });
+    });
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('keeps a stream open while it sends events and closes it once idle', async () => {
+    const body = await (await fetch(`${baseUrl}/stream`)).text();
+    const events = body.match(/^event: \w+/gm).map(line => line.slice('event: '.length));
+
+    assert.deepEqual(events, ['tick', 'tick', 'tick', 'tick', 'tick', 'error']);
+    assert.match(body, /"code":"REQUEST_TIMEOUT"/);
+  });
+
+  it('still times out other requests', async () => {
+    const response = await fetch(`${baseUrl}/slow`);
+
+    assert.equal(response.status, 408);
+    assert.equal((await response.json()).code, 'REQUEST_TIMEOUT');
+  });
+});
+
+describe('RAGPipeline abort signal', () => {
+  it('stops before the next model call and leaves the session history alone', async () => {
+    const pipeline = new RAGPipeline();
+    const controller = new AbortController();
+
+    // The client goes away as soon as the first phase starts
+    const result = await pipeline.processRequest('chicken curry recipes', 'abort-session', {
+      signal: controller.signal,
+      onEvent: (event, data) => {
+        if (event === 'phase' && data.status === 'started') controller.abort();
+      }
+    });
+
+    assert.equal(result.aborted, true);
+    assert.equal(result.message, null);
+    assert.equal(pipeline.aiService.provider.calls.length, 0);
+    const session = await pipeline.sessionManager.findSession('abort-session');
+    assert.deepEqual(session?.history || [], []);
+  });
+});
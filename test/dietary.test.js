@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, { LLM_PROVIDER: 'fake', MEALDB_SOURCE: 'local', LOG_LEVEL: 'error' });
+
+const { fromMealDB } = require('../models/recipe');
+const { findViolation, applyDietaryFilter, mergeProfiles, createEmptyProfile } = require('../utils/dietary');
+const { RAGPipeline } = require('../services/ragPipeline');
+
+const profile = fields => ({ ...createEmptyProfile(), ...fields });
+
+function fullRecipe(id, name, category, ingredients) {
+  const meal = { idMeal: id, strMeal: name, strCategory: category, strInstructions: 'Cook it.' };
+  ingredients.forEach((ingredient, index) => {
+    meal[`strIngredient${index + 1}`] = ingredient;
+  });
+  return fromMealDB(meal, { endpoint: 'lookup.php' });
+}
+
+const stub = (id, name) => fromMealDB({ idMeal: id, strMeal: name }, { endpoint: 'filter.php' });
+
+const SATAY = fullRecipe('1', 'Chicken Satay', 'Chicken', ['Chicken Thighs', 'Peanut Butter', 'Soy Sauce']);
+const NOODLES = fullRecipe('2', 'Sesame Noodles', 'Vegetarian', ['Rice Noodles', 'Sesame Oil', 'Spring Onions']);
+
+describe('findViolation', () => {
+  it('checks diets, allergens and dislikes against the ingredients', () => {
+    assert.equal(findViolation(SATAY, profile({ diets: ['vegetarian'] })), 'category Chicken is not vegetarian');
+    assert.equal(findViolation(SATAY, profile({ allergens: ['peanuts'] })), 'contains Peanut Butter (allergen: peanuts)');
+    assert.equal(findViolation(SATAY, profile({ dislikedIngredients: ['soy sauce'] })), 'contains Soy Sauce (disliked)');
+    assert.equal(findViolation(NOODLES, profile({ diets: ['vegan', 'gluten-free'], allergens: ['nuts'] })), null);
+  });
+
+  it('honours exceptions inside ingredient groups', () => {
+    const curry = fullRecipe('3', 'Thai Curry', 'Vegan', ['Coconut Milk', 'Nutmeg', 'Butternut Squash']);
+    assert.equal(findViolation(curry, profile({ diets: ['dairy-free'], allergens: ['tree-nuts'] })), null);
+  });
+
+  it('never allows a stub when diets or allergens need its ingredients', () => {
+    assert.equal(findViolation(stub('1', 'Chicken Satay'), profile({ allergens: ['soy'] })), 'ingredients unknown');
+    assert.equal(findViolation(stub('1', 'Chicken Satay'), profile({ dislikedIngredients: ['chicken'] })), 'contains Chicken Satay (disliked)');
+    assert.equal(findViolation(stub('2', 'Sesame Noodles'), profile({ dislikedIngredients: ['chicken'] })), null);
+  });
+});
+
+describe('applyDietaryFilter', () => {
+  const filterResult = () => [{ meals: [stub('1', 'Chicken Satay'), stub('2', 'Sesame Noodles')], count: 2, isEmpty: false }];
+
+  it('excludes a stub whose full recipe hides an allergen', () => {
+    const fullRecipes = new Map([[SATAY.id, SATAY], [NOODLES.id, NOODLES]]);
+    const { mealData, excluded } = applyDietaryFilter(filterResult(), profile({ allergens: ['peanuts'] }), fullRecipes);
+
+    assert.deepEqual(mealData[0].meals.map(meal => meal.id), ['2']);
+    assert.equal(mealData[0].meals[0].kind, 'stub');
+    assert.deepEqual(excluded, [{ id: '1', name: 'Chicken Satay', reason: 'contains Peanut Butter (allergen: peanuts)' }]);
+  });
+
+  it('drops stubs that were not looked up and leaves data alone without a profile', () => {
+    const { mealData } = applyDietaryFilter(filterResult(), profile({ allergens: ['peanuts'] }));
+    assert.equal(mealData[0].meals, null);
+    assert.equal(mealData[0].isEmpty, true);
+
+    assert.equal(applyDietaryFilter(filterResult(), createEmptyProfile()).mealData[0].meals.length, 2);
+  });
+
+  it('merges profiles without repeating entries', () => {
+    const merged = mergeProfiles(profile({ allergens: ['peanuts'] }), null, profile({ allergens: ['peanuts', 'soy'], diets: ['halal'] }));
+    assert.deepEqual(merged, { diets: ['halal'], allergens: ['peanuts', 'soy'], dislikedIngredients: [] });
+  });
+});
+
+describe('RAGPipeline dietary filter', () => {
+  it('looks up filter stubs and drops the one with a hidden allergen', async () => {
+    const pipeline = new RAGPipeline();
+    const lookups = [];
+    pipeline.mealdbService = {
+      async lookupById(id) {
+        lookups.push(id);
+        return { meals: [SATAY, NOODLES].filter(recipe => recipe.id === id) };
+      }
+    };
+
+    const exclusions = [];
+    const data = await pipeline.applyDietaryProfile(
+      [{ meals: [stub('1', 'Chicken Satay'), stub('2', 'Sesame Noodles'), stub('3', 'Unknown Dish')], count: 3, isEmpty: false }],
+      profile({ allergens: ['peanuts'] }),
+      exclusions
+    );
+
+    assert.deepEqual(lookups.sort(), ['1', '2', '3']);
+    assert.deepEqual(data[0].meals.map(meal => meal.name), ['Sesame Noodles']);
+    assert.deepEqual(exclusions.map(item => item.reason), ['contains Peanut Butter (allergen: peanuts)', 'ingredients unknown']);
+  });
+});
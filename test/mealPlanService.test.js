@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const MealPlanService = require('../services/mealPlanService');
+const { MemoryStore } = require('../services/stores');
+const { MealDBError } = require('../utils/mealdbErrors');
+
+const PLAN_OPTIONS = {
+  days: 3,
+  mealsPerDay: 2,
+  startDate: '2026-10-19',
+  variety: { noConsecutiveCategory: false, noConsecutiveArea: false },
+  dietaryProfile: null,
+  sessionId: 'plan-test-session'
+};
+
+// MealDB stand-in with a few recipes per category, counting the calls it gets
+function createMealDB({ recipesPerCategory = 5, fail = false } = {}) {
+  const calls = { filterByCategory: [], lookupById: 0 };
+
+  return {
+    calls,
+    async filterByCategory(category) {
+      if (fail) throw new Error('MealDB is down');
+      calls.filterByCategory.push(category);
+      return {
+        meals: Array.from({ length: recipesPerCategory }, (_, index) => ({ kind: 'stub', id: `${category}-${index}`, name: `${category} ${index}` }))
+      };
+    },
+    async lookupById(id) {
+      calls.lookupById++;
+      const [category] = id.split('-');
+      return { meals: [{ kind: 'full', id, name: id, category, area: 'British', ingredients: [], tags: [] }] };
+    }
+  };
+}
+
+function createService(mealdb, store = new MemoryStore({ namespace: 'mealPlans' })) {
+  return new MealPlanService(mealdb, { ensureLoaded: async () => {} }, { store });
+}
+
+describe('MealPlanService', () => {
+  it('fetches each category once per plan and fills every slot', async () => {
+    const mealdb = createMealDB();
+    const plan = await createService(mealdb).create(PLAN_OPTIONS);
+
+    assert.ok(plan.slots.every(slot => slot.recipe));
+    assert.equal(new Set(plan.slots.map(slot => slot.recipe.id)).size, plan.slots.length);
+    assert.equal(new Set(mealdb.calls.filterByCategory).size, mealdb.calls.filterByCategory.length);
+  });
+
+  it('returns a plan nothing fits without saving it', async () => {
+    const store = new MemoryStore({ namespace: 'mealPlans' });
+    const plan = await createService(createMealDB({ recipesPerCategory: 0 }), store).create(PLAN_OPTIONS);
+
+    assert.ok(plan.slots.every(slot => slot.recipe === null));
+    assert.equal(await store.count(), 0);
+  });
+
+  it('reports MealDB failures as MealDB errors and store failures as they are', async () => {
+    await assert.rejects(createService(createMealDB({ fail: true })).create(PLAN_OPTIONS), MealDBError);
+
+    const store = new MemoryStore({ namespace: 'mealPlans' });
+    store.set = async () => { throw new Error('disk full'); };
+    await assert.rejects(
+      createService(createMealDB(), store).create(PLAN_OPTIONS),
+      error => !(error instanceof MealDBError) && error.message === 'disk full'
+    );
+  });
+
+  it('lists a session\'s plans and deletes them with it', async () => {
+    const service = createService(createMealDB());
+    const first = await service.create(PLAN_OPTIONS);
+    const second = await service.create(PLAN_OPTIONS);
+    await service.create({ ...PLAN_OPTIONS, sessionId: 'other-test-session' });
+
+    await service.setSlot(first, '1-lunch', { id: 'Beef-9', name: 'Beef 9', category: 'Beef', area: 'British' });
+    assert.deepEqual(await service.listForSession(PLAN_OPTIONS.sessionId), [first.id, second.id]);
+
+    assert.equal(await service.deleteForSession(PLAN_OPTIONS.sessionId), 2);
+    assert.equal(await service.get(first.id), null);
+    assert.equal(await service.get(second.id), null);
+    assert.deepEqual(await service.listForSession(PLAN_OPTIONS.sessionId), []);
+    assert.equal((await service.listForSession('other-test-session')).length, 1);
+  });
+
+  it('deletes a plan', async () => {
+    const service = createService(createMealDB());
+    const plan = await service.create(PLAN_OPTIONS);
+
+    await service.delete(plan.id);
+    assert.equal(await service.get(plan.id), null);
+  });
+});
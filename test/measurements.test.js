@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseMeasurement,
+  scaleMeasurement,
+  convertMeasurement,
+  sumMeasurements,
+  formatMeasurement
+} = require('../utils/measurements');
+
+const format = (measure, transform = measurement => measurement) => formatMeasurement(transform(parseMeasurement(measure)));
+
+describe('parseMeasurement', () => {
+  it('reads amounts, units and descriptors', () => {
+    const cases = {
+      '1 1/2 cups': { quantity: 1.5, unit: 'cup', descriptor: '' },
+      '2-1/2 tbs chopped': { quantity: 2.5, unit: 'tbsp', descriptor: 'chopped' },
+      '1½ Tablespoons': { quantity: 1.5, unit: 'tbsp', descriptor: '' },
+      '200g': { quantity: 200, unit: 'g', descriptor: '' },
+      '2-3 cloves': { quantity: 2, unit: 'clove', descriptor: '' },
+      '1 large': { quantity: 1, unit: null, descriptor: 'large' },
+      'pinch': { quantity: null, unit: 'pinch', descriptor: '' },
+      'to taste': { quantity: null, unit: null, descriptor: 'to taste' }
+    };
+
+    for (const [measure, expected] of Object.entries(cases)) {
+      assert.deepEqual(parseMeasurement(measure), expected, measure);
+    }
+  });
+
+  it('keeps only the first amount of a dual measure', () => {
+    const cases = {
+      '500ml/2 cups': { quantity: 500, unit: 'ml', descriptor: '' },
+      '1kg/2lb': { quantity: 1, unit: 'kg', descriptor: '' },
+      '450g / 1lb 2oz': { quantity: 450, unit: 'g', descriptor: '' },
+      '1 cup (250ml)': { quantity: 1, unit: 'cup', descriptor: '' },
+      '100g (3½oz) grated': { quantity: 100, unit: 'g', descriptor: 'grated' }
+    };
+
+    for (const [measure, expected] of Object.entries(cases)) {
+      assert.deepEqual(parseMeasurement(measure), expected, measure);
+    }
+    assert.equal(format('500ml/2 cups', measurement => scaleMeasurement(measurement, 2)), '1000 ml');
+    assert.equal(format('1kg/2lb', measurement => scaleMeasurement(measurement, 1.5)), '1.5 kg');
+  });
+});
+
+describe('convertMeasurement', () => {
+  it('converts volumes to volumes and masses to masses', () => {
+    assert.equal(format('1 cup', measurement => convertMeasurement(measurement, 'metric')), '235 ml');
+    assert.equal(format('1 lb', measurement => convertMeasurement(measurement, 'metric')), '455 g');
+    assert.equal(format('750ml', measurement => convertMeasurement(measurement, 'imperial')), '3 1/4 cups');
+    assert.equal(format('30ml', measurement => convertMeasurement(measurement, 'imperial')), '2 tbsp');
+    assert.equal(format('1.2kg', measurement => convertMeasurement(measurement, 'imperial')), '2 3/4 lb');
+  });
+
+  it('leaves counted units and amounts already in the system alone', () => {
+    assert.equal(format('2 cloves', measurement => convertMeasurement(measurement, 'metric')), '2 cloves');
+    assert.equal(format('200g', measurement => convertMeasurement(measurement, 'metric')), '200 g');
+    assert.equal(format('to taste', measurement => convertMeasurement(measurement, 'metric')), 'to taste');
+  });
+});
+
+describe('sumMeasurements', () => {
+  const sum = measures => sumMeasurements(measures.map(parseMeasurement)).map(formatMeasurement);
+
+  it('adds volumes and masses across units in the first amount\'s system', () => {
+    assert.deepEqual(sum(['1 cup', '250ml']), ['2 cups']);
+    assert.deepEqual(sum(['500g', '1kg']), ['1.5 kg']);
+  });
+
+  it('adds counted units per unit and keeps what cannot be added', () => {
+    assert.deepEqual(sum(['2 cloves', '3 cloves', '1 tsp']), ['5 cloves', '1 tsp']);
+    assert.deepEqual(sum(['to taste', 'to taste', '1 large', '2']), ['to taste', '3']);
+  });
+});
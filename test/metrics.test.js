@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.LOG_LEVEL = 'error';
+
+const { requestMetrics } = require('../middleware/metrics');
+const { recordMountPath } = require('../middleware/requestContext');
+const { errorHandler, asyncHandler, APIError } = require('../middleware/errorHandler');
+const { registry } = require('../utils/metrics');
+
+// Two routers with the same /:id route; failures must still be told apart by their mount path
+function createItemRouter() {
+  const router = express.Router();
+  router.use(recordMountPath);
+  router.get('/:id', asyncHandler(async (req) => {
+    throw new APIError('Not found', 404, 'NOT_FOUND');
+  }));
+  router.get('/:id/ok', (req, res) => res.json({ ok: true }));
+  return router;
+}
+
+describe('request metrics', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(requestMetrics);
+    app.use('/api/things', createItemRouter());
+    app.use('/api/widgets', createItemRouter());
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  async function requestCount(route, status) {
+    const metric = (await registry.getMetricsAsJSON()).find(entry => entry.name === 'chefsue_http_requests_total');
+    const value = metric.values.find(entry => entry.labels.route === route && entry.labels.status === status);
+    return value ? value.value : 0;
+  }
+
+  it('labels errors raised inside a router with the full route pattern', async () => {
+    assert.equal((await fetch(`${baseUrl}/api/things/1`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/widgets/2`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/widgets/3/ok`)).status, 200);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(await requestCount('/api/things/:id', '404'), 1);
+    assert.equal(await requestCount('/api/widgets/:id', '404'), 1);
+    assert.equal(await requestCount('/api/widgets/:id/ok', '200'), 1);
+    assert.equal(await requestCount('/:id', '404'), 0);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.LOG_LEVEL = 'error';
+
+const { createAuthenticator } = require('../middleware/auth');
+const { createRateLimiter, MemoryBucketStore } = require('../middleware/rateLimiter');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const JWT_SECRET = 'test-secret';
+
+const perMinute = count => ({ capacity: count, refillPerSecond: count / 60, perMinute: count });
+
+// Mounted as in server.js: the per-IP bucket before authenticate, the per-credential one after it
+function createApp(limits) {
+  const app = express();
+  const { authenticate } = createAuthenticator({ apiKeys: 'good-key:acme', jwtSecret: JWT_SECRET });
+  const limiter = createRateLimiter('test', { enabled: true, store: new MemoryBucketStore(), limits });
+
+  app.use('/api', limiter.perIp, authenticate, limiter.perCredential);
+  app.get('/api/ping', (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+  return app;
+}
+
+async function listen(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Per-IP limit high enough to stay out of the way, so only the credential bucket can refuse
+describe('per-credential rate limit', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await listen(createApp({ ip: perMinute(100), credential: perMinute(2) })));
+  });
+
+  after(() => server.close());
+
+  const ping = headers => fetch(`${baseUrl}/api/ping`, { headers });
+
+  it('does not give made-up API keys a bucket of their own', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const response = await ping({ 'X-API-Key': `random-${attempt}` });
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('ratelimit-limit'), '100');
+    }
+  });
+
+  it('limits a verified API key across requests', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+      statuses.push((await ping({ 'X-API-Key': 'good-key' })).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+  });
+
+  it('gives each bearer token subject its own bucket', async () => {
+    const token = sub => jwt.sign({ tenant: 'acme', sub }, JWT_SECRET);
+
+    const alice = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+      alice.push((await ping({ Authorization: `Bearer ${token('alice')}` })).status);
+    }
+    assert.deepEqual(alice, [200, 200, 429]);
+    assert.equal((await ping({ Authorization: `Bearer ${token('bob')}` })).status, 200);
+  });
+});
+
+describe('per-IP rate limit', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await listen(createApp({ ip: perMinute(3), credential: perMinute(100) })));
+  });
+
+  after(() => server.close());
+
+  it('charges failed credentials, so guessing keys ends in 429', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+      statuses.push((await fetch(`${baseUrl}/api/ping`, { headers: { 'X-API-Key': `guess-${attempt}` } })).status);
+    }
+    assert.deepEqual(statuses, [401, 401, 401, 429]);
+
+    const response = await fetch(`${baseUrl}/api/ping`, { headers: { 'X-API-Key': 'good-key' } });
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) >= 1);
+  });
+});
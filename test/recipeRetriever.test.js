@@ -0,0 +1,93 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Offline setup: the fake model, the bundled sample meals and the local embedder, with no index on disk
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fake',
+  MEALDB_SOURCE: 'local',
+  EMBEDDING_PROVIDER: 'local',
+  VECTOR_RETRIEVAL_ENABLED: 'true',
+  VECTOR_STORE_PATH: '',
+  LOG_LEVEL: 'error'
+});
+
+const RecipeRetriever = require('../services/recipeRetriever');
+const { LocalEmbedder } = require('../services/embeddings');
+const { RAGPipeline } = require('../services/ragPipeline');
+
+// Raw MealDB meals, as the local recipe store holds them
+function fixtureMeal(id, name, category, area, ingredients, instructions) {
+  const meal = { idMeal: id, strMeal: name, strCategory: category, strArea: area, strInstructions: instructions, strTags: null };
+  ingredients.forEach((ingredient, index) => {
+    meal[`strIngredient${index + 1}`] = ingredient;
+    meal[`strMeasure${index + 1}`] = '1';
+  });
+  return meal;
+}
+
+const FIXTURE_MEALS = [
+  fixtureMeal('1', 'Grilled Salmon', 'Seafood', 'British', ['salmon', 'lemon', 'dill'], 'Grill the salmon fillets with lemon.'),
+  fixtureMeal('2', 'Beef Stew', 'Beef', 'Irish', ['beef', 'potatoes', 'carrots'], 'Simmer the beef slowly until tender.'),
+  fixtureMeal('3', 'Lentil Soup', 'Vegetarian', 'Turkish', ['red lentils', 'onion', 'cumin'], 'Cook the lentils into a soup.'),
+  fixtureMeal('4', 'Chocolate Cake', 'Dessert', 'American', ['chocolate', 'sugar', 'flour'], 'Bake the chocolate cake.')
+];
+
+describe('RecipeRetriever', () => {
+  let retriever;
+
+  before(async () => {
+    retriever = new RecipeRetriever({ embedder: new LocalEmbedder(), topK: 3, minScore: 0 });
+    assert.equal(await retriever.indexLocalMeals(FIXTURE_MEALS), 4);
+  });
+
+  it('ranks the closest recipes first', async () => {
+    const matches = await retriever.retrieve('grilled salmon with lemon');
+
+    assert.equal(matches[0].meal.id, '1');
+    assert.equal(matches[0].meal.kind, 'full');
+    assert.ok(matches.length <= 3);
+    matches.slice(1).forEach((match, index) => assert.ok(match.score <= matches[index].score));
+  });
+
+  it('maps mood-style queries onto concrete dishes', async () => {
+    const [best] = await retriever.retrieve('something cozy for a rainy day', { topK: 1 });
+    assert.ok(['2', '3'].includes(best.meal.id), `expected the stew or the soup, got ${best.meal.name}`);
+  });
+
+  it('skips excluded ids and honours topK and minScore', async () => {
+    const matches = await retriever.retrieve('grilled salmon with lemon', { excludeIds: ['1'], topK: 2 });
+    assert.ok(matches.length <= 2);
+    assert.ok(!matches.some(match => match.meal.id === '1'));
+
+    assert.deepEqual(await retriever.retrieve('grilled salmon with lemon', { minScore: 0.99 }), []);
+  });
+
+  it('does not index the same recipe twice or index filter stubs', async () => {
+    const stub = { id: '5', name: 'Stub Only', kind: 'stub', ingredients: [], tags: [] };
+
+    assert.equal(await retriever.indexLocalMeals(FIXTURE_MEALS), 0);
+    assert.equal(await retriever.indexMeals([stub]), 0);
+    assert.equal(retriever.getStats().indexSize, 4);
+  });
+});
+
+describe('RAGPipeline vector retrieval', () => {
+  it('adds retrieved recipes without repeating the ones MealDB returned', async () => {
+    const pipeline = new RAGPipeline();
+    const result = await pipeline.processRequest('indian curry', 'retrieval-test-session');
+    const session = await pipeline.sessionManager.findSession('retrieval-test-session');
+
+    const retrieved = session.lastMealData.filter(data => data.source === 'vector_retrieval');
+    const fromMealDB = session.lastMealData.filter(data => data.source !== 'vector_retrieval');
+    const mealDBIds = new Set(fromMealDB.flatMap(data => (data.meals || []).map(meal => meal.id)));
+    const retrievedIds = retrieved.flatMap(data => data.meals.map(meal => meal.id));
+
+    assert.ok(result.phasesExecuted.includes('vector_retrieval'));
+    assert.ok(mealDBIds.size > 0 && retrievedIds.length > 0);
+    assert.ok(!retrievedIds.some(id => mealDBIds.has(id)), 'retrieval repeated a MealDB result');
+    assert.equal(new Set(retrievedIds).size, retrievedIds.length);
+
+    const cardIds = result.recipes.map(card => card.id);
+    assert.equal(new Set(cardIds).size, cardIds.length);
+  });
+});
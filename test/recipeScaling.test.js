@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const { fromMealDB } = require('../models/recipe');
+const {
+  parseScalingRequest,
+  resolveScalingOptions,
+  scaleRecipe,
+  selectMentionedRecipes,
+  BASE_SERVINGS
+} = require('../utils/recipeScaling');
+
+function recipe(id, name, measures) {
+  const meal = { idMeal: id, strMeal: name, strInstructions: 'Mix and cook.' };
+  Object.entries(measures).forEach(([ingredient, measure], index) => {
+    meal[`strIngredient${index + 1}`] = ingredient;
+    meal[`strMeasure${index + 1}`] = measure;
+  });
+  return fromMealDB(meal, { endpoint: 'lookup.php' });
+}
+
+describe('parseScalingRequest', () => {
+  it('recognises requests about the recipes already shown', () => {
+    const cases = {
+      'make this for 8 people': { servings: 8 },
+      'Could you make this recipe for twelve?': { servings: 12 },
+      'do these to serve 6': { servings: 6 },
+      'scale them all up to 8': { servings: 8 },
+      'scale to 2': { servings: 2 },
+      'make it 6 servings': { servings: 6 },
+      'for 8 people': { servings: 8 },
+      'double it': { multiplier: 2 },
+      'halve the recipe': { multiplier: 0.5 },
+      'cut it in half': { multiplier: 0.5 },
+      'triple the quantities please': { multiplier: 3 },
+      'convert that to metric': { units: 'metric' },
+      'show them in cups': { units: 'imperial' },
+      'in grams please': { units: 'metric' },
+      'make it for 8 in grams': { servings: 8, units: 'metric' }
+    };
+
+    for (const [message, expected] of Object.entries(cases)) {
+      assert.deepEqual(parseScalingRequest(message), expected, message);
+    }
+  });
+
+  it('leaves new requests that only mention amounts to the pipeline', () => {
+    for (const message of [
+      'Can you suggest a dessert for 6 people for this weekend?',
+      'Is it ok to halve the sugar?',
+      'chicken recipes for 4 people',
+      'what can I cook for 2?',
+      'Is half a lemon enough for this?',
+      'cook it for 20 minutes',
+      'I want a cake recipe in grams',
+      'make it for 500 people'
+    ]) {
+      assert.equal(parseScalingRequest(message), null, message);
+    }
+  });
+});
+
+describe('resolveScalingOptions', () => {
+  it('builds on the previous request', () => {
+    const first = resolveScalingOptions({ servings: 8 }, null);
+    const second = resolveScalingOptions({ units: 'metric' }, first);
+    const third = resolveScalingOptions({ multiplier: 2 }, second);
+
+    assert.deepEqual(first, { servings: 8, units: 'original' });
+    assert.deepEqual(second, { servings: 8, units: 'metric' });
+    assert.deepEqual(third, { servings: 16, units: 'metric' });
+    assert.deepEqual(resolveScalingOptions({ multiplier: 0.5 }, null), { servings: BASE_SERVINGS / 2, units: 'original' });
+  });
+});
+
+describe('scaleRecipe', () => {
+  const pancakes = recipe('1', 'Pancakes', {
+    Flour: '1 1/2 cups',
+    Milk: '500ml/2 cups',
+    Eggs: '2 large',
+    Salt: 'pinch',
+    Butter: '25g'
+  });
+
+  it('rescales amounts and leaves those without one alone', () => {
+    const { recipe: scaled, scaling } = scaleRecipe(pancakes, { servings: BASE_SERVINGS * 2 });
+    const measures = Object.fromEntries(scaled.ingredients.map(item => [item.name, item.measure]));
+
+    assert.deepEqual(scaling, { servings: BASE_SERVINGS * 2, baseServings: BASE_SERVINGS, factor: 2, units: 'original' });
+    assert.deepEqual(measures, { Flour: '3 cups', Milk: '1000 ml', Eggs: '4 large', Salt: 'pinch', Butter: '50 g' });
+    assert.equal(scaled.ingredients[1].originalMeasure, '500ml/2 cups');
+  });
+
+  it('converts units', () => {
+    const { recipe: scaled } = scaleRecipe(pancakes, { servings: BASE_SERVINGS, units: 'imperial' });
+    const measures = Object.fromEntries(scaled.ingredients.map(item => [item.name, item.measure]));
+
+    assert.equal(measures.Milk, '2 cups');
+    assert.equal(measures.Butter, '1 oz');
+    assert.equal(measures.Flour, '1 1/2 cups');
+  });
+
+  it('scales the recipes a message names, or the first few', () => {
+    const recipes = [pancakes, recipe('2', 'Waffles', {}), recipe('3', 'Crepes', {}), recipe('4', 'Toast', {})];
+
+    assert.deepEqual(selectMentionedRecipes('double the waffles recipe', recipes).map(item => item.id), ['2']);
+    assert.deepEqual(selectMentionedRecipes('double it', recipes).map(item => item.id), ['1', '2', '3']);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const { fromMealDB } = require('../models/recipe');
+const { parseShoppingListRequest, buildShoppingList, formatShoppingList } = require('../utils/shoppingList');
+const ShoppingListService = require('../services/shoppingListService');
+
+function recipe(id, name, measures) {
+  const meal = { idMeal: id, strMeal: name, strInstructions: 'Cook it.' };
+  Object.entries(measures).forEach(([ingredient, measure], index) => {
+    meal[`strIngredient${index + 1}`] = ingredient;
+    meal[`strMeasure${index + 1}`] = measure;
+  });
+  return fromMealDB(meal, { endpoint: 'lookup.php' });
+}
+
+const CURRY = recipe('1', 'Chicken Curry', {
+  'Chicken Thighs': '500g',
+  Onion: '1 finely chopped',
+  'Garlic Powder': '1 tsp',
+  Rice: '1 cup',
+  Water: '200ml',
+  'Olive Oil': '2 tbsp'
+});
+const STIR_FRY = recipe('2', 'Stir Fry', {
+  Onions: '2 sliced',
+  Rice: '250ml',
+  'Soy Sauce': '3 tbsp',
+  'Chicken Stock': '1 cup',
+  Salt: 'to taste',
+  'Ice Cream': '1 scoop'
+});
+
+const amounts = list => Object.fromEntries(list.aisles.flatMap(aisle => aisle.items.map(item => [item.name, item.amount])));
+
+describe('parseShoppingListRequest', () => {
+  it('recognises list requests and what the user already has', () => {
+    assert.deepEqual(parseShoppingListRequest('make a shopping list'), { pantry: [] });
+    assert.deepEqual(
+      parseShoppingListRequest('What do I need to buy? I already have rice and soy sauce at home'),
+      { pantry: ['rice', 'soy sauce'] }
+    );
+    assert.deepEqual(
+      parseShoppingListRequest('grocery list except the chicken, onions & garlic.'),
+      { pantry: ['chicken', 'onions', 'garlic'] }
+    );
+  });
+
+  it('ignores other messages', () => {
+    for (const message of ['I have to buy a new pan', 'show me a list of curries', '', null]) {
+      assert.equal(parseShoppingListRequest(message), null, message);
+    }
+  });
+});
+
+describe('buildShoppingList', () => {
+  it('merges ingredients across recipes and groups them by aisle', () => {
+    const list = buildShoppingList([CURRY, STIR_FRY]);
+
+    assert.deepEqual(list.aisles.map(aisle => aisle.name), [
+      'Produce', 'Meat & Seafood', 'Store Cupboard', 'Oils, Sauces & Condiments', 'Herbs & Spices', 'Frozen'
+    ]);
+    assert.deepEqual(amounts(list), {
+      Onion: '3',
+      'Chicken Thighs': '500 g',
+      'Chicken Stock': '1 cup',
+      Rice: '2 cups',
+      'Olive Oil': '2 tbsp',
+      'Soy Sauce': '3 tbsp',
+      'Garlic Powder': '1 tsp',
+      Salt: 'to taste',
+      'Ice Cream': '1 scoop'
+    });
+    assert.deepEqual(list.aisles[0].items[0].recipeIds, ['1', '2']);
+    assert.equal(list.itemCount, 9);
+  });
+
+  it('leaves off pantry items and converts units', () => {
+    const list = buildShoppingList([CURRY, STIR_FRY], { pantry: ['soy sauce', 'oil'], units: 'metric' });
+
+    assert.deepEqual(list.alreadyHave, [
+      { name: 'Olive Oil', pantryItem: 'oil' },
+      { name: 'Soy Sauce', pantryItem: 'soy sauce' }
+    ]);
+    assert.equal(amounts(list).Rice, '485 ml');
+    assert.equal(amounts(list)['Chicken Stock'], '235 ml');
+    assert.equal(list.itemCount, 7);
+  });
+});
+
+describe('formatShoppingList', () => {
+  const list = buildShoppingList([CURRY], { pantry: ['rice'] });
+
+  it('writes a Markdown checklist', () => {
+    assert.equal(formatShoppingList(list, 'markdown'), [
+      '# Shopping list',
+      '',
+      'For: Chicken Curry',
+      '',
+      '## Produce',
+      '- [ ] 1 Onion',
+      '',
+      '## Meat & Seafood',
+      '- [ ] 500 g Chicken Thighs',
+      '',
+      '## Oils, Sauces & Condiments',
+      '- [ ] 2 tbsp Olive Oil',
+      '',
+      '## Herbs & Spices',
+      '- [ ] 1 tsp Garlic Powder',
+      '',
+      '**Already have:** Rice'
+    ].join('\n'));
+  });
+
+  it('writes plain text and says when there is nothing to buy', () => {
+    const text = formatShoppingList(buildShoppingList([STIR_FRY], { pantry: ['onion', 'rice', 'soy sauce', 'stock', 'salt', 'ice cream'] }), 'text');
+
+    assert.match(text, /^SHOPPING LIST\n\nFor: Stir Fry\n/);
+    assert.match(text, /Nothing to buy\.\n\nAlready have: Onions, Rice, Soy Sauce, Chicken Stock, Salt, Ice Cream$/);
+  });
+});
+
+describe('ShoppingListService', () => {
+  function createService(recipes) {
+    return new ShoppingListService({
+      async executeBatch(calls) {
+        return calls.map(call => ({ meals: recipes.filter(item => item.id === call.params.i) }));
+      }
+    });
+  }
+
+  it('looks up the recipes and scales them to the servings asked for', async () => {
+    const { shoppingList, missingIds, apiCallsMade } = await createService([CURRY]).create(['1'], { servings: 8 });
+
+    assert.deepEqual(missingIds, []);
+    assert.equal(apiCallsMade, 1);
+    assert.equal(amounts(shoppingList)['Chicken Thighs'], '1000 g');
+    assert.equal(amounts(shoppingList).Onion, '2');
+  });
+
+  it('reports recipes MealDB does not know', async () => {
+    const result = await createService([CURRY]).create(['1', '99']);
+
+    assert.deepEqual(result, { missingIds: ['99'], apiCallsMade: 2 });
+  });
+});
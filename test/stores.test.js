@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const { MemoryStore, FileStore, RedisStore, tenantKey } = require('../services/stores');
+const { SessionManager } = require('../services/ragPipeline');
+
+process.env.LOG_LEVEL = 'error';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every backend must behave the same: the contract SessionManager and the other services rely on
+const backends = {
+  memory: async () => new MemoryStore({ namespace: 'test' }),
+  file: async () => new FileStore({
+    namespace: 'test',
+    directory: await fs.mkdtemp(path.join(os.tmpdir(), 'chefsue-store-'))
+  }),
+  redis: async () => new RedisStore({ namespace: 'test', client: new RedisMock() })
+};
+
+for (const [backend, createBackend] of Object.entries(backends)) {
+  describe(`${backend} store`, () => {
+    let store;
+
+    before(async () => {
+      store = await createBackend();
+    });
+
+    after(async () => {
+      await store.close();
+      if (backend === 'file') await fs.rm(path.dirname(store.directory), { recursive: true, force: true });
+    });
+
+    it('round-trips records as JSON', async () => {
+      const record = { id: 'a', createdAt: new Date('2026-01-01T00:00:00Z'), history: [{ role: 'user' }] };
+      await store.set('a', record);
+
+      assert.deepEqual(await store.get('a'), { id: 'a', createdAt: '2026-01-01T00:00:00.000Z', history: [{ role: 'user' }] });
+      assert.equal(await store.get('missing'), null);
+    });
+
+    it('returns copies, not the stored record', async () => {
+      const record = { id: 'copy', tags: ['x'] };
+      await store.set('copy', record);
+      record.tags.push('y');
+
+      const stored = await store.get('copy');
+      stored.tags.push('z');
+      assert.deepEqual((await store.get('copy')).tags, ['x']);
+    });
+
+    it('overwrites and deletes records', async () => {
+      await store.set('b', { version: 1 });
+      await store.set('b', { version: 2 });
+      assert.deepEqual(await store.get('b'), { version: 2 });
+
+      assert.equal(await store.delete('b'), true);
+      assert.equal(await store.delete('b'), false);
+      assert.equal(await store.get('b'), null);
+    });
+
+    it('keeps tenant-prefixed keys apart', async () => {
+      await store.set(tenantKey('acme', 's1'), { tenant: 'acme' });
+      await store.set(tenantKey('globex', 's1'), { tenant: 'globex' });
+
+      assert.deepEqual(await store.get(tenantKey('acme', 's1')), { tenant: 'acme' });
+      assert.deepEqual(await store.get(tenantKey('globex', 's1')), { tenant: 'globex' });
+    });
+
+    it('expires records after ttlSeconds', async () => {
+      await store.set('short', { ttl: 1 }, { ttlSeconds: 1 });
+      await store.set('long', { ttl: 60 }, { ttlSeconds: 60 });
+      assert.deepEqual(await store.get('short'), { ttl: 1 });
+
+      await sleep(1100);
+
+      assert.equal(await store.get('short'), null);
+      assert.deepEqual(await store.get('long'), { ttl: 60 });
+      assert.ok(!(await store.list()).some(record => record.ttl === 1));
+    });
+
+    it('lists and counts live records', async () => {
+      const records = await store.list();
+
+      assert.equal(await store.count(), records.length);
+      assert.ok(records.some(record => record.tenant === 'acme'));
+    });
+
+    it('reports healthy', async () => {
+      assert.equal(await store.healthCheck(), true);
+      assert.equal(store.getInfo().backend, backend);
+    });
+  });
+}
+
+describe('SessionManager', () => {
+  let previousLength;
+  let sessionManager;
+
+  before(() => {
+    previousLength = process.env.MAX_CONVERSATION_LENGTH;
+    process.env.MAX_CONVERSATION_LENGTH = '2';
+    sessionManager = new SessionManager({ store: new MemoryStore({ namespace: 'sessions' }) });
+  });
+
+  after(() => {
+    if (previousLength === undefined) delete process.env.MAX_CONVERSATION_LENGTH;
+    else process.env.MAX_CONVERSATION_LENGTH = previousLength;
+  });
+
+  it('keeps only the last maxConversationLength exchanges', async () => {
+    const session = await sessionManager.getSession('trim-session', 'acme');
+    for (let turn = 1; turn <= 3; turn++) {
+      await sessionManager.addMessage(session, `question ${turn}`, `answer ${turn}`);
+    }
+
+    const stored = await sessionManager.findSession('trim-session', 'acme');
+    assert.deepEqual(stored.history.map(message => message.content), ['question 2', 'answer 2', 'question 3', 'answer 3']);
+    assert.ok(stored.history[0].timestamp instanceof Date);
+  });
+
+  it('scopes sessions to their tenant', async () => {
+    await sessionManager.getSession('tenant-session', 'acme');
+
+    assert.ok(await sessionManager.findSession('tenant-session', 'acme'));
+    assert.equal(await sessionManager.findSession('tenant-session', 'globex'), null);
+  });
+
+  it('removes sessions idle past the timeout and counts the rest', async () => {
+    const idle = await sessionManager.getSession('idle-session', 'acme');
+    idle.lastActivity = new Date(Date.now() - (sessionManager.sessionTimeoutMinutes + 1) * 60 * 1000);
+    await sessionManager.saveSession(idle);
+
+    await sessionManager.cleanupExpiredSessions();
+
+    const stats = await sessionManager.getStats();
+    assert.equal(await sessionManager.findSession('idle-session', 'acme'), null);
+    assert.equal(stats.totalSessions, 2);
+    assert.equal(stats.activeSessions, 2);
+  });
+});
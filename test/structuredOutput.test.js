@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const {
+  parseStructuredOutput,
+  extractJSONCandidates,
+  API_CALLS_SCHEMA,
+  SELECTION_SCHEMA
+} = require('../utils/structuredOutput');
+const AIService = require('../services/aiService');
+const FakeProvider = require('../services/providers/fakeProvider');
+
+const CALLS = { api_calls: [{ endpoint: 'search.php', params: { s: 'curry' } }] };
+
+describe('parseStructuredOutput', () => {
+  it('reads clean JSON and JSON surrounded by other text', () => {
+    assert.deepEqual(parseStructuredOutput(JSON.stringify(CALLS), API_CALLS_SCHEMA), { status: 'parsed', value: CALLS, error: null });
+
+    for (const text of [
+      `Sure! Here you go:\n${JSON.stringify(CALLS)}\nLet me know if you need more.`,
+      `\`\`\`json\n${JSON.stringify(CALLS, null, 2)}\n\`\`\``
+    ]) {
+      const result = parseStructuredOutput(text, API_CALLS_SCHEMA);
+      assert.equal(result.status, 'extracted', text);
+      assert.deepEqual(result.value, CALLS, text);
+    }
+  });
+
+  it('repairs quotes, unquoted keys, trailing commas, comments and Python literals', () => {
+    const cases = [
+      "{'api_calls': [{'endpoint': 'search.php', 'params': {'s': 'curry'}}]}",
+      '{api_calls: [{endpoint: "search.php", params: {s: "curry"},},],}',
+      '{\n  "api_calls": [ // one search\n    {"endpoint": "search.php", "params": {"s": "curry"}}\n  ]\n}',
+      '{“api_calls”: [{“endpoint”: “search.php”, “params”: {“s”: “curry”}}]}'
+    ];
+
+    for (const text of cases) {
+      const result = parseStructuredOutput(text, API_CALLS_SCHEMA);
+      assert.equal(result.status, 'repaired', text);
+      assert.deepEqual(result.value, CALLS, text);
+    }
+
+    assert.deepEqual(parseStructuredOutput('{"done": True, "next": None}').value, { done: true, next: null });
+    assert.deepEqual(parseStructuredOutput(`{'note': "it's \\"fine\\""}`).value, { note: 'it\'s "fine"' });
+  });
+
+  it('closes JSON cut off by the token limit', () => {
+    const result = parseStructuredOutput('{"api_calls": [{"endpoint": "search.php", "params": {"s": "cur', API_CALLS_SCHEMA);
+
+    assert.equal(result.status, 'repaired');
+    assert.deepEqual(result.value, { api_calls: [{ endpoint: 'search.php', params: { s: 'cur' } }] });
+    assert.deepEqual(parseStructuredOutput('{"api_calls": [{"endpoint": "search.php", "params": {"s": "curry"}},', API_CALLS_SCHEMA).value, CALLS);
+  });
+
+  it('skips objects that fail the schema for a later one that passes', () => {
+    const text = `Example: {"endpoint": "search.php"}\nAnswer: ${JSON.stringify(CALLS)}`;
+
+    assert.deepEqual(extractJSONCandidates(text).map(candidate => candidate.truncated), [false, false]);
+    assert.deepEqual(parseStructuredOutput(text, API_CALLS_SCHEMA).value, CALLS);
+  });
+
+  it('reports why output is unusable', () => {
+    assert.equal(parseStructuredOutput('I would search for curry.', API_CALLS_SCHEMA).status, 'not_found');
+
+    const wrongEndpoint = parseStructuredOutput(JSON.stringify(CALLS), SELECTION_SCHEMA);
+    assert.equal(wrongEndpoint.status, 'invalid');
+    assert.match(wrongEndpoint.error, /response\.api_calls\[0\]\.endpoint must be one of: lookup\.php/);
+    assert.match(wrongEndpoint.error, /response\.api_calls\[0\]\.params is missing "i"/);
+
+    assert.equal(parseStructuredOutput('{"api_calls": "search.php"}', API_CALLS_SCHEMA).error, 'response.api_calls must be an array');
+  });
+});
+
+describe('AIService structured output', () => {
+  it('re-prompts once with the error when the reply cannot be repaired', async () => {
+    const provider = new FakeProvider({
+      responses: [
+        { match: 'Your previous reply could not be used: response is missing "api_calls"', response: JSON.stringify(CALLS) },
+        { match: 'User request: "', response: '{"calls": []}' }
+      ]
+    });
+    const aiService = new AIService(provider);
+
+    assert.deepEqual(await aiService.analyzePipeline('curry please'), CALLS);
+    assert.equal(provider.calls.length, 2);
+    assert.equal(aiService.getParseStats().analysis.reprompted, 1);
+  });
+
+  it('gives up after one re-prompt', async () => {
+    const provider = new FakeProvider({ responses: [{ match: 'User request: "', response: '{"calls": []}' }] });
+    const aiService = new AIService(provider);
+
+    await assert.rejects(aiService.analyzePipeline('curry please'), /malformed API calls/);
+    assert.equal(provider.calls.length, 2);
+    assert.equal(aiService.getParseStats().analysis.failed, 1);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const {
+  getVocabulary,
+  setVocabulary,
+  matchVocabularyTerm,
+  MEALDB_CATEGORIES,
+  MEALDB_AREAS,
+  COMMON_INGREDIENTS
+} = require('../utils/vocabulary');
+const VocabularyService = require('../services/vocabularyService');
+
+const LISTS = {
+  categories: ['Beef', 'Dessert', 'Seafood', 'Starter', 'Vegan', 'Vegetarian'],
+  areas: ['British', 'Italian', 'Japanese', 'Mexican'],
+  ingredients: ['Aubergine', 'Chicken', 'Chicken Thighs', 'King Prawns', 'Prawns', 'Rice', 'Tomatoes']
+};
+
+// A MealDB service whose list endpoints return `lists`, or fail for lists set to an Error
+function createMealDBStub(lists = LISTS) {
+  const calls = [];
+  const respond = type => async () => {
+    calls.push(type);
+    if (lists[type] instanceof Error) throw lists[type];
+    return { list: { values: lists[type] } };
+  };
+
+  return {
+    calls,
+    listCategories: respond('categories'),
+    listAreas: respond('areas'),
+    listIngredients: respond('ingredients')
+  };
+}
+
+function resetVocabulary() {
+  setVocabulary({ categories: MEALDB_CATEGORIES, areas: MEALDB_AREAS, ingredients: COMMON_INGREDIENTS }, 'fallback');
+}
+
+describe('matchVocabularyTerm', () => {
+  beforeEach(() => setVocabulary(LISTS));
+
+  it('maps proposed values onto the loaded names', () => {
+    const cases = [
+      ['categories', 'SEAFOOD', { value: 'Seafood', match: 'exact' }],
+      ['categories', 'veggie', { value: 'Vegetarian', match: 'synonym' }],
+      ['areas', 'japan', { value: 'Japanese', match: 'synonym' }],
+      ['ingredients', 'shrimp', { value: 'Prawns', match: 'synonym' }],
+      ['ingredients', 'chicken_thigh', { value: 'Chicken Thighs', match: 'synonym' }],
+      ['ingredients', 'aubergines', { value: 'Aubergine', match: 'plural' }],
+      ['ingredients', 'tomato', { value: 'Tomatoes', match: 'synonym' }],
+      ['ingredients', 'king prawn', { value: 'King Prawns', match: 'plural' }],
+      ['areas', 'Itallian', { value: 'Italian', match: 'fuzzy' }],
+      ['categories', 'Desert', { value: 'Dessert', match: 'fuzzy' }]
+    ];
+
+    for (const [type, value, expected] of cases) {
+      assert.deepEqual(matchVocabularyTerm(type, value), expected, value);
+    }
+  });
+
+  it('returns null for values that are not close enough', () => {
+    assert.equal(matchVocabularyTerm('ingredients', 'mice'), null);
+    assert.equal(matchVocabularyTerm('areas', 'Klingon'), null);
+    assert.equal(matchVocabularyTerm('areas', '  '), null);
+    assert.equal(matchVocabularyTerm('areas', 42), null);
+    assert.equal(matchVocabularyTerm('colours', 'red'), null);
+  });
+
+  it('keeps the current lists when a loaded one is empty', () => {
+    const vocabulary = setVocabulary({ categories: [], areas: ['Thai'] });
+
+    assert.deepEqual(vocabulary.categories, LISTS.categories);
+    assert.deepEqual(vocabulary.areas, ['Thai']);
+    assert.equal(vocabulary.source, 'mealdb');
+  });
+});
+
+describe('VocabularyService', () => {
+  beforeEach(resetVocabulary);
+
+  it('loads the lists once for concurrent callers', async () => {
+    const mealdb = createMealDBStub();
+    const service = new VocabularyService(mealdb);
+
+    await Promise.all([service.ensureLoaded(), service.ensureLoaded()]);
+    await service.ensureLoaded();
+
+    assert.deepEqual(mealdb.calls.sort(), ['areas', 'categories', 'ingredients']);
+    assert.deepEqual(getVocabulary().areas, LISTS.areas);
+    assert.equal(service.getStats().source, 'mealdb');
+  });
+
+  it('keeps the fallback lists when every list fails and waits before retrying', async () => {
+    const error = new Error('MealDB unavailable');
+    const mealdb = createMealDBStub({ categories: error, areas: error, ingredients: [] });
+    const service = new VocabularyService(mealdb);
+
+    await service.ensureLoaded();
+    await service.ensureLoaded();
+
+    assert.equal(mealdb.calls.length, 3);
+    assert.deepEqual(getVocabulary().categories, MEALDB_CATEGORIES);
+    assert.equal(service.getStats().source, 'fallback');
+    assert.equal(service.getStats().lastError, 'MealDB unavailable');
+  });
+
+  it('normalizes filter and pantry calls before validation', async () => {
+    const service = new VocabularyService(createMealDBStub());
+    await service.ensureLoaded();
+
+    const calls = service.normalizeApiCalls([
+      { endpoint: 'filter.php', params: { c: 'veggie' } },
+      { endpoint: 'filter.php', params: { c: 'Italian' } },
+      { endpoint: 'filter.php', params: { a: 'Klingon' } },
+      { endpoint: 'filter.php', params: { i: 'eggplant' } },
+      { endpoint: 'pantry_search', params: { ingredients: ['shrimp', 'rice', 'unobtainium'] } },
+      { endpoint: 'search.php', params: { s: 'veggie' } }
+    ]);
+
+    assert.deepEqual(calls, [
+      { endpoint: 'filter.php', params: { c: 'Vegetarian' } },
+      { endpoint: 'filter.php', params: { a: 'Italian' } },
+      { endpoint: 'search.php', params: { s: 'Klingon' } },
+      { endpoint: 'filter.php', params: { i: 'Aubergine' } },
+      { endpoint: 'pantry_search', params: { ingredients: ['Prawns', 'Rice', 'unobtainium'] } },
+      { endpoint: 'search.php', params: { s: 'veggie' } }
+    ]);
+    assert.deepEqual(service.getStats().corrections, { synonym: 3, plural: 0, fuzzy: 0, retyped: 1, searchFallback: 1 });
+  });
+});
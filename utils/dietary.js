@@ -0,0 +1,235 @@
+const { isStub } = require('../models/recipe');
+const { containsPhrase } = require('./ingredients');
+
+// Keyword groups matched against ingredient names on word boundaries.
+// `except` lists ingredients that contain a keyword but don't belong to the group.
+const INGREDIENT_GROUPS = {
+  meat: {
+    keywords: [
+      'beef', 'chicken', 'pork', 'lamb', 'mutton', 'bacon', 'ham', 'sausage', 'turkey', 'duck', 'goat',
+      'veal', 'venison', 'mince', 'steak', 'chorizo', 'prosciutto', 'pancetta', 'salami', 'pepperoni',
+      'lard', 'suet', 'gelatin', 'gelatine', 'oxtail', 'kidney', 'liver', 'goose', 'rabbit', 'meat'
+    ],
+    except: ['vegetable stock', 'vegetarian sausage']
+  },
+  pork: {
+    keywords: ['pork', 'bacon', 'ham', 'lard', 'gelatin', 'gelatine', 'chorizo', 'prosciutto', 'pancetta', 'salami', 'pepperoni'],
+    except: []
+  },
+  fish: {
+    keywords: [
+      'fish', 'salmon', 'tuna', 'cod', 'haddock', 'anchovy', 'sardine', 'mackerel', 'trout', 'tilapia',
+      'halibut', 'monkfish', 'sea bass', 'herring', 'kipper', 'pollock'
+    ],
+    except: []
+  },
+  shellfish: {
+    keywords: [
+      'prawn', 'shrimp', 'crab', 'lobster', 'mussel', 'clam', 'oyster', 'scallop', 'squid', 'octopus',
+      'langoustine', 'crayfish', 'seafood'
+    ],
+    except: []
+  },
+  dairy: {
+    keywords: [
+      'milk', 'butter', 'cheese', 'cream', 'yogurt', 'yoghurt', 'ghee', 'parmesan', 'parmigiano',
+      'mozzarella', 'cheddar', 'feta', 'ricotta', 'mascarpone', 'brie', 'gruyere', 'paneer',
+      'creme fraiche', 'buttermilk', 'custard', 'double cream', 'single cream'
+    ],
+    except: ['coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'peanut butter', 'cocoa butter', 'butter bean']
+  },
+  egg: {
+    keywords: ['egg', 'mayonnaise', 'meringue'],
+    except: ['eggplant']
+  },
+  gluten: {
+    keywords: [
+      'flour', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'penne', 'noodle', 'couscous', 'barley',
+      'rye', 'wheat', 'soy sauce', 'pastry', 'tortilla', 'beer', 'semolina', 'bulgur', 'macaroni',
+      'lasagne', 'fettuccine', 'fettucine', 'linguine', 'tagliatelle', 'rigatoni', 'farfalle', 'orzo',
+      'udon', 'biscuit', 'cracker', 'bun', 'baguette', 'pitta', 'naan', 'penne rigate'
+    ],
+    except: ['rice flour', 'corn flour', 'cornflour', 'gluten free', 'rice noodle', 'buckwheat', 'corn tortilla', 'tamari']
+  },
+  treeNuts: {
+    keywords: [
+      'almond', 'walnut', 'pecan', 'cashew', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut',
+      'pine nut', 'chestnut', 'praline', 'marzipan', 'nut'
+    ],
+    except: ['nutmeg', 'coconut', 'butternut', 'peanut', 'water chestnut']
+  },
+  peanuts: {
+    keywords: ['peanut', 'groundnut', 'satay'],
+    except: []
+  },
+  soy: {
+    keywords: ['soy', 'soya', 'tofu', 'edamame', 'miso', 'tempeh', 'tamari'],
+    except: []
+  },
+  sesame: {
+    keywords: ['sesame', 'tahini'],
+    except: []
+  },
+  alcohol: {
+    keywords: ['wine', 'beer', 'brandy', 'rum', 'vodka', 'whisky', 'whiskey', 'sherry', 'cider', 'bourbon', 'liqueur', 'sake', 'mirin'],
+    except: ['wine vinegar', 'cider vinegar', 'rice wine vinegar']
+  },
+  honey: {
+    keywords: ['honey'],
+    except: []
+  }
+};
+
+const DIETS = {
+  vegetarian: ['meat', 'fish', 'shellfish'],
+  vegan: ['meat', 'fish', 'shellfish', 'dairy', 'egg', 'honey'],
+  pescatarian: ['meat'],
+  'gluten-free': ['gluten'],
+  'dairy-free': ['dairy'],
+  halal: ['pork', 'alcohol']
+};
+
+// Categories that rule a recipe out even before its ingredients are known (filter results)
+const DIET_EXCLUDED_CATEGORIES = {
+  vegetarian: ['beef', 'chicken', 'lamb', 'pork', 'goat', 'seafood'],
+  vegan: ['beef', 'chicken', 'lamb', 'pork', 'goat', 'seafood'],
+  pescatarian: ['beef', 'chicken', 'lamb', 'pork', 'goat'],
+  halal: ['pork']
+};
+
+const ALLERGENS = {
+  nuts: ['treeNuts', 'peanuts'],
+  'tree-nuts': ['treeNuts'],
+  peanuts: ['peanuts'],
+  dairy: ['dairy'],
+  eggs: ['egg'],
+  gluten: ['gluten'],
+  fish: ['fish'],
+  shellfish: ['shellfish'],
+  soy: ['soy'],
+  sesame: ['sesame']
+};
+
+function createEmptyProfile() {
+  return { diets: [], allergens: [], dislikedIngredients: [] };
+}
+
+function isEmptyProfile(profile) {
+  return !profile ||
+    (profile.diets.length === 0 && profile.allergens.length === 0 && profile.dislikedIngredients.length === 0);
+}
+
+// Union of several profiles, e.g. a user's saved profile and the current session's
+function mergeProfiles(...profiles) {
+  const merged = createEmptyProfile();
+
+  for (const profile of profiles.filter(Boolean)) {
+    for (const key of Object.keys(merged)) {
+      merged[key] = [...new Set([...merged[key], ...(profile[key] || [])])];
+    }
+  }
+  return merged;
+}
+
+// Diets and allergens can't be checked from a name alone ("Chicken Satay" doesn't say peanuts),
+// so stubs from filter results need their full recipe looked up first
+function needsFullRecipes(profile) {
+  return !isEmptyProfile(profile) && (profile.diets.length > 0 || profile.allergens.length > 0);
+}
+
+// Returns the rule a category breaks, or null; recipes in it may still break others
+function findCategoryViolation(category, profile) {
+  for (const diet of profile.diets) {
+    if ((DIET_EXCLUDED_CATEGORIES[diet] || []).includes((category || '').toLowerCase())) {
+      return `category ${category} is not ${diet}`;
+    }
+  }
+  return null;
+}
+
+// Returns the first rule a meal breaks, or null if it is allowed. A stub can only be checked
+// against disliked ingredients (by name); with diets or allergens set it is never allowed.
+function findViolation(meal, profile) {
+  const categoryViolation = findCategoryViolation(meal.category, profile);
+  if (categoryViolation) return categoryViolation;
+
+  if (isStub(meal) && needsFullRecipes(profile)) {
+    return 'ingredients unknown';
+  }
+
+  const checked = isStub(meal) ? [meal.name] : meal.ingredients.map(item => item.name);
+
+  for (const diet of profile.diets) {
+    for (const group of DIETS[diet] || []) {
+      const match = findGroupMatch(checked, group);
+      if (match) return `contains ${match} (not ${diet})`;
+    }
+  }
+
+  for (const allergen of profile.allergens) {
+    for (const group of ALLERGENS[allergen] || []) {
+      const match = findGroupMatch(checked, group);
+      if (match) return `contains ${match} (allergen: ${allergen})`;
+    }
+  }
+
+  for (const disliked of profile.dislikedIngredients) {
+    const match = checked.find(ingredient => containsPhrase(ingredient, disliked));
+    if (match) return `contains ${match} (disliked)`;
+  }
+
+  return null;
+}
+
+function findGroupMatch(ingredients, groupName) {
+  const group = INGREDIENT_GROUPS[groupName];
+
+  return ingredients.find(ingredient => 
+    !group.except.some(exception => containsPhrase(ingredient, exception)) &&
+    group.keywords.some(keyword => containsPhrase(ingredient, keyword))
+  ) || null;
+}
+
+// Hard post-filter over pipeline meal data. Returns filtered copies plus what was removed and why.
+// fullRecipes (id -> recipe) holds the looked-up recipes of stubs; a stub is kept or dropped by
+// what its full recipe contains.
+function applyDietaryFilter(mealData, profile, fullRecipes = new Map()) {
+  if (isEmptyProfile(profile)) {
+    return { mealData, excluded: [] };
+  }
+
+  const excluded = [];
+
+  const filtered = mealData.map(result => {
+    if (!result.meals || !Array.isArray(result.meals)) return result;
+
+    const meals = result.meals.filter(meal => {
+      const reason = findViolation((isStub(meal) && fullRecipes.get(meal.id)) || meal, profile);
+      if (reason) {
+        excluded.push({ id: meal.id, name: meal.name, reason });
+      }
+      return !reason;
+    });
+
+    return {
+      ...result,
+      meals: meals.length > 0 ? meals : null,
+      count: meals.length,
+      isEmpty: meals.length === 0
+    };
+  });
+
+  return { mealData: filtered, excluded };
+}
+
+module.exports = {
+  applyDietaryFilter,
+  findViolation,
+  findCategoryViolation,
+  needsFullRecipes,
+  mergeProfiles,
+  createEmptyProfile,
+  isEmptyProfile,
+  DIETS,
+  ALLERGENS
+};
@@ -0,0 +1,50 @@
+// Word-level ingredient name matching shared by the dietary filter, pantry search and shopping lists.
+// Names are compared as lowercase, accent-free, singular words.
+
+// "Chicken Thighs" → ['chicken', 'thigh'], "Crème fraîche" → ['creme', 'fraiche']
+function toWords(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .map(word => word.replace(/ies$/, 'y').replace(/(es|s)$/, ''));
+}
+
+// The phrase's words appear consecutively in the text: "soy sauce" is in "Dark Soy Sauce"
+function containsPhrase(text, phrase) {
+  const words = toWords(text);
+  const phraseWords = toWords(phrase);
+  if (phraseWords.length === 0) return false;
+
+  for (let i = 0; i <= words.length - phraseWords.length; i++) {
+    if (phraseWords.every((word, offset) => words[i + offset] === word)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Word-level match in either direction: "chicken" covers "Chicken Breasts",
+// "chicken thighs" covers "Chicken", but "rice" does not cover "Licorice"
+function ingredientsMatch(recipeIngredient, pantryItem) {
+  const recipeWords = toWords(recipeIngredient);
+  const pantryWords = toWords(pantryItem);
+  if (recipeWords.length === 0 || pantryWords.length === 0) return false;
+
+  return pantryWords.every(word => recipeWords.includes(word)) ||
+    recipeWords.every(word => pantryWords.includes(word));
+}
+
+// Identifies the same ingredient across recipes: "Onions" and "onion" share a key
+function ingredientKey(name) {
+  return toWords(name).join(' ');
+}
+
+module.exports = {
+  toWords,
+  containsPhrase,
+  ingredientsMatch,
+  ingredientKey
+};
@@ -1,3 +1,6 @@
+const { getRequestId } = require('./requestContext');
+const { getTraceId } = require('./tracing');
+
 const LOG_LEVELS = {
   ERROR: 0,
   WARN: 1,
@@ -42,11 +45,14 @@ class Logger {
     const color = LOG_COLORS[level] || '';
     const reset = LOG_COLORS.RESET;
     const metaStr = this.formatMetaString(meta);
-    return `${color}[${level}]${reset} ${timestamp} - ${message}${metaStr}`;
+    const requestId = getRequestId();
+    const requestStr = requestId ? ` [${requestId}]` : '';
+    return `${color}[${level}]${reset} ${timestamp}${requestStr} - ${message}${metaStr}`;
   }
 
   formatProduction(level, message, meta, timestamp) {
     const baseLog = this.createBaseLog(timestamp, level, message);
+    this.addRequestContextToLog(baseLog);
     this.addMetaToLog(baseLog, meta);
     return JSON.stringify(baseLog);
   }
@@ -64,6 +70,15 @@ class Logger {
     };
   }
 
+  // Set inside a request (see middleware/requestContext.js), so every line a request produces can be grouped
+  addRequestContextToLog(baseLog) {
+    const requestId = getRequestId();
+    if (requestId) baseLog.requestId = requestId;
+
+    const traceId = getTraceId();
+    if (traceId) baseLog.traceId = traceId;
+  }
+
   addMetaToLog(baseLog, meta) {
     if (Object.keys(meta).length > 0) {
       baseLog.meta = meta;
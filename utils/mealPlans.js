@@ -0,0 +1,148 @@
+// Meal plan shape and the rules MealPlanService fills it by, plus the iCalendar export.
+//
+// {
+//   id, tenantId, sessionId,
+//   startDate: 'YYYY-MM-DD', days, meals: ['lunch', 'dinner'],
+//   dietaryProfile,                               // resolved profile, or null
+//   variety: { noConsecutiveCategory, noConsecutiveArea },
+//   slots: [{ id: '1-dinner', day, date, meal, recipe: { id, name, category, area, thumbnail } | null }],
+//   createdAt, updatedAt
+// }
+
+const MAX_PLAN_DAYS = 14;
+
+// The meals of each day, by meals per day
+const MEALS_BY_COUNT = { 1: ['dinner'], 2: ['lunch', 'dinner'], 3: ['breakfast', 'lunch', 'dinner'] };
+
+// Breakfasts come from one category, so the variety rules only compare main meals
+const BREAKFAST_CATEGORIES = ['Breakfast'];
+const NON_MAIN_CATEGORIES = ['Breakfast', 'Dessert', 'Side', 'Starter'];
+
+// Calendar events start at these local times and last an hour
+const MEAL_TIMES = { breakfast: '080000', lunch: '123000', dinner: '183000' };
+
+const SLOT_ID_PATTERN = /^(\d{1,2})-(breakfast|lunch|dinner)$/;
+
+// Empty slots for each day and meal, dated from startDate
+function createSlots(startDate, days, meals) {
+  const slots = [];
+
+  for (let day = 1; day <= days; day++) {
+    const date = addDays(startDate, day - 1);
+    for (const meal of meals) {
+      slots.push({ id: `${day}-${meal}`, day, date, meal, recipe: null });
+    }
+  }
+  return slots;
+}
+
+function addDays(date, count) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + count);
+  return result.toISOString().slice(0, 10);
+}
+
+function isMainMeal(meal) {
+  return meal !== 'breakfast';
+}
+
+// MealDB categories a slot draws from, before dietary and variety rules
+function slotCategories(meal, categories) {
+  if (!isMainMeal(meal)) return BREAKFAST_CATEGORIES;
+  return categories.filter(category => !NON_MAIN_CATEGORIES.includes(category));
+}
+
+// Categories and areas the slot may not use: those of main meals on the days either side
+function blockedBy(plan, slot) {
+  const neighbours = isMainMeal(slot.meal)
+    ? plan.slots.filter(other => other.recipe && isMainMeal(other.meal) && Math.abs(other.day - slot.day) === 1)
+    : [];
+
+  return {
+    categories: plan.variety.noConsecutiveCategory ? neighbours.map(other => other.recipe.category) : [],
+    areas: plan.variety.noConsecutiveArea ? neighbours.map(other => other.recipe.area) : []
+  };
+}
+
+// What a plan keeps of a recipe; the full recipe is one lookup away
+function toPlannedRecipe(recipe) {
+  return {
+    id: recipe.id,
+    name: recipe.name,
+    category: recipe.category,
+    area: recipe.area,
+    thumbnail: recipe.thumbnail
+  };
+}
+
+// One event per filled slot, at the meal's local time (floating, so it follows the calendar's time zone)
+function formatMealPlanCalendar(plan) {
+  const stamp = toUTCStamp(plan.updatedAt || plan.createdAt);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ChefSue//Meal Planner//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(`ChefSue meal plan from ${plan.startDate}`)}`
+  ];
+
+  for (const slot of plan.slots.filter(slot => slot.recipe)) {
+    const details = [slot.recipe.category, slot.recipe.area].filter(Boolean).join(', ');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${plan.id}-${slot.id}@chefsue`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${slot.date.replace(/-/g, '')}T${MEAL_TIMES[slot.meal]}`,
+      'DURATION:PT1H',
+      `SUMMARY:${escapeText(`${capitalize(slot.meal)}: ${slot.recipe.name}`)}`,
+      `DESCRIPTION:${escapeText(`${details ? `${details}. ` : ''}MealDB recipe ${slot.recipe.id}`)}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function toUTCStamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545 TEXT escaping
+function escapeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  createSlots,
+  slotCategories,
+  blockedBy,
+  isMainMeal,
+  toPlannedRecipe,
+  formatMealPlanCalendar,
+  MAX_PLAN_DAYS,
+  MEALS_BY_COUNT,
+  SLOT_ID_PATTERN
+};
@@ -0,0 +1,24 @@
+// MealDB failures, reported to clients as 502 by middleware/errorHandler.js. Kept out of the
+// middleware so services can mark which of their failures came from MealDB.
+class MealDBError extends Error {
+  constructor(message, statusCode = 502, code = 'MEALDB_ERROR') {
+    super(message);
+    this.name = 'MealDBError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// MealDBService throws plain errors; report them as a 502 rather than an internal error
+async function fromMealDB(request) {
+  try {
+    return await request();
+  } catch (error) {
+    throw new MealDBError(error.message);
+  }
+}
+
+module.exports = {
+  MealDBError,
+  fromMealDB
+};
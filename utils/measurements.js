@@ -0,0 +1,217 @@
+// Parses MealDB's free-text measures ("1 1/2 cups", "200g", "2 tbs chopped", "pinch") into
+// { quantity, unit, descriptor }, converts between metric and imperial and formats them back.
+// Volumes convert to volumes and masses to masses: there are no densities, so cups of flour
+// become millilitres, not grams.
+
+// base: millilitres for volume, grams for mass. Aliases are matched case-insensitively.
+// Imperial volumes are US customary.
+const UNITS = {
+  ml: { type: 'volume', system: 'metric', base: 1, aliases: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'] },
+  l: { type: 'volume', system: 'metric', base: 1000, aliases: ['l', 'litre', 'litres', 'liter', 'liters', 'ltr'] },
+  tsp: { type: 'volume', system: 'imperial', base: 4.929, aliases: ['tsp', 'tsps', 'tspn', 'teaspoon', 'teaspoons'] },
+  tbsp: { type: 'volume', system: 'imperial', base: 14.787, aliases: ['tbsp', 'tbsps', 'tbs', 'tbls', 'tblsp', 'tablespoon', 'tablespoons'] },
+  'fl oz': { type: 'volume', system: 'imperial', base: 29.574, aliases: ['fl oz', 'fl. oz', 'floz', 'fluid ounce', 'fluid ounces'] },
+  cup: { type: 'volume', system: 'imperial', base: 236.588, plural: 'cups', aliases: ['cup', 'cups'] },
+  pint: { type: 'volume', system: 'imperial', base: 473.176, plural: 'pints', aliases: ['pint', 'pints', 'pt'] },
+  quart: { type: 'volume', system: 'imperial', base: 946.353, plural: 'quarts', aliases: ['quart', 'quarts', 'qt'] },
+  g: { type: 'mass', system: 'metric', base: 1, aliases: ['g', 'gr', 'grm', 'gram', 'grams', 'gramme', 'grammes'] },
+  kg: { type: 'mass', system: 'metric', base: 1000, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  oz: { type: 'mass', system: 'imperial', base: 28.35, aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { type: 'mass', system: 'imperial', base: 453.592, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  // Counted units scale but never convert
+  clove: { type: 'count', plural: 'cloves', aliases: ['clove', 'cloves'] },
+  slice: { type: 'count', plural: 'slices', aliases: ['slice', 'slices'] },
+  tin: { type: 'count', plural: 'tins', aliases: ['tin', 'tins'] },
+  can: { type: 'count', plural: 'cans', aliases: ['can', 'cans'] },
+  sprig: { type: 'count', plural: 'sprigs', aliases: ['sprig', 'sprigs'] },
+  leaf: { type: 'count', plural: 'leaves', aliases: ['leaf', 'leaves'] },
+  stick: { type: 'count', plural: 'sticks', aliases: ['stick', 'sticks'] },
+  bunch: { type: 'count', plural: 'bunches', aliases: ['bunch', 'bunches'] },
+  handful: { type: 'count', plural: 'handfuls', aliases: ['handful', 'handfuls'] },
+  piece: { type: 'count', plural: 'pieces', aliases: ['piece', 'pieces', 'pc', 'pcs'] },
+  pinch: { type: 'count', plural: 'pinches', aliases: ['pinch', 'pinches'] },
+  dash: { type: 'count', plural: 'dashes', aliases: ['dash', 'dashes'] }
+};
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const UNICODE_FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125 };
+
+// A leading amount: "2", "1.5", "1/2", "1 1/2", "2-1/2", "1½", "½", optionally a range "2-3"
+const NUMBER = '(?:\\d+(?:[ -]\\d+\\/\\d+|\\/\\d+|[.,]\\d+)?[¼½¾⅓⅔⅛]?|[¼½¾⅓⅔⅛])';
+const QUANTITY_PATTERN = new RegExp(`^(${NUMBER})(?:\\s*(?:-|to)\\s*${NUMBER})?\\s*(.*)$`, 'i');
+
+// Longest aliases first so "fl oz" wins over "oz"; an alias must end at a word boundary ("l" ≠ "large")
+const UNIT_ALIASES = Object.values(UNITS)
+  .flatMap(unit => unit.aliases)
+  .sort((a, b) => b.length - a.length)
+  .map(alias => alias.replace(/\./g, '\\.'))
+  .join('|');
+const UNIT_PATTERN = new RegExp(`^(${UNIT_ALIASES})\\.?(?![a-z])\\s*`, 'i');
+
+// Dual measures give the amount again in other units: "500ml/2 cups", "1kg/2lb", "450g / 1lb 2oz",
+// "1 cup (250ml)", "3 (or 4)". Only the first amount is kept; the second would be wrong once scaled.
+const AMOUNT = `${NUMBER}\\s*(?:(?:${UNIT_ALIASES})\\.?(?![a-z]))?`;
+const ALTERNATE_PATTERN = new RegExp(`^(?:\\/|\\((?:\\s*or\\b)?|or\\b)\\s*${AMOUNT}(?:\\s*${AMOUNT})*\\s*\\)?`, 'i');
+const ALIASES = new Map(Object.entries(UNITS).flatMap(([unit, { aliases }]) => aliases.map(alias => [alias, unit])));
+
+// "1 1/2 cups" → { quantity: 1.5, unit: 'cup', descriptor: '' }, "2 tbs chopped" → 2 'tbsp' 'chopped',
+// "1 large" → 1 null 'large', "pinch" → null 'pinch' '', "to taste" → null null 'to taste'.
+// A range keeps its lower bound, and a dual measure ("500ml/2 cups") its first amount.
+function parseMeasurement(measure) {
+  const text = (measure || '').trim();
+  const match = QUANTITY_PATTERN.exec(text);
+
+  const quantity = match ? parseNumber(match[1]) : null;
+  const rest = match ? match[2] : text;
+  const unitMatch = UNIT_PATTERN.exec(rest);
+  const descriptor = (unitMatch ? rest.slice(unitMatch[0].length) : rest).trim();
+
+  return {
+    quantity,
+    unit: unitMatch ? ALIASES.get(unitMatch[1].toLowerCase()) : null,
+    descriptor: quantity === null ? descriptor : descriptor.replace(ALTERNATE_PATTERN, '').trim()
+  };
+}
+
+function parseNumber(text) {
+  let value = 0;
+  let rest = text;
+
+  const fraction = UNICODE_FRACTIONS[rest.slice(-1)];
+  if (fraction) {
+    value += fraction;
+    rest = rest.slice(0, -1);
+  }
+
+  for (const part of rest.split(/[ -]/).filter(Boolean)) {
+    const [numerator, denominator] = part.replace(',', '.').split('/');
+    value += denominator ? Number(numerator) / Number(denominator) : Number(numerator);
+  }
+  return Number(value.toFixed(3));
+}
+
+function scaleMeasurement(measurement, factor) {
+  if (measurement.quantity === null) return { ...measurement };
+  return { ...measurement, quantity: measurement.quantity * factor };
+}
+
+// Converts volumes and masses into the other system, picking a unit that reads naturally
+// (750 ml rather than 0.75 l, 2 tbsp rather than 6 tsp). Counted and unknown units are unchanged.
+function convertMeasurement(measurement, system) {
+  const unit = UNITS[measurement.unit];
+  if (measurement.quantity === null || !unit?.system || unit.system === system) {
+    return { ...measurement };
+  }
+
+  const baseQuantity = measurement.quantity * unit.base;
+  const target = chooseUnit(unit.type, system, baseQuantity);
+  return { ...measurement, quantity: baseQuantity / UNITS[target].base, unit: target };
+}
+
+function chooseUnit(type, system, baseQuantity) {
+  if (system === 'metric') {
+    if (type === 'volume') return baseQuantity >= 1000 ? 'l' : 'ml';
+    return baseQuantity >= 1000 ? 'kg' : 'g';
+  }
+
+  if (type === 'mass') return baseQuantity >= UNITS.lb.base ? 'lb' : 'oz';
+  if (baseQuantity < UNITS.tbsp.base) return 'tsp';
+  if (baseQuantity < UNITS.cup.base / 4) return 'tbsp';
+  return 'cup';
+}
+
+// Adds up amounts of one ingredient. Volumes and masses are summed across units and expressed in
+// the first amount's system ("1 cup" + "250 ml" → "2 cups"); counted units and bare numbers only
+// add to the same unit ("2 cloves" + "1 clove", "1 large" + "2"). Amounts that can't be added
+// ("to taste", a lone "pinch") are kept once each. Returns one measurement per group.
+function sumMeasurements(measurements) {
+  const groups = new Map();
+
+  for (const measurement of measurements) {
+    const unit = UNITS[measurement.unit];
+    const key = measurement.quantity === null
+      ? `none:${measurement.unit}:${measurement.descriptor.toLowerCase()}`
+      : (unit?.system ? unit.type : `count:${measurement.unit}`);
+
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(measurement);
+  }
+
+  return Array.from(groups.values()).map(group => {
+    const [first] = group;
+    if (first.quantity === null) return { ...first };
+
+    const descriptor = group.every(item => item.descriptor === first.descriptor) ? first.descriptor : '';
+    if (group.every(item => item.unit === first.unit)) {
+      return { quantity: group.reduce((sum, item) => sum + item.quantity, 0), unit: first.unit, descriptor };
+    }
+
+    const { type, system } = UNITS[first.unit];
+    const baseQuantity = group.reduce((sum, item) => sum + item.quantity * UNITS[item.unit].base, 0);
+    const target = chooseUnit(type, system, baseQuantity);
+    return { quantity: baseQuantity / UNITS[target].base, unit: target, descriptor };
+  });
+}
+
+// Metric amounts as rounded decimals ("340 g", "1.5 kg"); everything else as fractions to the
+// nearest quarter, or eighth for teaspoons ("1 1/2 cups")
+function formatQuantity(quantity, unit) {
+  if (UNITS[unit]?.system === 'metric') {
+    if (quantity >= 100) return String(Math.round(quantity / 5) * 5);
+    if (quantity >= 10) return String(Math.round(quantity));
+    return String(Number(quantity.toFixed(1)));
+  }
+
+  const denominator = unit === 'tsp' ? 8 : 4;
+  const steps = Math.max(1, Math.round(quantity * denominator));
+  const whole = Math.floor(steps / denominator);
+  const remainder = steps % denominator;
+  if (remainder === 0) return String(whole);
+
+  const divisor = greatestCommonDivisor(remainder, denominator);
+  const fraction = `${remainder / divisor}/${denominator / divisor}`;
+  return whole > 0 ? `${whole} ${fraction}` : fraction;
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+// The quantity as formatQuantity shows it, as a number
+function roundQuantity(quantity, unit) {
+  if (quantity === null) return null;
+
+  const total = formatQuantity(quantity, unit).split(' ').reduce((sum, part) => {
+    const [numerator, denominator] = part.split('/');
+    return sum + (denominator ? numerator / denominator : Number(numerator));
+  }, 0);
+  return Number(total.toFixed(3));
+}
+
+// Back to text: "1 1/2 cups chopped", "340 g", "2 cloves minced"
+function formatMeasurement(measurement) {
+  if (measurement.quantity === null) {
+    return [measurement.unit, measurement.descriptor].filter(Boolean).join(' ');
+  }
+
+  const quantity = formatQuantity(measurement.quantity, measurement.unit);
+  const unit = UNITS[measurement.unit];
+  const unitLabel = unit && unit.plural && roundQuantity(measurement.quantity, measurement.unit) > 1
+    ? unit.plural
+    : measurement.unit;
+
+  return [quantity, unitLabel, measurement.descriptor].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  parseMeasurement,
+  scaleMeasurement,
+  convertMeasurement,
+  sumMeasurements,
+  formatMeasurement,
+  formatQuantity,
+  roundQuantity,
+  UNITS,
+  UNIT_SYSTEMS
+};
@@ -0,0 +1,171 @@
+const client = require('prom-client');
+
+// One registry for the process; every metric is prefixed chefsue_
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'chefsue_' });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+const UPSTREAM_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequests = new client.Counter({
+  name: 'chefsue_http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'chefsue_http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const pipelineRequests = new client.Counter({
+  name: 'chefsue_pipeline_requests_total',
+  help: 'RAG pipeline requests by outcome',
+  labelNames: ['outcome'],
+  registers: [registry]
+});
+
+const pipelinePhaseDuration = new client.Histogram({
+  name: 'chefsue_pipeline_phase_duration_seconds',
+  help: 'Latency of each RAG pipeline phase',
+  labelNames: ['phase'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const llmInvocations = new client.Counter({
+  name: 'chefsue_llm_invocations_total',
+  help: 'Model invocations by provider, model, operation and outcome',
+  labelNames: ['provider', 'model', 'operation', 'outcome'],
+  registers: [registry]
+});
+
+const llmInvocationDuration = new client.Histogram({
+  name: 'chefsue_llm_invocation_duration_seconds',
+  help: 'Model invocation latency',
+  labelNames: ['provider', 'model', 'operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const llmTokens = new client.Counter({
+  name: 'chefsue_llm_tokens_total',
+  help: 'Tokens reported by the model provider, by direction (input or output)',
+  labelNames: ['provider', 'model', 'direction'],
+  registers: [registry]
+});
+
+const mealdbCalls = new client.Counter({
+  name: 'chefsue_mealdb_calls_total',
+  help: 'MealDB calls by endpoint and outcome (success, empty, error, cache_hit, deduplicated)',
+  labelNames: ['endpoint', 'outcome'],
+  registers: [registry]
+});
+
+const mealdbCallDuration = new client.Histogram({
+  name: 'chefsue_mealdb_call_duration_seconds',
+  help: 'Latency of MealDB calls that missed the cache',
+  labelNames: ['endpoint'],
+  buckets: UPSTREAM_BUCKETS,
+  registers: [registry]
+});
+
+// Gauges read from the services at scrape time; see registerMetricSources
+const sources = {};
+
+new client.Gauge({
+  name: 'chefsue_sessions',
+  help: 'Stored sessions; active means used in the last 5 minutes, as of the last cleanup run',
+  labelNames: ['state'],
+  registers: [registry],
+  async collect() {
+    if (!sources.sessions) return;
+    const stats = await sources.sessions();
+    this.set({ state: 'total' }, stats.totalSessions);
+    if (stats.activeSessions !== null) this.set({ state: 'active' }, stats.activeSessions);
+  }
+});
+
+new client.Gauge({
+  name: 'chefsue_cache_hit_ratio',
+  help: 'Share of lookups served from cache (including de-duplicated in-flight requests)',
+  labelNames: ['cache'],
+  registers: [registry],
+  collect() {
+    if (!sources.mealdbCache) return;
+    this.set({ cache: 'mealdb' }, sources.mealdbCache().hitRatio);
+  }
+});
+
+new client.Gauge({
+  name: 'chefsue_cache_entries',
+  help: 'Entries currently held in each cache',
+  labelNames: ['cache'],
+  registers: [registry],
+  collect() {
+    if (!sources.mealdbCache) return;
+    this.set({ cache: 'mealdb' }, sources.mealdbCache().size);
+  }
+});
+
+// sources: { sessions: async () => ({ totalSessions, activeSessions }), mealdbCache: () => ({ hitRatio, size }) }
+function registerMetricSources(newSources) {
+  Object.assign(sources, newSources);
+}
+
+function observeHttpRequest(labels, durationSeconds) {
+  httpRequests.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+}
+
+function observePipelinePhase(phase, durationSeconds) {
+  pipelinePhaseDuration.observe({ phase }, durationSeconds);
+}
+
+function recordPipelineRequest(outcome) {
+  pipelineRequests.inc({ outcome });
+}
+
+// Times fn() as one model invocation; errors are counted and rethrown
+async function observeLLMCall({ provider, model, operation }, fn) {
+  const endTimer = llmInvocationDuration.startTimer({ provider, model, operation });
+
+  try {
+    const result = await fn();
+    llmInvocations.inc({ provider, model, operation, outcome: 'success' });
+    return result;
+  } catch (error) {
+    llmInvocations.inc({ provider, model, operation, outcome: 'error' });
+    throw error;
+  } finally {
+    endTimer();
+  }
+}
+
+function recordTokenUsage(provider, model, usage) {
+  if (!usage) return;
+  if (usage.inputTokens) llmTokens.inc({ provider, model, direction: 'input' }, usage.inputTokens);
+  if (usage.outputTokens) llmTokens.inc({ provider, model, direction: 'output' }, usage.outputTokens);
+}
+
+function recordMealDBCall(endpoint, outcome, durationSeconds = null) {
+  mealdbCalls.inc({ endpoint, outcome });
+  if (durationSeconds !== null) {
+    mealdbCallDuration.observe({ endpoint }, durationSeconds);
+  }
+}
+
+module.exports = {
+  registry,
+  registerMetricSources,
+  observeHttpRequest,
+  observePipelinePhase,
+  recordPipelineRequest,
+  observeLLMCall,
+  recordTokenUsage,
+  recordMealDBCall
+};
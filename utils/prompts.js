@@ -1,25 +1,13 @@
-const MEALDB_CATEGORIES = [
-  'Beef', 'Breakfast', 'Chicken', 'Dessert', 'Goat', 'Lamb', 
-  'Miscellaneous', 'Pasta', 'Pork', 'Seafood', 'Side', 'Starter', 
-  'Vegan', 'Vegetarian'
-];
-
-const COMMON_INGREDIENTS = [
-  'Chicken', 'Salmon', 'Beef', 'Pork', 'Avocado', 'Bacon', 'Basil', 
-  'Basmati Rice', 'Bread', 'Broccoli', 'Brown Rice', 'Butter', 'Carrots',
-  'Cheddar Cheese', 'Cheese', 'Cherry Tomatoes', 'Chicken Breast', 
-  'Chicken Stock', 'Chickpeas', 'Cilantro', 'Coconut Milk', 'Cod',
-  'Coriander', 'Cream', 'Cucumber', 'Cumin', 'Eggs', 'Extra Virgin Olive Oil',
-  'Flour', 'Garlic', 'Ginger', 'Honey', 'Lemon', 'Lime', 'Milk', 'Mushrooms',
-  'Onion', 'Parsley', 'Pasta', 'Potatoes', 'Prawns', 'Rice', 'Salt',
-  'Spinach', 'Tomatoes', 'Tuna', 'Yogurt', 'Black Pepper', 'Olive Oil',
-  'Soy Sauce', 'Vinegar', 'Wine', 'Sugar', 'Lamb', 'Turkey', 'Duck',
-  'Asparagus', 'Aubergine', 'Bell Pepper', 'Cabbage', 'Celery', 'Courgettes',
-  'Green Beans', 'Leeks', 'Peas', 'Red Onion', 'Sweet Potato'
-];
-
-function createPhase1Prompt(userMessage, conversationHistory = []) {
-  const contextString = buildPhase1Context(conversationHistory);
+const { getVocabulary } = require('./vocabulary');
+const { isStub, formatIngredient } = require('../models/recipe');
+
+// options.toolMode: the model receives MealDB tools natively, so no JSON output protocol is needed
+function createPhase1Prompt(userMessage, conversationHistory = [], options = {}) {
+  const contextString = buildPhase1Context(conversationHistory) + buildDietaryContext(options.dietaryProfile);
+  if (options.toolMode) {
+    return buildPhase1ToolPrompt(userMessage, contextString);
+  }
+
   const systemPrompt = buildPhase1SystemPrompt();
   const examples = buildPhase1Examples();
   
@@ -40,55 +28,112 @@ DO NOT:
 - Use categories not in the exact list above`;
 }
 
+function buildPhase1ToolPrompt(userMessage, contextString) {
+  const { categories, areas } = getVocabulary();
+
+  return `You are a cooking assistant with tools for searching the MealDB recipe database.
+
+CRITICAL RULES:
+1. Cuisines in this list → use filter_by_area: ${areas.join(', ')}
+2. Other cuisine types (Korean, Caribbean, etc.) → use search_meals
+3. filter_by_category only accepts these exact values: ${categories.join(', ')}
+4. Unknown categories → Use search_meals instead
+5. Multiple requests → Call several tools
+6. User lists ingredients they have ("I have...", "what can I make with...") → use pantry_search with all of them
+7. "Surprise me" / "anything" → random_meal
+
+User request: "${userMessage}"${contextString}
+
+- Recipe requests: call the tools; don't answer from memory
+- Greetings/chat: reply in plain text without calling any tools (markdown formatting is OK)`;
+}
+
 function buildPhase1Context(conversationHistory) {
   return conversationHistory.length > 0 
     ? `\n\nConversation context:\n${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}\n`
     : '';
 }
 
+function buildDietaryContext(profile) {
+  const description = formatDietaryProfile(profile);
+  return description
+    ? `\n\nUser dietary profile: ${description}\nPrefer searches that fit this profile (e.g. filter.php?c=Vegetarian for vegetarians). Non-compliant recipes are removed afterwards.`
+    : '';
+}
+
+function formatDietaryProfile(profile) {
+  if (!profile) return '';
+
+  const parts = [];
+  if (profile.diets?.length > 0) parts.push(`diet: ${profile.diets.join(', ')}`);
+  if (profile.allergens?.length > 0) parts.push(`allergic to: ${profile.allergens.join(', ')}`);
+  if (profile.dislikedIngredients?.length > 0) parts.push(`dislikes: ${profile.dislikedIngredients.join(', ')}`);
+  return parts.join('; ');
+}
+
 function buildPhase1SystemPrompt() {
+  const { categories, areas } = getVocabulary();
+
   return `You are a cooking assistant with access to MealDB API.
 
 CRITICAL RULES:
-1. For cuisine types (Korean, Italian, Chinese, Mexican, Indian, etc.) → ALWAYS use search.php
-2. For categories → ONLY use these exact values: ${MEALDB_CATEGORIES.join(', ')}
-3. Unknown categories → Use search.php instead
-4. Multiple requests → Return multiple API calls
+1. For cuisines (areas) → ONLY use filter.php?a= with these exact values: ${areas.join(', ')}
+2. Other cuisine types (Korean, Caribbean, etc.) → use search.php
+3. For categories → ONLY use these exact values: ${categories.join(', ')}
+4. Unknown categories → Use search.php instead
+5. Multiple requests → Return multiple API calls
+6. User lists ingredients they have ("I have...", "what can I make with...") → use pantry_search with all of them
+7. "Surprise me" / "anything" → random.php
 
 API endpoints:
-- search.php?s={query} - Search by name or cuisine type
+- search.php?s={query} - Search by name or dish type
+- search.php?f={letter} - List recipes starting with a letter
+- filter.php?a={area} - Filter by cuisine/area (MUST be from list above)
 - filter.php?c={category} - Filter by category (MUST be from list above)
-- filter.php?i={ingredient} - Filter by main ingredient`;
+- filter.php?i={ingredient} - Filter by main ingredient
+- lookup.php?i={id} - Full recipe for a meal ID
+- random.php - One random recipe (params: {})
+- list.php?c=list / list.php?a=list / list.php?i=list - Available categories / areas / ingredients
+- pantry_search {"ingredients": [...]} - Find recipes using several ingredients the user already has`;
 }
 
 function buildPhase1Examples() {
   return `Examples:
 "korean recipes" → {"api_calls": [{"endpoint": "search.php", "params": {"s": "korean"}}]}
-"italian pasta" → {"api_calls": [{"endpoint": "search.php", "params": {"s": "italian pasta"}}]}
-"mexican food" → {"api_calls": [{"endpoint": "search.php", "params": {"s": "mexican"}}]}
+"italian food" → {"api_calls": [{"endpoint": "filter.php", "params": {"a": "Italian"}}]}
+"mexican food" → {"api_calls": [{"endpoint": "filter.php", "params": {"a": "Mexican"}}]}
+"lasagne" → {"api_calls": [{"endpoint": "search.php", "params": {"s": "lasagne"}}]}
 "vegetarian meals" → {"api_calls": [{"endpoint": "filter.php", "params": {"c": "Vegetarian"}}]}
 "beef dishes" → {"api_calls": [{"endpoint": "filter.php", "params": {"c": "Beef"}}]}
 "dishes with chicken" → {"api_calls": [{"endpoint": "filter.php", "params": {"i": "Chicken"}}]}
+"surprise me" → {"api_calls": [{"endpoint": "random.php", "params": {}}]}
+"what cuisines do you know?" → {"api_calls": [{"endpoint": "list.php", "params": {"a": "list"}}]}
+"I have chicken, rice and broccoli" → {"api_calls": [{"endpoint": "pantry_search", "params": {"ingredients": ["chicken", "rice", "broccoli"]}}]}
 "hello" → "Hello! I'm ChefSue, your cooking assistant. I can help you find delicious recipes!"
 "thanks" → "You're welcome! Let me know if you need any recipe suggestions."`;
 }
 
-function createPhase2Prompt(userMessage, filterResults) {
+function createPhase2Prompt(userMessage, filterResults, options = {}) {
   const mealsText = formatFilterResults(filterResults);
   
-  return buildPhase2PromptText(userMessage, mealsText);
+  return buildPhase2PromptText(userMessage, mealsText, options.toolMode);
 }
 
 function formatFilterResults(filterResults) {
   return filterResults.map(result => {
     if (result.meals && result.meals.length > 0) {
-      return result.meals.map(meal => `- ${meal.strMeal} (ID: ${meal.idMeal})`).join('\n');
+      return result.meals.map(meal => `- ${meal.name} (ID: ${meal.id})`).join('\n');
     }
     return 'No meals found';
   }).join('\n');
 }
 
-function buildPhase2PromptText(userMessage, mealsText) {
+function buildPhase2PromptText(userMessage, mealsText, toolMode = false) {
+  const outputFormat = toolMode
+    ? 'Call lookup_meal once for each selected meal.'
+    : `Return JSON:
+{"api_calls": [{"endpoint": "lookup.php", "params": {"i": "mealId"}}...]}`;
+
   return `The user asked: "${userMessage}"
 
 Here are meal results from filtering:
@@ -97,8 +142,7 @@ ${mealsText}
 Select up to 3 most relevant meals for detailed recipes.
 Consider: relevance, variety, user intent.
 
-Return JSON:
-{"api_calls": [{"endpoint": "lookup.php", "params": {"i": "mealId"}}...]}
+${outputFormat}
 
 Note: This phase is skipped if:
 - No filter results were returned
@@ -106,14 +150,66 @@ Note: This phase is skipped if:
 - Initial API calls returned full recipe details`;
 }
 
-function createSynthesisPrompt(userMessage, mealData, conversationHistory = []) {
+// Agent mode: shows every call made so far with its results and asks for the next step
+function createAgentStepPrompt(userMessage, executedSteps, options = {}) {
+  const observations = formatAgentObservations(executedSteps);
+  const instructions = options.toolMode
+    ? 'Call tools for the next step, or reply DONE without calling any tools when you have enough.'
+    : `${buildPhase1SystemPrompt()}
+
+Reply with ONLY JSON: {"api_calls": [...]} for the next step, or {"done": true} when you have enough.`;
+
+  return `You are researching recipes step by step for a cooking assistant.
+
+Request being researched: "${userMessage}"${buildDietaryContext(options.dietaryProfile)}
+
+Results so far:
+${observations || 'No calls made yet'}
+
+Decide the next step (at most ${options.remainingCalls} more API calls):
+- Results above answer the request well → you're done
+- A search found nothing → retry with a different term (a dish name instead of a cuisine, a main ingredient, a category)
+- Only names/IDs available → look up the most relevant meals for full recipes
+- Don't repeat a call that was already made
+
+${instructions}`;
+}
+
+function formatAgentObservations(executedSteps) {
+  return executedSteps.map(({ step, call, result }) => {
+    const label = `[${step === 0 ? 'initial' : `step ${step}`}] ${call.endpoint} ${JSON.stringify(call.params)}`;
+
+    if (result.error) return `${label} → failed: ${result.message}`;
+    if (result.list) return `${label} → ${result.list.values.length} ${result.list.type}: ${result.list.values.slice(0, 30).join(', ')}`;
+    if (!result.meals || result.meals.length === 0) return `${label} → no results`;
+
+    const detail = result.meals.every(isStub) ? 'names only' : 'full recipes';
+    const names = result.meals.slice(0, 8).map(meal => `${meal.name} (ID: ${meal.id})`).join(', ');
+    const more = result.meals.length > 8 ? ', ...' : '';
+    return `${label} → ${result.meals.length} results (${detail}): ${names}${more}`;
+  }).join('\n');
+}
+
+// Second attempt after a reply couldn't be parsed: same task, plus what was wrong with the first answer
+function createRepairPrompt(originalPrompt, previousResponse, error) {
+  return `${originalPrompt}
+
+Your previous reply could not be used: ${error}
+Previous reply:
+${previousResponse.substring(0, 1000)}
+
+Reply again with ONLY the JSON object in the required format. No code fences, comments or extra text.`;
+}
+
+function createSynthesisPrompt(userMessage, mealData, conversationHistory = [], options = {}) {
   const contextString = buildContextString(conversationHistory);
+  const dietaryString = buildSynthesisDietaryRules(options.dietaryProfile);
   const dataText = formatMealData(mealData);
   const systemPrompt = buildSynthesisSystemPrompt();
 
   return `${systemPrompt}
 
-User asked: "${userMessage}"${contextString}
+User asked: "${userMessage}"${contextString}${dietaryString}
 
 Recipe data available:
 ${dataText || 'No recipe data found'}
@@ -121,6 +217,13 @@ ${dataText || 'No recipe data found'}
 ${buildSynthesisInstructions()}`;
 }
 
+function buildSynthesisDietaryRules(profile) {
+  const description = formatDietaryProfile(profile);
+  return description
+    ? `\n\nUser dietary profile: ${description}\nNever suggest ingredients, substitutions or recipes that conflict with this profile.`
+    : '';
+}
+
 function buildSynthesisSystemPrompt() {
   return 'You are ChefSue, a friendly cooking assistant.';
 }
@@ -148,22 +251,33 @@ function formatMealData(mealData) {
   }
 
   return mealData.map(result => {
+    if (result.list) {
+      return `Available ${result.list.type}: ${result.list.values.join(', ')}`;
+    }
     if (result.meals && result.meals.length > 0) {
-      return result.meals.map(formatMealInfo).join('\n\n');
+      return result.meals.map(meal => formatMealInfo(meal) + formatPantryMatch(result.pantry, meal)).join('\n\n');
     }
     return 'No detailed recipe data available';
   }).join('\n\n');
 }
 
 function formatMealInfo(meal) {
-  const ingredients = extractIngredients(meal);
+  const ingredients = meal.ingredients.map(formatIngredient);
   const ingredientText = formatIngredientText(ingredients);
-  const instructions = formatInstructionText(meal.strInstructions);
-  const image = meal.strMealThumb ? `Image: ${meal.strMealThumb}` : '';
+  const instructions = formatInstructionText(meal.instructions);
+  const image = meal.thumbnail ? `Image: ${meal.thumbnail}` : '';
   
   return buildMealInfoText(meal, ingredientText, instructions, image);
 }
 
+function formatPantryMatch(pantry, meal) {
+  const match = pantry?.matches?.find(item => item.id === meal.id);
+  if (!match) return '';
+
+  const missing = match.missingIngredients.length > 0 ? match.missingIngredients.join(', ') : 'nothing';
+  return `\nUses the user's: ${match.matchedIngredients.join(', ')}\nStill needed: ${missing}`;
+}
+
 function formatIngredientText(ingredients) {
   return ingredients.length > 0 
     ? `Ingredients: ${ingredients.slice(0, 8).join(', ')}${ingredients.length > 8 ? '...' : ''}`
@@ -177,30 +291,18 @@ function formatInstructionText(instructions) {
 }
 
 function buildMealInfoText(meal, ingredientText, instructions, image) {
-  return `**${meal.strMeal}**
-Category: ${meal.strCategory || 'N/A'}
-Area: ${meal.strArea || 'N/A'}
+  return `**${meal.name}**
+Category: ${meal.category || 'N/A'}
+Area: ${meal.area || 'N/A'}
 ${ingredientText}
 ${instructions}
 ${image}`.trim();
 }
 
-function extractIngredients(meal) {
-  const ingredients = [];
-  for (let i = 1; i <= 20; i++) {
-    const ingredient = meal[`strIngredient${i}`];
-    const measure = meal[`strMeasure${i}`];
-    if (ingredient && ingredient.trim()) {
-      ingredients.push(`${measure ? measure.trim() + ' ' : ''}${ingredient.trim()}`);
-    }
-  }
-  return ingredients;
-}
-
 module.exports = {
   createPhase1Prompt,
   createPhase2Prompt,
   createSynthesisPrompt,
-  MEALDB_CATEGORIES,
-  COMMON_INGREDIENTS
+  createRepairPrompt,
+  createAgentStepPrompt
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { isStub } = require('../models/recipe');
+
+const MAX_RECIPE_CARDS = parseInt(process.env.MAX_RECIPE_CARDS) || 10;
+
+// Builds the structured `recipes` array returned alongside the chat text from pipeline meal data
+function buildRecipeCards(mealData, limit = MAX_RECIPE_CARDS) {
+  if (!Array.isArray(mealData) || mealData.length === 0) {
+    return [];
+  }
+
+  const mealsById = collectMeals(mealData);
+  const pantryMatches = collectPantryMatches(mealData);
+  const meals = Array.from(mealsById.values());
+
+  // Filter stubs only carry name and thumbnail; show them only when nothing richer was found
+  const detailed = meals.filter(meal => !isStub(meal));
+  const selected = detailed.length > 0 ? detailed : meals;
+
+  return selected.slice(0, limit).map(meal => createRecipeCard(meal, pantryMatches.get(meal.id)));
+}
+
+function collectMeals(mealData) {
+  const mealsById = new Map();
+
+  for (const result of mealData) {
+    if (!result.meals || !Array.isArray(result.meals)) continue;
+
+    for (const meal of result.meals) {
+      if (!meal?.id) continue;
+
+      const existing = mealsById.get(meal.id);
+      if (!existing || (isStub(existing) && !isStub(meal))) {
+        mealsById.set(meal.id, meal);
+      }
+    }
+  }
+
+  return mealsById;
+}
+
+function collectPantryMatches(mealData) {
+  const matches = new Map();
+
+  mealData
+    .filter(result => result.pantry?.matches)
+    .forEach(result => result.pantry.matches.forEach(match => matches.set(match.id, match)));
+
+  return matches;
+}
+
+// The public form of a recipe (models/recipe.js); field names predate the model and are kept for clients
+function createRecipeCard(recipe, pantryMatch = null) {
+  return {
+    id: recipe.id,
+    name: recipe.name,
+    category: recipe.category,
+    area: recipe.area,
+    thumbnail: recipe.thumbnail,
+    ingredients: recipe.ingredients.map(({ name, measure, quantity, unit, originalMeasure }) => ({
+      ingredient: name,
+      measure,
+      quantity,
+      unit,
+      // Only on scaled recipes (utils/recipeScaling.js)
+      ...(originalMeasure !== undefined && { originalMeasure })
+    })),
+    instructions: recipe.instructions,
+    steps: recipe.steps,
+    tags: recipe.tags,
+    youtubeUrl: recipe.links.youtube,
+    sourceUrl: recipe.links.source,
+    detailsAvailable: !isStub(recipe),
+    ...(pantryMatch && {
+      pantryMatch: {
+        matchedIngredients: pantryMatch.matchedIngredients,
+        missingIngredients: pantryMatch.missingIngredients,
+        coverage: pantryMatch.coverage
+      }
+    })
+  };
+}
+
+module.exports = {
+  buildRecipeCards,
+  createRecipeCard
+};
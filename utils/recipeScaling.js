@@ -0,0 +1,190 @@
+const { isStub, formatIngredient } = require('../models/recipe');
+const {
+  parseMeasurement,
+  scaleMeasurement,
+  convertMeasurement,
+  formatMeasurement,
+  roundQuantity
+} = require('./measurements');
+
+// MealDB recipes don't state a yield, so they are all assumed to serve this many
+const BASE_SERVINGS = parseInt(process.env.RECIPE_BASE_SERVINGS) || 4;
+const MAX_SERVINGS = 100;
+const UNIT_OPTIONS = ['original', 'metric', 'imperial'];
+
+// Recipes a chat request (scaling, shopping list) uses when the message names none
+const MAX_MENTIONED_RECIPES = 3;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, dozen: 12, twenty: 20
+};
+const COUNT = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Scaling must be about the recipes already shown: the phrase has to name them ("make it for 8",
+// "double the recipe", "convert that to metric"). Otherwise "a dessert for 6 people this weekend"
+// or "is it ok to halve the sugar?" would rescale the last results instead of starting a search.
+const REFERENCE = '(?:it|this|that|these|those|them|both|(?:the|this|that|these|those|both)\\s+(?:recipes?|dish(?:es)?|ones?))';
+// Words allowed between the reference and the amount: "scale them all up for 8", "this recipe for 6"
+const REFERENCE_FILLER = '(?:\\s+(?:recipes?|all|up|down|again|instead))*';
+const NOT_A_DURATION = '(?!\\s*(?:minutes|mins|hours|degrees|%))';
+const UNIT = '(metric|imperial|grams?|kilo(?:gram)?s?|kg|ml|millilit(?:er|re)s?|lit(?:er|re)s?|cups?|ounces?|oz|pounds?|lbs?)';
+const POLITE_END = '(?:\\s+please)?\\s*[.!?]*$';
+
+// "make it for 8 people", "do these to serve 6", "scale the recipe up to 2", "make it 6 servings"
+const SERVINGS_PATTERNS = [
+  new RegExp(`\\b${REFERENCE}${REFERENCE_FILLER}\\s+(?:for|to serve|serves?|to feed|feeds?)\\s+${COUNT}\\b${NOT_A_DURATION}`, 'i'),
+  new RegExp(`\\b(?:re)?(?:scale|size|resize)d?(?:\\s+${REFERENCE})?${REFERENCE_FILLER}\\s+(?:for|to)\\s+${COUNT}\\b${NOT_A_DURATION}`, 'i'),
+  new RegExp(`\\b${REFERENCE}\\s+(?:into\\s+)?${COUNT}\\s+(?:servings|portions)\\b`, 'i'),
+  // A message that is nothing but the amount: "for 8 people", "serves 6 please"
+  new RegExp(`^\\s*(?:(?:and|now|ok|okay)\\s+)?(?:for|serves?|feeds?)\\s+${COUNT}(?:\\s+(?:people|persons|servings|portions|guests))?${POLITE_END}`, 'i')
+];
+
+// "double it", "halve the recipe", "half of these", "make it triple", "cut it in half", "double the quantities"
+const MULTIPLIER_PATTERNS = [
+  new RegExp(`\\b(double|triple|halve|half)\\s+(?:of\\s+)?${REFERENCE}\\b`, 'i'),
+  new RegExp(`\\b(?:make|cook|do)\\s+${REFERENCE}\\s+(?:a\\s+)?(double|triple|half)\\b`, 'i'),
+  new RegExp(`\\bcut\\s+${REFERENCE}\\s+in\\s+(half)\\b`, 'i'),
+  /\b(double|triple|halve)\s+(?:the\s+)?(?:batch|quantities|amounts|portions|servings|ingredients)\b/i
+];
+const MULTIPLIERS = { double: 2, triple: 3, halve: 0.5, half: 0.5 };
+
+// "convert that to metric", "show it in grams", "convert the amounts to cups", or just "in grams please"
+const UNITS_PATTERNS = [
+  new RegExp(`\\b${REFERENCE}${REFERENCE_FILLER}\\s+(?:in|to|into|using)\\s+${UNIT}\\b`, 'i'),
+  new RegExp(`\\bconvert\\b[^.?!]*?\\b(?:to|into|in)\\s+${UNIT}\\b`, 'i'),
+  new RegExp(`^\\s*(?:(?:and|now|ok|okay)\\s+)?(?:in|to|into|using)\\s+${UNIT}${POLITE_END}`, 'i')
+];
+// Once the message scales the recipes, a unit anywhere in it applies: "make it for 8 in grams"
+const ANY_UNITS_PATTERN = new RegExp(`\\b(?:in|to|into|using)\\s+${UNIT}\\b`, 'i');
+const METRIC_UNIT_WORDS = /^(?:metric|gram|kilo|kg|ml|millilit|lit)/i;
+
+// Returns { servings?, multiplier?, units? } for "make this for 8 people", "double it",
+// "convert that to metric" or "in grams", or null if the message isn't a scaling request
+function parseScalingRequest(message) {
+  const text = message || '';
+  const request = {};
+
+  const servingsMatch = SERVINGS_PATTERNS.map(pattern => pattern.exec(text)).find(Boolean);
+  if (servingsMatch) {
+    request.servings = toCount(servingsMatch[1]);
+  }
+
+  const multiplierMatch = MULTIPLIER_PATTERNS.map(pattern => pattern.exec(text)).find(Boolean);
+  if (multiplierMatch && !request.servings) {
+    request.multiplier = MULTIPLIERS[multiplierMatch[1].toLowerCase()];
+  }
+
+  const scales = Object.keys(request).length > 0;
+  const unitsMatch = (scales ? [ANY_UNITS_PATTERN] : UNITS_PATTERNS).map(pattern => pattern.exec(text)).find(Boolean);
+  if (unitsMatch) {
+    request.units = METRIC_UNIT_WORDS.test(unitsMatch[1]) ? 'metric' : 'imperial';
+  }
+
+  if (Object.keys(request).length === 0) return null;
+
+  if (request.servings !== undefined && (request.servings < 1 || request.servings > MAX_SERVINGS)) return null;
+  return request;
+}
+
+function toCount(value) {
+  return NUMBER_WORDS[value.toLowerCase()] ?? parseInt(value);
+}
+
+// The full recipes in pipeline meal data, one per ID
+function collectFullRecipes(mealData) {
+  const recipesById = new Map();
+
+  for (const result of mealData || []) {
+    if (!Array.isArray(result.meals)) continue;
+
+    for (const recipe of result.meals) {
+      if (!isStub(recipe) && !recipesById.has(recipe.id)) {
+        recipesById.set(recipe.id, recipe);
+      }
+    }
+  }
+  return Array.from(recipesById.values());
+}
+
+// Recipes the message names, or the first few if it names none
+function selectMentionedRecipes(message, recipes) {
+  const text = (message || '').toLowerCase();
+  const named = recipes.filter(recipe => text.includes(recipe.name.toLowerCase()));
+  return named.length > 0 ? named : recipes.slice(0, MAX_MENTIONED_RECIPES);
+}
+
+// Builds on the previous chat request: "make it for 8" then "in grams" gives 8 servings in
+// metric, and "double it" after that gives 16
+function resolveScalingOptions(request, previous) {
+  const base = previous || { servings: BASE_SERVINGS, units: 'original' };
+
+  return {
+    servings: request.servings ??
+      Math.min(MAX_SERVINGS, Math.max(1, Math.round(base.servings * (request.multiplier || 1)))),
+    units: request.units || base.units
+  };
+}
+
+// Returns the recipe with rescaled and converted ingredients, and how it was scaled.
+// Ingredients without an amount ("to taste", "pinch") are left as written. Instructions are not rewritten.
+function scaleRecipe(recipe, { servings = BASE_SERVINGS, units = 'original' } = {}) {
+  const factor = servings / BASE_SERVINGS;
+
+  return {
+    recipe: {
+      ...recipe,
+      ingredients: recipe.ingredients.map(ingredient => scaleIngredient(ingredient, factor, units))
+    },
+    scaling: { servings, baseServings: BASE_SERVINGS, factor: Number(factor.toFixed(3)), units }
+  };
+}
+
+function scaleIngredient(ingredient, factor, units) {
+  const parsed = parseMeasurement(ingredient.measure);
+  const scaled = scaleMeasurement(parsed, factor);
+  const measurement = units === 'original' ? scaled : convertMeasurement(scaled, units);
+
+  if (measurement.quantity === null || (factor === 1 && measurement.unit === parsed.unit)) {
+    return { ...ingredient, originalMeasure: ingredient.measure };
+  }
+
+  return {
+    ...ingredient,
+    measure: formatMeasurement(measurement),
+    quantity: roundQuantity(measurement.quantity, measurement.unit),
+    unit: measurement.unit,
+    originalMeasure: ingredient.measure
+  };
+}
+
+// Chat reply listing each scaled recipe's ingredients
+function formatScaledRecipes(scaledRecipes) {
+  const sections = scaledRecipes.map(({ recipe, scaling }) => {
+    const details = [
+      scaling.factor !== 1 && `for ${scaling.servings} servings`,
+      scaling.units !== 'original' && `in ${scaling.units} units`
+    ].filter(Boolean).join(', ');
+
+    const ingredients = recipe.ingredients
+      .map(ingredient => `- ${formatIngredient(ingredient)}`)
+      .join('\n');
+
+    return `**${recipe.name}**${details ? ` (${details})` : ''}\n${ingredients}`;
+  });
+
+  return `${sections.join('\n\n')}\n\nMealDB doesn't list servings, so the original recipes are taken to serve ${BASE_SERVINGS}. ` +
+    'Cooking times and the amounts mentioned in the instructions are unchanged.';
+}
+
+module.exports = {
+  parseScalingRequest,
+  collectFullRecipes,
+  selectMentionedRecipes,
+  resolveScalingOptions,
+  scaleRecipe,
+  formatScaledRecipes,
+  BASE_SERVINGS,
+  MAX_SERVINGS,
+  UNIT_OPTIONS
+};
@@ -0,0 +1,29 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state ({ requestId }, plus tokenUsage, signal and phase inside the RAG pipeline) visible to everything the request triggers, including
+// logger calls deep inside services, without passing it through every function
+const storage = new AsyncLocalStorage();
+
+function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// Runs fn in a child context that adds `values` to the current one (e.g. the pipeline phase)
+function withRequestContext(values, fn) {
+  return storage.run({ ...storage.getStore(), ...values }, fn);
+}
+
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+function getRequestId() {
+  return storage.getStore()?.requestId || null;
+}
+
+module.exports = {
+  runWithRequestContext,
+  withRequestContext,
+  getRequestContext,
+  getRequestId
+};
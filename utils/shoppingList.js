@@ -0,0 +1,250 @@
+const {
+  parseMeasurement,
+  convertMeasurement,
+  sumMeasurements,
+  formatMeasurement,
+  roundQuantity
+} = require('./measurements');
+const { containsPhrase, ingredientsMatch, ingredientKey } = require('./ingredients');
+
+const SHOPPING_LIST_FORMATS = ['json', 'text', 'markdown'];
+const MAX_SHOPPING_LIST_RECIPES = 10;
+const MAX_PANTRY_ITEMS = 30;
+
+// Store aisles in walking order. An ingredient goes in the first aisle with a matching keyword;
+// `except` sends look-alikes further down ("garlic powder" is a spice, "chicken stock" a store
+// cupboard item), the same way utils/dietary.js groups ingredients.
+const AISLES = [
+  {
+    name: 'Produce',
+    keywords: [
+      'onion', 'shallot', 'garlic', 'ginger', 'tomato', 'potato', 'carrot', 'celery', 'leek', 'lettuce',
+      'spinach', 'cabbage', 'kale', 'broccoli', 'cauliflower', 'courgette', 'zucchini', 'aubergine',
+      'eggplant', 'mushroom', 'cucumber', 'avocado', 'lemon', 'lime', 'orange', 'apple', 'banana', 'pear',
+      'mango', 'pineapple', 'peach', 'cherry', 'grape', 'plum', 'strawberry', 'raspberry', 'blueberry',
+      'parsley', 'coriander', 'cilantro', 'basil', 'mint', 'thyme', 'rosemary', 'dill', 'chive', 'sage',
+      'scallion', 'bell pepper', 'red pepper', 'green pepper', 'yellow pepper', 'chilli', 'chili',
+      'jalapeno', 'pea', 'sweetcorn', 'beetroot', 'squash', 'pumpkin', 'radish', 'asparagus', 'fennel',
+      'green bean', 'bean sprout', 'pak choi', 'bok choy', 'rocket', 'watercress', 'lemongrass', 'okra',
+      'turnip', 'parsnip', 'swede'
+    ],
+    except: [
+      'powder', 'ground', 'dried', 'flake', 'paste', 'puree', 'sauce', 'salt', 'seed', 'starch', 'stock',
+      'ketchup', 'chopped tomato', 'tinned', 'canned', 'jam'
+    ]
+  },
+  {
+    name: 'Meat & Seafood',
+    keywords: [
+      'chicken', 'beef', 'pork', 'lamb', 'mince', 'bacon', 'sausage', 'ham', 'turkey', 'duck', 'steak',
+      'chorizo', 'prosciutto', 'pancetta', 'salami', 'veal', 'goat', 'venison', 'oxtail', 'kidney', 'liver',
+      'fish', 'salmon', 'tuna', 'cod', 'haddock', 'prawn', 'shrimp', 'crab', 'mussel', 'clam', 'squid',
+      'scallop', 'anchovy', 'sardine', 'mackerel', 'trout', 'lobster', 'oyster'
+    ],
+    except: ['stock', 'bouillon', 'sauce', 'paste', 'bean', 'tinned', 'canned']
+  },
+  {
+    name: 'Dairy & Eggs',
+    keywords: [
+      'milk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'egg', 'creme fraiche', 'parmesan',
+      'mozzarella', 'cheddar', 'feta', 'ricotta', 'mascarpone', 'ghee', 'paneer'
+    ],
+    except: ['coconut', 'peanut butter', 'almond milk', 'cream of tartar', 'butter bean', 'noodle', 'ice cream']
+  },
+  {
+    name: 'Bakery',
+    keywords: ['bread', 'bun', 'baguette', 'tortilla', 'pitta', 'pita', 'naan', 'brioche', 'ciabatta', 'pastry'],
+    except: []
+  },
+  {
+    name: 'Store Cupboard',
+    keywords: [
+      'flour', 'sugar', 'rice', 'pasta', 'spaghetti', 'penne', 'macaroni', 'lasagne', 'noodle', 'lentil',
+      'chickpea', 'bean', 'oat', 'breadcrumb', 'stock', 'bouillon', 'cornflour', 'cornstarch', 'baking powder',
+      'baking soda', 'bicarbonate', 'yeast', 'cocoa', 'chocolate', 'coconut', 'tinned', 'canned',
+      'chopped tomato', 'passata', 'puree', 'paste', 'peanut butter', 'nut', 'almond', 'walnut', 'peanut',
+      'cashew', 'raisin', 'sultana', 'couscous', 'quinoa', 'polenta', 'semolina', 'gelatine', 'biscuit'
+    ],
+    except: []
+  },
+  {
+    name: 'Oils, Sauces & Condiments',
+    keywords: [
+      'oil', 'vinegar', 'sauce', 'ketchup', 'mayonnaise', 'mustard', 'honey', 'syrup', 'jam', 'worcestershire',
+      'tabasco', 'sriracha', 'pesto', 'salsa', 'tahini', 'mirin'
+    ],
+    except: ['seed']
+  },
+  {
+    name: 'Herbs & Spices',
+    keywords: [
+      'salt', 'pepper', 'peppercorn', 'cumin', 'paprika', 'turmeric', 'cinnamon', 'nutmeg', 'clove',
+      'cardamom', 'garam masala', 'allspice', 'bay leaf', 'star anise', 'saffron', 'vanilla', 'cayenne',
+      'oregano', 'seasoning', 'spice', 'powder', 'ground', 'dried', 'flake', 'seed'
+    ],
+    except: []
+  },
+  { name: 'Frozen', keywords: ['frozen', 'ice cream'], except: [] },
+  {
+    name: 'Drinks',
+    keywords: ['wine', 'beer', 'cider', 'rum', 'brandy', 'vodka', 'whisky', 'sherry', 'coffee', 'tea'],
+    except: []
+  }
+];
+const OTHER_AISLE = 'Other';
+
+// How an ingredient is prepared doesn't change what to buy: "2 finely chopped" onions are 2 onions
+const PREPARATION_PATTERN = /\b(?:(?:finely|thinly|roughly|coarsely|freshly)\s+)?(?:chopped|sliced|diced|minced|grated|crushed|shredded|peeled|cubed|halved|quartered|beaten|softened|melted)\b/gi;
+
+// Listed in recipes but never bought
+const NOT_BOUGHT = {
+  keywords: ['water', 'ice'],
+  except: ['ice cream', 'rose water', 'coconut water', 'orange blossom water']
+};
+
+// "Make a shopping list", "grocery list for these", "what do I need to buy?"
+const SHOPPING_LIST_PATTERNS = [
+  /\b(?:shopping|grocery|groceries)\s+list\b/i,
+  /\bwhat (?:do|should|would) i (?:need to |have to )?(?:buy|get|pick up)\b/i,
+  /\b(?:list|ingredients?) (?:i need )?to buy\b/i
+];
+// "..., I already have rice and soy sauce", "except the chicken"
+const PANTRY_PATTERN = /\b(?:i (?:already )?have(?: got)?(?!\s+to\b)|i've (?:already )?got|except(?: for)?|apart from|minus)\s+(.+?)(?:[.!?]|$)/i;
+const PANTRY_SUFFIX = /\s+(?:at home|already|in (?:my|the) (?:pantry|fridge|cupboard))$/i;
+
+// Returns { pantry } for a shopping list request, or null
+function parseShoppingListRequest(message) {
+  const text = message || '';
+  if (!SHOPPING_LIST_PATTERNS.some(pattern => pattern.test(text))) return null;
+
+  const pantryMatch = PANTRY_PATTERN.exec(text);
+  const pantry = pantryMatch
+    ? pantryMatch[1]
+      .replace(PANTRY_SUFFIX, '')
+      .split(/\s*(?:,|&|\band\b|\bor\b)\s*/i)
+      .map(item => item.replace(/^(?:some|the|a|an)\s+/i, '').trim())
+      .filter(Boolean)
+      .slice(0, MAX_PANTRY_ITEMS)
+    : [];
+
+  return { pantry };
+}
+
+// Merges the ingredients of full recipes into one list grouped by aisle. The same ingredient
+// in several recipes is one item with its amounts added up (see sumMeasurements); anything
+// matching a pantry item is left off and reported in alreadyHave. units ('metric' or 'imperial')
+// converts the totals.
+function buildShoppingList(recipes, { pantry = [], units = 'original' } = {}) {
+  const items = new Map();
+  const alreadyHave = new Map();
+
+  for (const recipe of recipes) {
+    for (const ingredient of recipe.ingredients) {
+      if (isNotBought(ingredient.name)) continue;
+
+      const key = ingredientKey(ingredient.name);
+      const pantryItem = pantry.find(item => ingredientsMatch(ingredient.name, item));
+      if (pantryItem) {
+        if (!alreadyHave.has(key)) alreadyHave.set(key, { name: ingredient.name, pantryItem });
+        continue;
+      }
+
+      if (!items.has(key)) {
+        items.set(key, { name: ingredient.name, measurements: [], recipeIds: [] });
+      }
+      const item = items.get(key);
+      item.measurements.push(withoutPreparation(parseMeasurement(ingredient.measure)));
+      if (!item.recipeIds.includes(recipe.id)) item.recipeIds.push(recipe.id);
+    }
+  }
+
+  const aisles = new Map();
+  for (const item of items.values()) {
+    const aisle = classifyAisle(item.name);
+    if (!aisles.has(aisle)) aisles.set(aisle, []);
+    aisles.get(aisle).push(describeItem(item, units));
+  }
+
+  return {
+    recipes: recipes.map(recipe => ({ id: recipe.id, name: recipe.name })),
+    aisles: [...AISLES.map(aisle => aisle.name), OTHER_AISLE]
+      .filter(name => aisles.has(name))
+      .map(name => ({
+        name,
+        items: aisles.get(name).sort((a, b) => a.name.localeCompare(b.name))
+      })),
+    alreadyHave: Array.from(alreadyHave.values()),
+    itemCount: items.size
+  };
+}
+
+function describeItem(item, units) {
+  const measurements = sumMeasurements(item.measurements)
+    .map(measurement => units === 'original' ? measurement : convertMeasurement(measurement, units))
+    .filter(measurement => measurement.quantity !== null || measurement.unit || measurement.descriptor);
+
+  return {
+    name: item.name,
+    amount: measurements.map(formatMeasurement).join(' + '),
+    measurements: measurements.map(measurement => ({
+      quantity: roundQuantity(measurement.quantity, measurement.unit),
+      unit: measurement.unit,
+      descriptor: measurement.descriptor || null
+    })),
+    recipeIds: item.recipeIds
+  };
+}
+
+function withoutPreparation(measurement) {
+  const descriptor = measurement.descriptor.replace(PREPARATION_PATTERN, '').replace(/\s+/g, ' ').trim();
+  return { ...measurement, descriptor };
+}
+
+function classifyAisle(name) {
+  const aisle = AISLES.find(group => matchesGroup(name, group));
+  return aisle ? aisle.name : OTHER_AISLE;
+}
+
+function isNotBought(name) {
+  return matchesGroup(name, NOT_BOUGHT);
+}
+
+function matchesGroup(name, group) {
+  return !group.except.some(exception => containsPhrase(name, exception)) &&
+    group.keywords.some(keyword => containsPhrase(name, keyword));
+}
+
+// format: 'text' or 'markdown' (a checklist). JSON clients use the list itself.
+function formatShoppingList(list, format) {
+  const markdown = format === 'markdown';
+  const recipeNames = list.recipes.map(recipe => recipe.name).join(', ');
+  const lines = [markdown ? '# Shopping list' : 'SHOPPING LIST', '', `For: ${recipeNames}`];
+
+  for (const aisle of list.aisles) {
+    lines.push('', markdown ? `## ${aisle.name}` : aisle.name.toUpperCase());
+    for (const item of aisle.items) {
+      const line = item.amount ? `${item.amount} ${item.name}` : item.name;
+      lines.push(markdown ? `- [ ] ${line}` : `- ${line}`);
+    }
+  }
+
+  if (list.itemCount === 0) {
+    lines.push('', 'Nothing to buy.');
+  }
+
+  if (list.alreadyHave.length > 0) {
+    const names = list.alreadyHave.map(item => item.name).join(', ');
+    lines.push('', markdown ? `**Already have:** ${names}` : `Already have: ${names}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseShoppingListRequest,
+  buildShoppingList,
+  formatShoppingList,
+  SHOPPING_LIST_FORMATS,
+  MAX_SHOPPING_LIST_RECIPES,
+  MAX_PANTRY_ITEMS
+};
@@ -0,0 +1,76 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Server-Sent Events helper: sets streaming headers and writes named events to the response.
+// options.idleTimeoutMs closes the stream when no event has been sent for that long (heartbeats
+// don't count), calling options.onIdle first so it can send a last event.
+function createSSEStream(res, options = {}) {
+  let closed = false;
+  let idleTimer = null;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing idle connections during slow phases
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': keep-alive\n\n');
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  function resetIdleTimer() {
+    if (!options.idleTimeoutMs) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (typeof options.onIdle === 'function') {
+        options.onIdle();
+      }
+      stream.close();
+    }, options.idleTimeoutMs);
+  }
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(idleTimer);
+  });
+
+  const stream = {
+    send(event, data) {
+      if (closed) return false;
+      res.write(formatSSEEvent(event, data));
+      resetIdleTimer();
+      return true;
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(idleTimer);
+      res.end();
+    },
+
+    isClosed() {
+      return closed;
+    }
+  };
+
+  resetIdleTimer();
+  return stream;
+}
+
+function formatSSEEvent(event, data) {
+  const payload = JSON.stringify(data);
+  return `event: ${event}\ndata: ${payload}\n\n`;
+}
+
+module.exports = {
+  createSSEStream,
+  formatSSEEvent
+};
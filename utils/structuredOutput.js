@@ -0,0 +1,281 @@
+// Extracts JSON objects from free-form model output, repairs common defects
+// (code fences, trailing commentary, single quotes, trailing commas, unquoted keys,
+// truncated endings) and validates the result against a small JSON-schema subset.
+
+const API_CALLS_SCHEMA = {
+  type: 'object',
+  required: ['api_calls'],
+  properties: {
+    api_calls: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['endpoint', 'params'],
+        properties: {
+          endpoint: { type: 'string' },
+          params: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+const SELECTION_SCHEMA = {
+  ...API_CALLS_SCHEMA,
+  properties: {
+    api_calls: {
+      ...API_CALLS_SCHEMA.properties.api_calls,
+      items: {
+        ...API_CALLS_SCHEMA.properties.api_calls.items,
+        properties: {
+          endpoint: { type: 'string', enum: ['lookup.php'] },
+          params: { type: 'object', required: ['i'] }
+        }
+      }
+    }
+  }
+};
+
+// Agent steps either finish or request more calls
+const AGENT_STEP_SCHEMA = {
+  type: 'object',
+  properties: {
+    done: { type: 'boolean' },
+    api_calls: API_CALLS_SCHEMA.properties.api_calls
+  }
+};
+
+// Returns { status, value, error }. status is one of:
+// 'parsed' (clean JSON), 'extracted' (found inside other text), 'repaired',
+// 'not_found' (no JSON object in the text) or 'invalid' (error says why)
+function parseStructuredOutput(text, schema) {
+  const trimmed = (text || '').trim();
+
+  const direct = tryParse(trimmed);
+  if (direct !== undefined) {
+    return checkSchema(direct, schema, 'parsed');
+  }
+
+  const candidates = extractJSONCandidates(trimmed);
+  if (candidates.length === 0) {
+    return { status: 'not_found', value: null, error: 'No JSON object found in response' };
+  }
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    const extracted = tryParse(candidate.text);
+    const result = extracted !== undefined
+      ? checkSchema(extracted, schema, candidate.truncated ? 'repaired' : 'extracted')
+      : parseRepaired(candidate.text, schema);
+
+    if (result.status !== 'invalid') return result;
+    lastError = result.error;
+  }
+
+  return { status: 'invalid', value: null, error: lastError };
+}
+
+function parseRepaired(candidate, schema) {
+  const repaired = tryParse(repairJSON(candidate));
+  if (repaired === undefined) {
+    return { status: 'invalid', value: null, error: 'Response contains malformed JSON' };
+  }
+  return checkSchema(repaired, schema, 'repaired');
+}
+
+function checkSchema(value, schema, status) {
+  if (!schema) return { status, value, error: null };
+
+  const errors = validateSchema(value, schema);
+  return errors.length === 0
+    ? { status, value, error: null }
+    : { status: 'invalid', value: null, error: errors.join('; ') };
+}
+
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Top-level {...} spans in order of appearance, as { text, truncated }. Brackets inside strings
+// are ignored and an object cut off by the token limit is closed off so it can still be recovered.
+function extractJSONCandidates(text) {
+  const source = stripCodeFences(text);
+  const candidates = [];
+  let index = source.indexOf('{');
+
+  while (index !== -1) {
+    const end = findClosingIndex(source, index);
+    if (end === -1) {
+      candidates.push({ text: closeTruncated(source.slice(index)), truncated: true });
+      break;
+    }
+
+    candidates.push({ text: source.slice(index, end + 1), truncated: false });
+    index = source.indexOf('{', end + 1);
+  }
+
+  return candidates;
+}
+
+function stripCodeFences(text) {
+  const fenced = text.match(/```(?:json|javascript|js)?\s*\n?([\s\S]*?)```/i);
+  return fenced ? fenced[1] : text;
+}
+
+function findClosingIndex(text, start) {
+  const stack = [];
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === '"' || char === "'") quote = char;
+    else if (char === '{' || char === '[') stack.push(char);
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+function closeTruncated(text) {
+  const stack = [];
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === '"' || char === "'") quote = char;
+    else if (char === '{') stack.push('}');
+    else if (char === '[') stack.push(']');
+    else if (char === '}' || char === ']') stack.pop();
+  }
+
+  const closedString = quote ? text + quote : text;
+  return closedString.replace(/[,:\s]+$/, '') + stack.reverse().join('');
+}
+
+function repairJSON(text) {
+  const normalized = normalizeQuotes(text.replace(/[\u201C\u201D]/g, '"').replace(/[\u2018\u2019]/g, "'"));
+
+  return transformOutsideStrings(normalized, segment => segment
+    .replace(/\/\/[^\n]*/g, '')
+    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+    .replace(/\bTrue\b/g, 'true')
+    .replace(/\bFalse\b/g, 'false')
+    .replace(/\bNone\b/g, 'null')
+    .replace(/,(\s*[}\]])/g, '$1')
+  );
+}
+
+// Rewrites single-quoted strings as double-quoted ones
+function normalizeQuotes(text) {
+  let output = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (!quote) {
+      if (char === '"' || char === "'") {
+        quote = char;
+        output += '"';
+      } else {
+        output += char;
+      }
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = text[i + 1];
+      output += next === "'" ? "'" : char + (next ?? '');
+      i++;
+    } else if (char === quote) {
+      quote = null;
+      output += '"';
+    } else if (char === '"') {
+      output += '\\"';
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+}
+
+function transformOutsideStrings(text, transform) {
+  const parts = text.split(/("(?:\\.|[^"\\])*")/);
+  return parts.map((part, index) => index % 2 === 1 ? part : transform(part)).join('');
+}
+
+// Supports type, required, properties, items, enum, minItems and maxItems
+function validateSchema(value, schema, path = 'response') {
+  const typeError = checkType(value, schema.type, path);
+  if (typeError) return [typeError];
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path} is missing "${key}"`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  return errors;
+}
+
+function checkType(value, type, path) {
+  if (!type) return null;
+
+  const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  return actual === type ? null : `${path} must be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`;
+}
+
+module.exports = {
+  parseStructuredOutput,
+  extractJSONCandidates,
+  repairJSON,
+  validateSchema,
+  API_CALLS_SCHEMA,
+  SELECTION_SCHEMA,
+  AGENT_STEP_SCHEMA
+};
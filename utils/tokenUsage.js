@@ -0,0 +1,57 @@
+// Token counts as { inputTokens, outputTokens, totalTokens, calls, estimatedCalls }.
+// estimatedCalls counts model calls whose provider reported no usage (see estimateTokens).
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, totalTokens: 0, calls: 0, estimatedCalls: 0 };
+}
+
+// Returns a new total; `usage` may be a single call ({ inputTokens, outputTokens, estimated }) or another total
+function addUsage(total, usage) {
+  const base = { ...emptyUsage(), ...total };
+  if (!usage) return base;
+
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  const calls = usage.calls ?? 1;
+
+  return {
+    inputTokens: base.inputTokens + inputTokens,
+    outputTokens: base.outputTokens + outputTokens,
+    totalTokens: base.totalTokens + inputTokens + outputTokens,
+    calls: base.calls + calls,
+    estimatedCalls: base.estimatedCalls + (usage.estimatedCalls ?? (usage.estimated ? calls : 0))
+  };
+}
+
+// Rough count (about 4 characters per token in English) for providers that report nothing,
+// so budgets still apply to them
+function estimateTokens(text) {
+  if (!text) return 0;
+  const value = typeof text === 'string' ? text : JSON.stringify(text);
+  return Math.ceil(value.length / 4);
+}
+
+// Collects the model calls of one pipeline request, by phase
+function createUsageTracker() {
+  let total = emptyUsage();
+  const byPhase = {};
+
+  return {
+    record(phase, usage) {
+      total = addUsage(total, usage);
+      byPhase[phase] = addUsage(byPhase[phase], usage);
+    },
+    getTotal() {
+      return total;
+    },
+    getSummary() {
+      return { ...total, byPhase: { ...byPhase } };
+    }
+  };
+}
+
+module.exports = {
+  emptyUsage,
+  addUsage,
+  estimateTokens,
+  createUsageTracker
+};
@@ -0,0 +1,152 @@
+const { getVocabulary } = require('./vocabulary');
+
+const LIST_PARAMS = { categories: 'c', areas: 'a', ingredients: 'i' };
+
+// Native tool definitions (JSON Schema) for models that support tool calling.
+// Every tool maps back onto the { endpoint, params } API calls used by the prompt-based protocol,
+// so tool arguments go through the same validateApiCalls checks.
+const MEALDB_TOOLS = {
+  search_meals: {
+    description: 'Search recipes by dish name or cuisine type (e.g. "korean", "italian pasta").',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Dish name or cuisine', maxLength: 100 }
+      },
+      required: ['query']
+    },
+    toApiCall: input => ({ endpoint: 'search.php', params: { s: input.query } })
+  },
+  filter_by_category: {
+    description: 'List recipes in a MealDB category. Returns names and IDs only.',
+    // Getters so the enums follow the vocabulary loaded from MealDB
+    get input_schema() {
+      return {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: getVocabulary().categories }
+        },
+        required: ['category']
+      };
+    },
+    toApiCall: input => ({ endpoint: 'filter.php', params: { c: input.category } })
+  },
+  filter_by_area: {
+    description: 'List recipes from a cuisine/area (e.g. Italian, Mexican). Returns names and IDs only.',
+    get input_schema() {
+      return {
+        type: 'object',
+        properties: {
+          area: { type: 'string', enum: getVocabulary().areas }
+        },
+        required: ['area']
+      };
+    },
+    toApiCall: input => ({ endpoint: 'filter.php', params: { a: input.area } })
+  },
+  filter_by_ingredient: {
+    description: 'List recipes using a main ingredient. Returns names and IDs only.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        ingredient: { type: 'string', description: 'Single ingredient, e.g. "Chicken"', maxLength: 100 }
+      },
+      required: ['ingredient']
+    },
+    toApiCall: input => ({ endpoint: 'filter.php', params: { i: input.ingredient } })
+  },
+  search_by_first_letter: {
+    description: 'List full recipes whose name starts with a letter.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        letter: { type: 'string', pattern: '^[A-Za-z]$' }
+      },
+      required: ['letter']
+    },
+    toApiCall: input => ({ endpoint: 'search.php', params: { f: input.letter } })
+  },
+  random_meal: {
+    description: 'Get one random full recipe, for "surprise me" requests.',
+    input_schema: { type: 'object', properties: {} },
+    toApiCall: () => ({ endpoint: 'random.php', params: {} })
+  },
+  list_options: {
+    description: 'List the available categories, areas (cuisines) or ingredients.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['categories', 'areas', 'ingredients'] }
+      },
+      required: ['type']
+    },
+    toApiCall: input => ({ endpoint: 'list.php', params: { [LIST_PARAMS[input.type]]: 'list' } })
+  },
+  lookup_meal: {
+    description: 'Get the full recipe (ingredients and instructions) for a meal ID.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'MealDB meal ID', pattern: '^\\d+$' }
+      },
+      required: ['id']
+    },
+    toApiCall: input => ({ endpoint: 'lookup.php', params: { i: input.id } })
+  },
+  pantry_search: {
+    description: 'Find recipes that use several ingredients the user already has.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        ingredients: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 10 }
+      },
+      required: ['ingredients']
+    },
+    toApiCall: input => ({ endpoint: 'pantry_search', params: { ingredients: input.ingredients } })
+  }
+};
+
+const PHASE1_TOOLS = Object.keys(MEALDB_TOOLS);
+const SELECTION_TOOLS = ['lookup_meal'];
+
+// Provider-neutral definitions: [{ name, description, input_schema }]
+function getToolDefinitions(names = PHASE1_TOOLS) {
+  return names.map(name => ({
+    name,
+    description: MEALDB_TOOLS[name].description,
+    input_schema: MEALDB_TOOLS[name].input_schema
+  }));
+}
+
+function toolCallsToApiCalls(toolCalls) {
+  return toolCalls.map(({ name, input }) => {
+    const tool = MEALDB_TOOLS[name];
+
+    // Unknown tools become unknown endpoints so validation rejects them
+    return tool ? tool.toApiCall(input || {}) : { endpoint: name, params: input || {} };
+  });
+}
+
+// Reverse mapping, used by the fake provider to answer in tool calls
+function apiCallToToolCall({ endpoint, params }) {
+  if (endpoint === 'search.php' && params.f) return { name: 'search_by_first_letter', input: { letter: params.f } };
+  if (endpoint === 'search.php') return { name: 'search_meals', input: { query: params.s } };
+  if (endpoint === 'filter.php' && params.c) return { name: 'filter_by_category', input: { category: params.c } };
+  if (endpoint === 'filter.php' && params.a) return { name: 'filter_by_area', input: { area: params.a } };
+  if (endpoint === 'filter.php') return { name: 'filter_by_ingredient', input: { ingredient: params.i } };
+  if (endpoint === 'lookup.php') return { name: 'lookup_meal', input: { id: params.i } };
+  if (endpoint === 'random.php') return { name: 'random_meal', input: {} };
+  if (endpoint === 'list.php') {
+    const type = Object.keys(LIST_PARAMS).find(key => params[LIST_PARAMS[key]]);
+    return { name: 'list_options', input: { type } };
+  }
+  return { name: endpoint, input: params };
+}
+
+module.exports = {
+  getToolDefinitions,
+  toolCallsToApiCalls,
+  apiCallToToolCall,
+  PHASE1_TOOLS,
+  SELECTION_TOOLS
+};
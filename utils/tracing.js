@@ -0,0 +1,104 @@
+const { trace, context, propagation, SpanStatusCode, SpanKind } = require('@opentelemetry/api');
+require('dotenv').config();
+
+// Spans are no-ops until initTracing() registers a provider, so instrumented code costs
+// next to nothing when OTEL_TRACES_EXPORTER is unset or 'none'
+const tracer = trace.getTracer('chefsue-backend');
+
+let provider = null;
+let exporterInfo = 'none';
+
+// OTEL_TRACES_EXPORTER: 'none' (default), 'console', or 'otlp' (OTLP/HTTP to
+// OTEL_EXPORTER_OTLP_ENDPOINT, http://localhost:4318 by default)
+function initTracing(options = {}) {
+  const exporterName = (options.exporter || process.env.OTEL_TRACES_EXPORTER || 'none').toLowerCase();
+  if (exporterName === 'none' || provider) {
+    return provider;
+  }
+
+  const { NodeTracerProvider, BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } = require('@opentelemetry/sdk-trace-node');
+  const { resourceFromAttributes } = require('@opentelemetry/resources');
+  const { ATTR_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+
+  const spanProcessor = exporterName === 'console'
+    ? new SimpleSpanProcessor(new ConsoleSpanExporter())
+    : new BatchSpanProcessor(createOTLPExporter());
+
+  exporterInfo = exporterName === 'console'
+    ? 'console'
+    : `otlp (${process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318'})`;
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'chefsue-backend'
+    }),
+    spanProcessors: [spanProcessor]
+  });
+
+  // Installs the AsyncLocalStorage context manager and W3C traceparent propagation
+  provider.register();
+  return provider;
+}
+
+function createOTLPExporter() {
+  const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+  return new OTLPTraceExporter();
+}
+
+// Flushes buffered spans; called on shutdown. An unreachable collector must not block exit.
+async function shutdownTracing() {
+  if (provider) {
+    await provider.shutdown().catch(() => {});
+  }
+}
+
+function getTracingInfo() {
+  return {
+    enabled: provider !== null,
+    exporter: exporterInfo,
+    serviceName: process.env.OTEL_SERVICE_NAME || 'chefsue-backend'
+  };
+}
+
+// Runs fn(span) inside a new active span, so spans started within become its children.
+// Errors are recorded on the span and rethrown. options.kind defaults to INTERNAL.
+async function withSpan(name, attributes, fn, options = {}) {
+  return tracer.startActiveSpan(name, { attributes, kind: options.kind ?? SpanKind.INTERNAL }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Server span for an incoming request, continuing the caller's trace when a traceparent header is sent
+function startRequestSpan(req) {
+  const parentContext = propagation.extract(context.active(), req.headers);
+  const span = tracer.startSpan(`${req.method}`, {
+    kind: SpanKind.SERVER,
+    attributes: { 'http.request.method': req.method, 'url.path': req.path }
+  }, parentContext);
+
+  return { span, context: trace.setSpan(parentContext, span) };
+}
+
+function getTraceId() {
+  const spanContext = trace.getActiveSpan()?.spanContext();
+  return spanContext && trace.isSpanContextValid(spanContext) ? spanContext.traceId : null;
+}
+
+module.exports = {
+  initTracing,
+  shutdownTracing,
+  getTracingInfo,
+  withSpan,
+  SpanKind,
+  startRequestSpan,
+  getTraceId,
+  context
+};
@@ -1,29 +1,67 @@
-const { MEALDB_CATEGORIES, COMMON_INGREDIENTS } = require('./prompts');
+const { getVocabulary } = require('./vocabulary');
+const { DIETS, ALLERGENS } = require('./dietary');
+const { BASE_SERVINGS, MAX_SERVINGS, UNIT_OPTIONS } = require('./recipeScaling');
+const { SHOPPING_LIST_FORMATS, MAX_SHOPPING_LIST_RECIPES, MAX_PANTRY_ITEMS } = require('./shoppingList');
+const { MAX_PLAN_DAYS, MEALS_BY_COUNT, SLOT_ID_PATTERN } = require('./mealPlans');
 
 const ALLOWED_ENDPOINTS = [
   'search.php',
   'filter.php', 
-  'lookup.php'
+  'lookup.php',
+  'list.php',
+  'random.php'
 ];
 
+// Pipeline tools the AI can plan alongside MealDB endpoints
+const TOOL_ENDPOINTS = [
+  'pantry_search'
+];
+
+// `vocabulary` names the getVocabulary() list a value must come from
 const PARAM_RULES = {
   's': { type: 'string', maxLength: 100, required: true },
+  'f': { type: 'string', maxLength: 1, required: true, pattern: /^[a-z]$/i },
   'i': { 
     type: 'string', 
     maxLength: 50, 
     required: true,
-    enum: COMMON_INGREDIENTS.map(ing => ing.toLowerCase())
+    vocabulary: 'ingredients'
   },
   'c': { 
     type: 'string', 
     maxLength: 30, 
     required: true,
-    enum: MEALDB_CATEGORIES.map(cat => cat.toLowerCase())
+    vocabulary: 'categories'
+  },
+  'a': {
+    type: 'string',
+    maxLength: 30,
+    required: true,
+    vocabulary: 'areas'
   }
 };
 
+const VOCABULARY_LABELS = {
+  ingredients: 'ingredient',
+  categories: 'category',
+  areas: 'area'
+};
+
 const MAX_API_CALLS = parseInt(process.env.MAX_API_CALLS_PER_REQUEST) || 5;
 const MAX_MESSAGE_LENGTH = 500;
+const MAX_PREFERENCE_KEYS = 20;
+const MAX_PREFERENCE_VALUE_LENGTH = 200;
+const MAX_PANTRY_INGREDIENTS = 10;
+const MAX_INGREDIENT_LENGTH = 50;
+const MAX_DISLIKED_INGREDIENTS = 20;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// GET /api/recipes filters -> MealDB param each one maps to
+const RECIPE_FILTER_PARAMS = { category: 'c', area: 'a', ingredient: 'i' };
+
+// Meal plan variety rules, both on unless turned off
+const VARIETY_RULES = ['noConsecutiveCategory', 'noConsecutiveArea'];
 
 class ValidationError extends Error {
   constructor(message, code = 'VALIDATION_ERROR') {
@@ -86,6 +124,100 @@ function validateSessionIdCharacters(sessionId) {
   }
 }
 
+function validateSessionPreferences(preferences) {
+  if (preferences === undefined || preferences === null) return {};
+
+  if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new ValidationError('Preferences must be an object', 'INVALID_PREFERENCES');
+  }
+
+  const entries = Object.entries(preferences);
+  if (entries.length > MAX_PREFERENCE_KEYS) {
+    throw new ValidationError(`Too many preferences. Maximum ${MAX_PREFERENCE_KEYS} allowed`, 'INVALID_PREFERENCES');
+  }
+
+  entries.forEach(([key, value]) => validatePreferenceEntry(key, value));
+  return preferences;
+}
+
+function validatePreferenceEntry(key, value) {
+  if (!/^[a-zA-Z0-9_]{1,50}$/.test(key)) {
+    throw new ValidationError(`Invalid preference name: "${key}"`, 'INVALID_PREFERENCES');
+  }
+
+  const isScalar = ['number', 'boolean'].includes(typeof value) || 
+    (typeof value === 'string' && value.length <= MAX_PREFERENCE_VALUE_LENGTH);
+  const isStringList = Array.isArray(value) && 
+    value.length <= MAX_PREFERENCE_KEYS &&
+    value.every(item => typeof item === 'string' && item.length <= MAX_PREFERENCE_VALUE_LENGTH);
+
+  if (!isScalar && !isStringList) {
+    throw new ValidationError(
+      `Preference "${key}" must be a string, number, boolean or list of strings (max ${MAX_PREFERENCE_VALUE_LENGTH} characters each)`,
+      'INVALID_PREFERENCES'
+    );
+  }
+}
+
+function validateUserId(userId) {
+  if (!userId) return null;
+
+  if (typeof userId !== 'string' || userId.length < 3 || userId.length > 64 || !/^[a-zA-Z0-9\-_]+$/.test(userId)) {
+    throw new ValidationError('User ID must be 3-64 letters, numbers, hyphens or underscores', 'INVALID_USER_ID');
+  }
+
+  return userId;
+}
+
+// Returns a normalized { diets, allergens, dislikedIngredients } profile, or null if none was given
+function validateDietaryProfile(profile) {
+  if (profile === undefined || profile === null) return null;
+
+  if (typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new ValidationError('Dietary profile must be an object', 'INVALID_DIETARY_PROFILE');
+  }
+
+  const unknownKeys = Object.keys(profile).filter(key => !['diets', 'allergens', 'dislikedIngredients'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new ValidationError(`Unknown dietary profile fields: ${unknownKeys.join(', ')}`, 'INVALID_DIETARY_PROFILE');
+  }
+
+  return {
+    diets: validateProfileList(profile.diets, 'diets', Object.keys(DIETS)),
+    allergens: validateProfileList(profile.allergens, 'allergens', Object.keys(ALLERGENS)),
+    dislikedIngredients: validateProfileList(profile.dislikedIngredients, 'dislikedIngredients')
+  };
+}
+
+function validateProfileList(values, field, allowedValues = null) {
+  if (values === undefined || values === null) return [];
+
+  if (!Array.isArray(values) || values.length > MAX_DISLIKED_INGREDIENTS) {
+    throw new ValidationError(`"${field}" must be a list of at most ${MAX_DISLIKED_INGREDIENTS} strings`, 'INVALID_DIETARY_PROFILE');
+  }
+
+  const normalized = values.map(value => {
+    if (typeof value !== 'string' || !value.trim() || value.length > MAX_INGREDIENT_LENGTH) {
+      throw new ValidationError(`Each entry in "${field}" must be a non-empty string (max ${MAX_INGREDIENT_LENGTH} characters)`, 'INVALID_DIETARY_PROFILE');
+    }
+
+    validateMessageSecurity(value);
+    return value.trim().toLowerCase();
+  });
+
+  if (allowedValues) {
+    const invalid = normalized.filter(value => !allowedValues.includes(value));
+    if (invalid.length > 0) {
+      throw new ValidationError(
+        `Unsupported ${field}: ${invalid.join(', ')}. Allowed: ${allowedValues.join(', ')}`,
+        'INVALID_DIETARY_PROFILE'
+      );
+    }
+  }
+
+  return [...new Set(normalized)];
+}
+
 function validateApiCall(apiCall) {
   validateApiCallStructure(apiCall);
   
@@ -108,7 +240,7 @@ function validateEndpoint(endpoint) {
     throw new ValidationError('Endpoint is required and must be a string', 'INVALID_ENDPOINT');
   }
 
-  if (!ALLOWED_ENDPOINTS.includes(endpoint)) {
+  if (!ALLOWED_ENDPOINTS.includes(endpoint) && !TOOL_ENDPOINTS.includes(endpoint)) {
     throw new ValidationError(`Endpoint not allowed: ${endpoint}`, 'ENDPOINT_NOT_ALLOWED');
   }
 }
@@ -123,7 +255,10 @@ function validateEndpointSpecificParams(endpoint, params) {
   const validators = {
     'search.php': validateSearchParams,
     'filter.php': validateFilterParams,
-    'lookup.php': validateLookupParams
+    'lookup.php': validateLookupParams,
+    'list.php': validateListParams,
+    'random.php': validateRandomParams,
+    'pantry_search': validatePantryParams
   };
 
   const validator = validators[endpoint];
@@ -133,38 +268,49 @@ function validateEndpointSpecificParams(endpoint, params) {
 }
 
 function validateSearchParams(params) {
-  if (!params.s) {
-    throw new ValidationError('Search parameter "s" is required', 'MISSING_SEARCH_PARAM');
+  if (!params.s && !params.f) {
+    throw new ValidationError('Search parameter "s" (name) or "f" (first letter) is required', 'MISSING_SEARCH_PARAM');
+  }
+
+  if (params.s && params.f) {
+    throw new ValidationError('Search can only use one parameter: name (s) or first letter (f)', 'TOO_MANY_SEARCH_PARAMS');
   }
   
-  validateParam('s', params.s);
+  if (params.s) {
+    validateParam('s', params.s);
+  } else {
+    validateParam('f', params.f);
+  }
 }
 
 function validateFilterParams(params) {
-  const hasIngredient = params.i;
-  const hasCategory = params.c;
+  const filterParams = ['i', 'c', 'a'].filter(param => params[param]);
   
-  validateFilterParamPresence(hasIngredient, hasCategory);
-  validateFilterParamValues(params, hasIngredient, hasCategory);
+  validateFilterParamPresence(filterParams);
+  validateParam(filterParams[0], params[filterParams[0]]);
 }
 
-function validateFilterParamPresence(hasIngredient, hasCategory) {
-  if (!hasIngredient && !hasCategory) {
-    throw new ValidationError('Filter requires either ingredient (i) or category (c) parameter', 'MISSING_FILTER_PARAM');
+function validateFilterParamPresence(filterParams) {
+  if (filterParams.length === 0) {
+    throw new ValidationError('Filter requires an ingredient (i), category (c) or area (a) parameter', 'MISSING_FILTER_PARAM');
   }
 
-  if (hasIngredient && hasCategory) {
-    throw new ValidationError('Filter can only use one parameter: ingredient (i) or category (c)', 'TOO_MANY_FILTER_PARAMS');
+  if (filterParams.length > 1) {
+    throw new ValidationError('Filter can only use one parameter: ingredient (i), category (c) or area (a)', 'TOO_MANY_FILTER_PARAMS');
   }
 }
 
-function validateFilterParamValues(params, hasIngredient, hasCategory) {
-  if (hasIngredient) {
-    validateParam('i', params.i);
+function validateListParams(params) {
+  const listParams = Object.keys(params);
+
+  if (listParams.length !== 1 || !['c', 'a', 'i'].includes(listParams[0]) || params[listParams[0]] !== 'list') {
+    throw new ValidationError('List requires exactly one of c=list, a=list or i=list', 'INVALID_LIST_PARAMS');
   }
-  
-  if (hasCategory) {
-    validateParam('c', params.c);
+}
+
+function validateRandomParams(params) {
+  if (Object.keys(params).length > 0) {
+    throw new ValidationError('Random takes no parameters', 'INVALID_RANDOM_PARAMS');
   }
 }
 
@@ -179,6 +325,214 @@ function validateLookupParams(params) {
   }
 }
 
+function validateMealId(id) {
+  if (typeof id !== 'string' || !/^\d{1,10}$/.test(id)) {
+    throw new ValidationError('Recipe ID must be a numeric MealDB meal ID', 'INVALID_MEAL_ID');
+  }
+  return id;
+}
+
+// Query string of GET /api/recipes: a name query and/or category, area and ingredient filters,
+// plus page/pageSize. Category and area are returned with MealDB's spelling.
+function validateRecipeQuery(query = {}) {
+  const criteria = {};
+
+  if (query.query !== undefined) {
+    criteria.query = validateQueryString('query', query.query, PARAM_RULES.s);
+    validateMessageSecurity(criteria.query);
+  }
+
+  for (const [name, param] of Object.entries(RECIPE_FILTER_PARAMS)) {
+    if (query[name] === undefined) continue;
+
+    const rule = PARAM_RULES[param];
+    const value = validateQueryString(name, query[name], rule);
+    validateParamEnum(param, value, rule);
+    criteria[name] = canonicalVocabularyValue(rule.vocabulary, value);
+  }
+
+  if (Object.keys(criteria).length === 0) {
+    throw new ValidationError('Provide at least one of query, category, area or ingredient', 'MISSING_RECIPE_CRITERIA');
+  }
+
+  return {
+    ...criteria,
+    page: validatePositiveInteger('page', query.page, 1),
+    pageSize: Math.min(validatePositiveInteger('pageSize', query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+    details: query.details === 'true'
+  };
+}
+
+// Query string of GET /api/recipes/:id/scaled
+function validateScalingQuery(query = {}) {
+  const servings = validatePositiveInteger('servings', query.servings, BASE_SERVINGS, 'INVALID_SERVINGS');
+  if (servings > MAX_SERVINGS) {
+    throw new ValidationError(`"servings" must be at most ${MAX_SERVINGS}`, 'INVALID_SERVINGS');
+  }
+
+  const units = query.units === undefined ? 'original' : query.units;
+  if (typeof units !== 'string' || !UNIT_OPTIONS.includes(units.toLowerCase())) {
+    throw new ValidationError(`"units" must be one of: ${UNIT_OPTIONS.join(', ')}`, 'INVALID_UNITS');
+  }
+
+  return { servings, units: units.toLowerCase() };
+}
+
+// Body of POST /api/shopping-list. IDs may be numbers or numeric strings; duplicates are dropped.
+function validateShoppingListRequest(body = {}) {
+  const { recipeIds, pantry = [], servings, units = 'original', format = 'json' } = body;
+
+  if (!Array.isArray(recipeIds) || recipeIds.length === 0) {
+    throw new ValidationError('"recipeIds" must be a non-empty list of MealDB meal IDs', 'MISSING_RECIPE_IDS');
+  }
+  if (recipeIds.length > MAX_SHOPPING_LIST_RECIPES) {
+    throw new ValidationError(`Too many recipes. Maximum ${MAX_SHOPPING_LIST_RECIPES} allowed`, 'TOO_MANY_RECIPES');
+  }
+  const ids = [...new Set(recipeIds.map(id => validateMealId(typeof id === 'number' ? String(id) : id)))];
+
+  if (!Array.isArray(pantry)) {
+    throw new ValidationError('"pantry" must be a list of ingredients', 'INVALID_PANTRY');
+  }
+  if (pantry.length > MAX_PANTRY_ITEMS) {
+    throw new ValidationError(`Too many pantry items. Maximum ${MAX_PANTRY_ITEMS} allowed`, 'TOO_MANY_INGREDIENTS');
+  }
+
+  if (servings !== undefined && (!Number.isInteger(servings) || servings < 1 || servings > MAX_SERVINGS)) {
+    throw new ValidationError(`"servings" must be an integer from 1 to ${MAX_SERVINGS}`, 'INVALID_SERVINGS');
+  }
+
+  if (typeof units !== 'string' || !UNIT_OPTIONS.includes(units.toLowerCase())) {
+    throw new ValidationError(`"units" must be one of: ${UNIT_OPTIONS.join(', ')}`, 'INVALID_UNITS');
+  }
+
+  if (typeof format !== 'string' || !SHOPPING_LIST_FORMATS.includes(format.toLowerCase())) {
+    throw new ValidationError(`"format" must be one of: ${SHOPPING_LIST_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+
+  return {
+    recipeIds: ids,
+    pantry: pantry.length > 0 ? validatePantryItems(pantry) : [],
+    servings,
+    units: units.toLowerCase(),
+    format: format.toLowerCase()
+  };
+}
+
+// Body of POST /api/meal-plans. startDate defaults to today (UTC); both variety rules default to on.
+function validateMealPlanRequest(body = {}) {
+  const { sessionId, days = 7, mealsPerDay = 1, startDate, dietaryProfile, variety = {} } = body;
+
+  if (!sessionId) {
+    throw new ValidationError('"sessionId" of an existing session is required', 'MISSING_SESSION_ID');
+  }
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_DAYS) {
+    throw new ValidationError(`"days" must be an integer from 1 to ${MAX_PLAN_DAYS}`, 'INVALID_DAYS');
+  }
+
+  if (!MEALS_BY_COUNT[mealsPerDay]) {
+    throw new ValidationError(`"mealsPerDay" must be one of: ${Object.keys(MEALS_BY_COUNT).join(', ')}`, 'INVALID_MEALS_PER_DAY');
+  }
+
+  if (typeof variety !== 'object' || variety === null || Array.isArray(variety) ||
+    Object.entries(variety).some(([rule, value]) => !VARIETY_RULES.includes(rule) || typeof value !== 'boolean')) {
+    throw new ValidationError(`"variety" may only set ${VARIETY_RULES.join(' and ')} to true or false`, 'INVALID_VARIETY');
+  }
+
+  return {
+    sessionId: validateSessionId(sessionId),
+    days,
+    mealsPerDay,
+    startDate: startDate === undefined ? new Date().toISOString().slice(0, 10) : validateDate('startDate', startDate),
+    dietaryProfile: validateDietaryProfile(dietaryProfile),
+    variety: {
+      noConsecutiveCategory: variety.noConsecutiveCategory ?? true,
+      noConsecutiveArea: variety.noConsecutiveArea ?? true
+    }
+  };
+}
+
+function validateDate(name, value) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+
+  if (!date || isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+    throw new ValidationError(`"${name}" must be a date in YYYY-MM-DD format`, 'INVALID_DATE');
+  }
+  return value;
+}
+
+function validateMealPlanId(id) {
+  if (typeof id !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+    throw new ValidationError('Meal plan ID must be a UUID', 'INVALID_MEAL_PLAN_ID');
+  }
+  return id.toLowerCase();
+}
+
+// "3-dinner": day 3's dinner
+function validateSlotId(slotId) {
+  if (typeof slotId !== 'string' || !SLOT_ID_PATTERN.test(slotId)) {
+    throw new ValidationError('Slot must be a day number and meal, e.g. "3-dinner"', 'INVALID_SLOT');
+  }
+  return slotId;
+}
+
+function validateQueryString(name, value, rule) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`"${name}" must be a single non-empty value`, 'INVALID_QUERY_PARAM');
+  }
+
+  if (value.trim().length > rule.maxLength) {
+    throw new ValidationError(`"${name}" too long. Maximum ${rule.maxLength} characters`, 'PARAM_TOO_LONG');
+  }
+  return value.trim();
+}
+
+function validatePositiveInteger(name, value, defaultValue, code = 'INVALID_PAGINATION') {
+  if (value === undefined) return defaultValue;
+
+  if (typeof value !== 'string' || !/^[1-9]\d{0,5}$/.test(value)) {
+    throw new ValidationError(`"${name}" must be a positive integer`, code);
+  }
+  return parseInt(value);
+}
+
+function canonicalVocabularyValue(vocabulary, value) {
+  const normalized = value.toLowerCase();
+  return getVocabulary()[vocabulary].find(option => option.toLowerCase() === normalized) || value;
+}
+
+function validatePantryParams(params) {
+  validatePantryIngredients(params.ingredients);
+}
+
+function validatePantryIngredients(ingredients) {
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    throw new ValidationError('Pantry search requires a non-empty "ingredients" list', 'MISSING_PANTRY_INGREDIENTS');
+  }
+
+  if (ingredients.length > MAX_PANTRY_INGREDIENTS) {
+    throw new ValidationError(`Too many ingredients. Maximum ${MAX_PANTRY_INGREDIENTS} allowed`, 'TOO_MANY_INGREDIENTS');
+  }
+
+  return validatePantryItems(ingredients);
+}
+
+function validatePantryItems(ingredients) {
+  ingredients.forEach(ingredient => {
+    if (typeof ingredient !== 'string' || !ingredient.trim()) {
+      throw new ValidationError('Each ingredient must be a non-empty string', 'INVALID_INGREDIENT');
+    }
+
+    if (ingredient.length > MAX_INGREDIENT_LENGTH) {
+      throw new ValidationError(`Ingredient too long. Maximum ${MAX_INGREDIENT_LENGTH} characters`, 'INVALID_INGREDIENT');
+    }
+
+    validateMessageSecurity(ingredient);
+  });
+
+  return ingredients.map(ingredient => ingredient.trim());
+}
+
 function validateParam(paramName, value) {
   const rule = PARAM_RULES[paramName];
   if (!rule) {
@@ -201,16 +555,20 @@ function validateParamBasics(paramName, value, rule) {
   if (rule.maxLength && value.length > rule.maxLength) {
     throw new ValidationError(`Parameter "${paramName}" too long. Maximum ${rule.maxLength} characters`, 'PARAM_TOO_LONG');
   }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    throw new ValidationError(`Parameter "${paramName}" has an invalid format`, 'INVALID_PARAM_FORMAT');
+  }
 }
 
 function validateParamEnum(paramName, value, rule) {
-  // Case-insensitive enum validation for ingredients and categories
-  if (rule.enum && paramName !== 'i') { // Skip strict enum for meal ID lookups
+  // Case-insensitive enum validation for categories and areas
+  if (rule.vocabulary && paramName !== 'i') { // Skip strict enum for meal ID lookups
+    const validOptions = getVocabulary()[rule.vocabulary];
     const normalizedValue = value.toLowerCase();
-    if (!rule.enum.includes(normalizedValue)) {
-      const validOptions = paramName === 'c' ? MEALDB_CATEGORIES : COMMON_INGREDIENTS;
+    if (!validOptions.some(option => option.toLowerCase() === normalizedValue)) {
       throw new ValidationError(
-        `Invalid ${paramName === 'c' ? 'category' : 'ingredient'}: "${value}". Valid options include: ${validOptions.slice(0, 10).join(', ')}...`,
+        `Invalid ${VOCABULARY_LABELS[rule.vocabulary]}: "${value}". Valid options include: ${validOptions.slice(0, 10).join(', ')}...`,
         'INVALID_ENUM_VALUE'
       );
     }
@@ -263,12 +621,26 @@ function isValidJSON(str) {
 module.exports = {
   validateUserMessage,
   validateSessionId,
+  validateSessionPreferences,
+  validateUserId,
+  validateDietaryProfile,
   validateApiCall,
   validateApiCalls,
+  validatePantryIngredients,
+  validateMealId,
+  validateRecipeQuery,
+  validateScalingQuery,
+  validateShoppingListRequest,
+  validateMealPlanRequest,
+  validateMealPlanId,
+  validateSlotId,
   sanitizeInput,
   isValidJSON,
   ValidationError,
   MAX_API_CALLS,
   MAX_MESSAGE_LENGTH,
-  ALLOWED_ENDPOINTS
+  MAX_PANTRY_INGREDIENTS,
+  MAX_PAGE_SIZE,
+  ALLOWED_ENDPOINTS,
+  TOOL_ENDPOINTS
 };
\ No newline at end of file
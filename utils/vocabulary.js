@@ -0,0 +1,223 @@
+// Fallback enumerations, used until the MealDB list endpoints have been loaded
+// (or when they can't be, e.g. offline)
+const MEALDB_CATEGORIES = [
+  'Beef', 'Breakfast', 'Chicken', 'Dessert', 'Goat', 'Lamb', 
+  'Miscellaneous', 'Pasta', 'Pork', 'Seafood', 'Side', 'Starter', 
+  'Vegan', 'Vegetarian'
+];
+
+const COMMON_INGREDIENTS = [
+  'Chicken', 'Salmon', 'Beef', 'Pork', 'Avocado', 'Bacon', 'Basil', 
+  'Basmati Rice', 'Bread', 'Broccoli', 'Brown Rice', 'Butter', 'Carrots',
+  'Cheddar Cheese', 'Cheese', 'Cherry Tomatoes', 'Chicken Breast', 
+  'Chicken Stock', 'Chickpeas', 'Cilantro', 'Coconut Milk', 'Cod',
+  'Coriander', 'Cream', 'Cucumber', 'Cumin', 'Eggs', 'Extra Virgin Olive Oil',
+  'Flour', 'Garlic', 'Ginger', 'Honey', 'Lemon', 'Lime', 'Milk', 'Mushrooms',
+  'Onion', 'Parsley', 'Pasta', 'Potatoes', 'Prawns', 'Rice', 'Salt',
+  'Spinach', 'Tomatoes', 'Tuna', 'Yogurt', 'Black Pepper', 'Olive Oil',
+  'Soy Sauce', 'Vinegar', 'Wine', 'Sugar', 'Lamb', 'Turkey', 'Duck',
+  'Asparagus', 'Aubergine', 'Bell Pepper', 'Cabbage', 'Celery', 'Courgettes',
+  'Green Beans', 'Leeks', 'Peas', 'Red Onion', 'Sweet Potato'
+];
+
+const MEALDB_AREAS = [
+  'American', 'British', 'Canadian', 'Chinese', 'Croatian', 'Dutch', 'Egyptian',
+  'Filipino', 'French', 'Greek', 'Indian', 'Irish', 'Italian', 'Jamaican',
+  'Japanese', 'Kenyan', 'Malaysian', 'Mexican', 'Moroccan', 'Polish', 'Portuguese',
+  'Russian', 'Spanish', 'Thai', 'Tunisian', 'Turkish', 'Ukrainian', 'Vietnamese'
+];
+
+// Names the model (or user) tends to use for a vocabulary entry; the first candidate
+// present in the loaded list wins
+const SYNONYMS = {
+  categories: {
+    'veggie': ['Vegetarian'],
+    'plant based': ['Vegan'],
+    'fish': ['Seafood'],
+    'shellfish': ['Seafood'],
+    'desserts': ['Dessert'],
+    'sweets': ['Dessert'],
+    'sweet': ['Dessert'],
+    'appetizer': ['Starter'],
+    'appetiser': ['Starter'],
+    'side dish': ['Side'],
+    'noodles': ['Pasta'],
+    'mutton': ['Lamb']
+  },
+  areas: {
+    'usa': ['American'],
+    'america': ['American'],
+    'uk': ['British'],
+    'english': ['British'],
+    'england': ['British'],
+    'scottish': ['British'],
+    'china': ['Chinese'],
+    'france': ['French'],
+    'greece': ['Greek'],
+    'india': ['Indian'],
+    'ireland': ['Irish'],
+    'italy': ['Italian'],
+    'jamaica': ['Jamaican'],
+    'japan': ['Japanese'],
+    'mexico': ['Mexican'],
+    'tex mex': ['Mexican'],
+    'morocco': ['Moroccan'],
+    'poland': ['Polish'],
+    'portugal': ['Portuguese'],
+    'russia': ['Russian'],
+    'spain': ['Spanish'],
+    'thailand': ['Thai'],
+    'turkey': ['Turkish'],
+    'vietnam': ['Vietnamese']
+  },
+  ingredients: {
+    'shrimp': ['Prawns', 'King Prawns'],
+    'prawn': ['Prawns', 'King Prawns'],
+    'eggplant': ['Aubergine'],
+    'zucchini': ['Courgettes'],
+    'courgette': ['Courgettes'],
+    'cilantro': ['Coriander'],
+    'scallion': ['Spring Onions'],
+    'scallions': ['Spring Onions'],
+    'green onion': ['Spring Onions'],
+    'green onions': ['Spring Onions'],
+    'garbanzo beans': ['Chickpeas'],
+    'bell peppers': ['Bell Pepper', 'Red Pepper'],
+    'capsicum': ['Bell Pepper', 'Red Pepper'],
+    'ground beef': ['Minced Beef', 'Beef'],
+    'minced meat': ['Minced Beef'],
+    'heavy cream': ['Double Cream', 'Cream'],
+    'yoghurt': ['Yogurt', 'Greek Yogurt'],
+    'arugula': ['Rocket'],
+    'chicken thigh': ['Chicken Thighs', 'Chicken'],
+    'chicken thighs': ['Chicken Thighs', 'Chicken'],
+    'chicken breasts': ['Chicken Breast', 'Chicken'],
+    'egg': ['Eggs', 'Egg'],
+    'potato': ['Potatoes'],
+    'tomato': ['Tomatoes'],
+    'mushroom': ['Mushrooms']
+  }
+};
+
+// Current enumerations shared by prompts, tool schemas and validators
+let vocabulary = {
+  categories: MEALDB_CATEGORIES,
+  areas: MEALDB_AREAS,
+  ingredients: COMMON_INGREDIENTS,
+  source: 'fallback',
+  loadedAt: null
+};
+
+function getVocabulary() {
+  return vocabulary;
+}
+
+// Replaces the lists that were loaded; empty or missing lists keep their current values
+function setVocabulary(lists, source = 'mealdb') {
+  const pick = key => Array.isArray(lists[key]) && lists[key].length > 0 ? lists[key] : vocabulary[key];
+
+  vocabulary = {
+    categories: pick('categories'),
+    areas: pick('areas'),
+    ingredients: pick('ingredients'),
+    source,
+    loadedAt: new Date().toISOString()
+  };
+  return vocabulary;
+}
+
+// Maps a proposed value onto the loaded list. Returns { value, match } where match is
+// 'exact', 'synonym', 'plural' or 'fuzzy', or null when nothing is close enough.
+function matchVocabularyTerm(type, value) {
+  const entries = vocabulary[type];
+  if (!entries || typeof value !== 'string') return null;
+
+  const key = normalizeTerm(value);
+  if (!key) return null;
+
+  const byKey = new Map(entries.map(entry => [normalizeTerm(entry), entry]));
+
+  if (byKey.has(key)) {
+    return { value: byKey.get(key), match: 'exact' };
+  }
+
+  const synonym = (SYNONYMS[type]?.[key] || []).find(candidate => byKey.has(normalizeTerm(candidate)));
+  if (synonym) {
+    return { value: byKey.get(normalizeTerm(synonym)), match: 'synonym' };
+  }
+
+  const inflected = inflections(key).find(variant => byKey.has(variant));
+  if (inflected) {
+    return { value: byKey.get(inflected), match: 'plural' };
+  }
+
+  const fuzzy = findClosest(key, [...byKey.keys()]);
+  if (fuzzy) {
+    return { value: byKey.get(fuzzy), match: 'fuzzy' };
+  }
+
+  return null;
+}
+
+function normalizeTerm(value) {
+  return value.toString().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Singular/plural variants of the last word: "aubergines" -> "aubergine", "prawn" -> "prawns"
+function inflections(key) {
+  const words = key.split(' ');
+  const last = words.pop();
+  const variants = new Set([`${last}s`, `${last}es`]);
+
+  if (last.endsWith('ies')) variants.add(`${last.slice(0, -3)}y`);
+  if (last.endsWith('y')) variants.add(`${last.slice(0, -1)}ies`);
+  if (last.endsWith('es')) variants.add(last.slice(0, -2));
+  if (last.endsWith('s')) variants.add(last.slice(0, -1));
+
+  return [...variants].map(variant => [...words, variant].join(' '));
+}
+
+// Closest entry by edit distance; short words must match exactly to avoid "rice" -> "mice"
+function findClosest(key, candidates) {
+  const maxDistance = key.length <= 4 ? 0 : key.length <= 8 ? 1 : 2;
+  if (maxDistance === 0) return null;
+
+  let best = null;
+  let bestDistance = maxDistance + 1;
+
+  for (const candidate of candidates) {
+    if (Math.abs(candidate.length - key.length) > maxDistance) continue;
+
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+module.exports = {
+  getVocabulary,
+  setVocabulary,
+  matchVocabularyTerm,
+  MEALDB_CATEGORIES,
+  MEALDB_AREAS,
+  COMMON_INGREDIENTS
+};